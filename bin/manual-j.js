@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * Manual J Command-Line Runner
+ * Runs intake files through the same calculation core as the assessment page. Each record is a
+ * building object as built by collectFormData, keyed by calculator field or form input id; JSON
+ * files hold one record or an array of them, CSV files one record per row with a header row.
+ *
+ *   manual-j <input.json|input.csv> [--out dir] [--format json,csv,pdf]
+ *
+ * Writes <name>.json (input, results and recommendations) and <name>.pdf per record plus a
+ * summary.csv for the batch. Exits 1 with field-level messages when any record fails validation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ManualJCalculator = require('../js/manual-j-calculator.js');
+const PDFReportGenerator = require('../js/pdf-report-generator.js');
+
+const FORMATS = ['json', 'csv', 'pdf'];
+
+const USAGE = `Usage: manual-j <input.json|input.csv> [--out dir] [--format ${FORMATS.join(',')}]
+
+  --out      Directory for the results (default: current directory)
+  --format   Comma-separated outputs to write (default: all)`;
+
+// Command-line arguments: input file, output directory and the formats to write
+function parseArgs(argv) {
+    const options = { input: null, out: '.', formats: FORMATS, formatsRequested: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--format') {
+            options.formats = (argv[++i] || '').split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+            options.formatsRequested = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (!options.input) {
+            options.input = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (!options.help && !options.input) {
+        throw new Error('An input file is required');
+    }
+    if (!options.out) {
+        throw new Error('--out needs a directory');
+    }
+    const unknown = options.formats.filter(format => !FORMATS.includes(format));
+    if (unknown.length || !options.formats.length) {
+        throw new Error(`--format must list one or more of ${FORMATS.join(', ')}`);
+    }
+    return options;
+}
+
+// Split CSV text into rows of cells, honoring quoted cells with commas, quotes and line breaks
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// CSV records keyed by the header row; checkbox columns may be written as true/false
+function parseCSV(text) {
+    const [header, ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+        return [];
+    }
+    const keys = header.map(key => key.trim());
+
+    return rows.map(cells => Object.fromEntries(keys.map((key, index) => {
+        const value = (cells[index] || '').trim();
+        const lower = value.toLowerCase();
+        return [key, lower === 'true' ? true : lower === 'false' ? false : value];
+    })));
+}
+
+// Records from a JSON or CSV intake file
+function readRecords(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (path.extname(file).toLowerCase() === '.csv') {
+        return parseCSV(text);
+    }
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : [data];
+}
+
+// File name for a record's outputs, from its address when it has one
+function getRecordName(building, index, count) {
+    const address = (building.address || '').replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').substring(0, 40);
+    const number = count > 1 ? `${String(index + 1).padStart(3, '0')}_` : '';
+    return `${number}${address || 'Property'}`;
+}
+
+// Quote a CSV cell when it holds a comma, quote or line break
+function toCSVCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One summary row per record: design loads and the top recommendation, or the validation errors
+function getSummaryRow(record) {
+    const { name, building, results, recommendations, errors } = record;
+    const top = recommendations && recommendations[0];
+
+    return [
+        name,
+        building.address,
+        errors.length ? 'invalid' : 'ok',
+        results ? Math.round(results.heating.total) : '',
+        results ? Math.round(results.cooling.total) : '',
+        results ? Math.round(results.cooling.sensible) : '',
+        top ? `${top.manufacturer} ${top.model}` : '',
+        top && top.verification ? (top.verification.passes ? 'pass' : 'fail') : '',
+        errors.map(error => `${error.field}: ${error.message}`).join('; ')
+    ];
+}
+
+function writeSummaryCSV(records, file) {
+    const header = ['name', 'address', 'status', 'heating_btuh', 'cooling_btuh', 'sensible_btuh',
+        'recommended_equipment', 'manual_s', 'errors'];
+    const lines = [header, ...records.map(getSummaryRow)].map(cells => cells.map(toCSVCell).join(','));
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+}
+
+// jsPDF is optional: the browser loads it from a CDN, Node needs the npm package
+function loadJsPDF() {
+    try {
+        return require('jspdf').jsPDF;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function writePDF(record, calculator, jsPDF, file) {
+    const generator = new PDFReportGenerator({ jsPDF, calculator });
+    const doc = await generator.generateReport(record.results, record.building);
+    fs.writeFileSync(file, Buffer.from(doc.output('arraybuffer')));
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let rawRecords;
+    try {
+        rawRecords = readRecords(options.input);
+    } catch (error) {
+        console.error(`Could not read ${options.input}: ${error.message}`);
+        return 2;
+    }
+    if (!rawRecords.length) {
+        console.error(`${options.input} has no records`);
+        return 2;
+    }
+
+    const calculator = new ManualJCalculator();
+    const records = rawRecords.map((values, index) => {
+        const building = ManualJCalculator.mapFormValues(values);
+        return {
+            name: getRecordName(building, index, rawRecords.length),
+            building,
+            errors: calculator.getInputErrors(building),
+            results: null,
+            recommendations: null
+        };
+    });
+
+    let jsPDF = null;
+    if (options.formats.includes('pdf')) {
+        jsPDF = loadJsPDF();
+        if (!jsPDF) {
+            console.error('PDF reports need the jspdf package (npm install jspdf); skipping PDF output');
+        }
+    }
+
+    fs.mkdirSync(options.out, { recursive: true });
+
+    for (const record of records) {
+        if (record.errors.length) {
+            console.error(`${record.name}: ${record.errors.length} invalid field(s)`);
+            record.errors.forEach(error => console.error(`  ${error.field} (${error.input}): ${error.message}`));
+            continue;
+        }
+
+        record.results = calculator.calculateLoads(record.building);
+        record.recommendations = calculator.generateRecommendations(record.results, record.building);
+
+        if (options.formats.includes('json')) {
+            const output = { input: record.building, results: record.results, recommendations: record.recommendations };
+            fs.writeFileSync(path.join(options.out, `${record.name}.json`), JSON.stringify(output, null, 2) + '\n');
+        }
+        if (jsPDF) {
+            await writePDF(record, calculator, jsPDF, path.join(options.out, `${record.name}.pdf`));
+        }
+        console.log(`${record.name}: heating ${Math.round(record.results.heating.total)} Btu/h, ` +
+            `cooling ${Math.round(record.results.cooling.total)} Btu/h`);
+    }
+
+    if (options.formats.includes('csv')) {
+        writeSummaryCSV(records, path.join(options.out, 'summary.csv'));
+    }
+
+    const invalid = records.filter(record => record.errors.length).length;
+    if (invalid) {
+        console.error(`${invalid} of ${records.length} record(s) failed validation`);
+        return 1;
+    }
+    // PDF output that was asked for by name but could not be written is a failure
+    return options.formatsRequested && options.formats.includes('pdf') && !jsPDF ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { main, parseCSV, parseArgs, writePDF };
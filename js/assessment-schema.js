@@ -0,0 +1,233 @@
+/**
+ * Assessment Import/Export Schema
+ * Validates assessment files against data/assessment-schema.json and migrates files written
+ * under older schema versions forward, so assessments can move between techs and into the CRM
+ */
+
+class AssessmentSchema {
+    // schema: the parsed data/assessment-schema.json document
+    constructor(schema = null) {
+        // Node can read the schema directly; browsers load it through AssessmentSchema.load()
+        this.schema = schema || ((typeof module !== 'undefined' && module.exports) ?
+            require('../data/assessment-schema.json') : null);
+        this.version = this.schema ? this.schema.version : null;
+    }
+
+    // Wrap building inputs, results and the project record in a current-version document
+    createDocument({ buildingData, results = null, project = {} }) {
+        const record = {};
+        ['name', 'status', 'step', 'createdAt', 'updatedAt'].forEach(key => {
+            if (project[key] !== undefined && project[key] !== null) record[key] = project[key];
+        });
+
+        return {
+            schema: AssessmentSchema.documentType,
+            schemaVersion: this.version,
+            exportedAt: new Date().toISOString(),
+            project: record,
+            buildingData: AssessmentSchema.pickBuildingData(buildingData),
+            results: results || null
+        };
+    }
+
+    // Schema version a file was written under; files without one are version 1 form data
+    getVersion(document) {
+        return 'schemaVersion' in document ? document.schemaVersion : 1;
+    }
+
+    /**
+     * Bring a file up to the current schema version, one migration at a time.
+     * Returns { document, fromVersion }; throws when the file is not an assessment or is newer than this page
+     */
+    migrate(document) {
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            throw new Error('The file does not contain an assessment');
+        }
+
+        const fromVersion = this.getVersion(document);
+        if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+            throw new Error(`Unrecognized assessment schema version: ${fromVersion}`);
+        }
+        if (fromVersion > this.version) {
+            throw new Error(`The file uses schema version ${fromVersion}; this page reads versions up to ${this.version}`);
+        }
+
+        let migrated = document;
+        for (let version = fromVersion; version < this.version; version++) {
+            migrated = AssessmentSchema.migrations[version](migrated);
+        }
+        return { document: migrated, fromVersion };
+    }
+
+    // Schema problems in a current-version document, as [{ path, message }]
+    validate(document) {
+        const errors = [];
+        this.check(document, this.schema, '', errors);
+        return errors;
+    }
+
+    // Check one value against its part of the schema: const, enum, type, number limits, object and array members
+    check(value, schema, path, errors) {
+        const fail = message => errors.push({ path, message });
+
+        if ('const' in schema && value !== schema.const) {
+            return fail(`must be ${JSON.stringify(schema.const)}`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            return fail(`must be one of: ${schema.enum.join(', ')}`);
+        }
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => AssessmentSchema.matchesType(value, type))) {
+                return fail(`must be ${types.map(type => AssessmentSchema.typeNames[type] || type).join(' or ')}`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+        }
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            const memberPath = key => path ? `${path}.${key}` : key;
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ path: memberPath(key), message: 'is required' });
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined) {
+                    this.check(value[key], propertySchema, memberPath(key), errors);
+                }
+            });
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => this.check(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    /**
+     * Problems with an imported document, one per field, as [{ field, input, path, message }]: schema
+     * errors first, then the calculator's range and option checks on buildingData. field and input are
+     * null for problems outside buildingData, which make the file unusable
+     */
+    getFieldErrors(document, calculator) {
+        const formFields = AssessmentSchema.getCalculatorClass().formFields;
+        const inputFor = field => (formFields.find(([name]) => name === field) || [])[1] || field;
+        const errors = [];
+        const flagged = new Set();
+
+        this.validate(document).forEach(({ path, message }) => {
+            const field = path.startsWith('buildingData.') ? path.slice('buildingData.'.length) : null;
+            if (field && flagged.has(field)) return;
+            if (field) flagged.add(field);
+            errors.push({ field, input: field ? inputFor(field) : null, path, message: `${field || path || 'File'} ${message}` });
+        });
+
+        const building = document.buildingData;
+        if (calculator && building && typeof building === 'object' && !Array.isArray(building)) {
+            calculator.getInputErrors(building).forEach(error => {
+                if (flagged.has(error.field)) return;
+                flagged.add(error.field);
+                errors.push({ ...error, path: `buildingData.${error.field}` });
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * What an import keeps from a migrated document: { buildingData, project, errors, recalculate }.
+     * Results in the file are dropped rather than trusted; recalculate is set when the file had
+     * results and its buildingData is valid, so they can be rebuilt from the inputs
+     */
+    readImport(document, calculator) {
+        const errors = this.getFieldErrors(document, calculator);
+
+        return {
+            buildingData: document.buildingData,
+            project: document.project || {},
+            errors,
+            recalculate: Boolean(document.results) && errors.length === 0
+        };
+    }
+}
+
+// Identifies assessment files among other JSON
+AssessmentSchema.documentType = 'precision-hvac-assessment';
+
+// Load the schema document: required in Node, fetched in the browser
+AssessmentSchema.load = async function() {
+    const ManualJCalculator = AssessmentSchema.getCalculatorClass();
+    return new AssessmentSchema(await ManualJCalculator.loadDataFile('data/assessment-schema.json'));
+};
+
+// The calculator class: required in Node, the page global in the browser
+AssessmentSchema.getCalculatorClass = function() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./manual-j-calculator.js');
+    }
+    return window.ManualJCalculator;
+};
+
+// How each JSON type reads in an error message
+AssessmentSchema.typeNames = {
+    string: 'text',
+    number: 'a number',
+    integer: 'a whole number',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'a list',
+    null: 'empty'
+};
+
+AssessmentSchema.matchesType = function(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && isFinite(value);
+        default: return typeof value === type;
+    }
+};
+
+// The calculator fields of a building object, without the form input ids collectFormData also keeps
+AssessmentSchema.pickBuildingData = function(building) {
+    const fields = AssessmentSchema.getCalculatorClass().formFields.map(([field]) => field);
+    const picked = {};
+
+    [...fields, 'latitude', 'longitude'].forEach(field => {
+        if (building[field] !== undefined) picked[field] = building[field];
+    });
+    picked.rooms = Array.isArray(building.rooms) ? building.rooms : [];
+    return picked;
+};
+
+// Migrations from each schema version to the next
+AssessmentSchema.migrations = {
+    // 1 → 2: flat form data (or the command-line runner's { input, results } output) becomes buildingData
+    // by calculator field, with results and an empty project record
+    1: document => {
+        const fromRunner = document.input && typeof document.input === 'object';
+        const values = fromRunner ? document.input : document;
+        const ManualJCalculator = AssessmentSchema.getCalculatorClass();
+
+        return {
+            schema: AssessmentSchema.documentType,
+            schemaVersion: 2,
+            exportedAt: null,
+            project: {},
+            buildingData: AssessmentSchema.pickBuildingData(ManualJCalculator.mapFormValues(values)),
+            results: fromRunner && document.results ? document.results : null
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AssessmentSchema;
+} else {
+    window.AssessmentSchema = AssessmentSchema;
+}
@@ -0,0 +1,243 @@
+/**
+ * Utility Bill Savings Engine
+ * Prices before/after energy use on PG&E residential tariffs (E-1, E-TOU-C, E-ELEC, G-1)
+ * using baseline territories and rates from the local rate table
+ */
+
+class BillSavingsEngine {
+    constructor(rates) {
+        this.rates = rates;
+        this.daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+        this.afterTariffs = ['E-1', 'E-TOU-C', 'E-ELEC'];
+    }
+
+    // Baseline territory for a design weather station
+    getTerritory(stationId) {
+        const territories = this.rates.baselineTerritories;
+        return territories.stations[stationId] || territories.default;
+    }
+
+    getElectricSeason(month) {
+        return this.rates.seasons.electricSummerMonths.includes(month) ? 'summer' : 'winter';
+    }
+
+    getGasSeason(month) {
+        return this.rates.seasons.gasWinterMonths.includes(month) ? 'winter' : 'summer';
+    }
+
+    /**
+     * Price twelve months of electricity on a tariff.
+     * monthlyUse: [{ household, heating, cooling }] kWh per month
+     */
+    calculateElectricBill(monthlyUse, tariffCode, { territory, allElectric = false }) {
+        const tariff = this.rates.electric[tariffCode];
+        if (!tariff) {
+            throw new Error(`Unknown electric tariff: ${tariffCode}`);
+        }
+
+        const baselineType = allElectric ? 'allElectric' : 'basic';
+        const monthly = monthlyUse.map((use, month) => {
+            const season = this.getElectricSeason(month);
+            const prices = tariff[season];
+            const total = use.household + use.heating + use.cooling;
+            const baseline = this.daysInMonth[month] * this.rates.electricBaseline[baselineType][territory][season];
+
+            let cost;
+            if (tariff.type === 'tiered') {
+                cost = Math.min(total, baseline) * prices.tier1 + Math.max(0, total - baseline) * prices.tier2;
+            } else {
+                // Time-of-use: each end use has its own share of peak and part-peak hours
+                cost = ['household', 'heating', 'cooling'].reduce((sum, endUse) => {
+                    const shape = this.rates.loadShapes[endUse];
+                    const offPeak = 1 - shape.peak - shape.partPeak;
+                    const price = shape.peak * prices.peak + shape.partPeak * prices.partPeak + offPeak * prices.offPeak;
+                    return sum + use[endUse] * price;
+                }, 0);
+                cost -= Math.min(total, baseline) * tariff.baselineCredit;
+            }
+
+            return Math.round((cost + tariff.fixedMonthly) * 100) / 100;
+        });
+
+        return {
+            tariff: tariffCode,
+            name: tariff.name,
+            monthly: monthly,
+            annual: Math.round(monthly.reduce((sum, cost) => sum + cost, 0))
+        };
+    }
+
+    // Price twelve months of gas use (therms) on G-1 baseline and excess rates
+    calculateGasBill(monthlyTherms, territory) {
+        const rate = this.rates.gas['G-1'];
+        const monthly = monthlyTherms.map((therms, month) => {
+            const baseline = this.daysInMonth[month] * this.rates.gasBaseline[territory][this.getGasSeason(month)];
+            const cost = Math.min(therms, baseline) * rate.baseline + Math.max(0, therms - baseline) * rate.excess;
+            return Math.round(cost * 100) / 100;
+        });
+
+        return {
+            monthly: monthly,
+            annual: Math.round(monthly.reduce((sum, cost) => sum + cost, 0))
+        };
+    }
+
+    // Monthly household kWh that reproduces an average monthly electric bill
+    inferMonthlyKWh(monthlyBill, tariffCode, territory) {
+        return this.solveForUsage(monthlyBill, kWh =>
+            this.calculateElectricBill(
+                Array(12).fill({ household: kWh, heating: 0, cooling: 0 }), tariffCode, { territory }
+            ).annual / 12
+        );
+    }
+
+    // Monthly therms that reproduce an average monthly gas bill
+    inferMonthlyTherms(monthlyBill, territory) {
+        return this.solveForUsage(monthlyBill, therms =>
+            this.calculateGasBill(Array(12).fill(therms), territory).annual / 12
+        );
+    }
+
+    // Bisection on a monotonic usage-to-bill function
+    solveForUsage(targetBill, billForUsage) {
+        let low = 0;
+        let high = 10000;
+        for (let i = 0; i < 40; i++) {
+            const mid = (low + high) / 2;
+            if (billForUsage(mid) < targetBill) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Before/after annual costs for replacing the existing system with the simulated heat pump.
+     * simulation: monthly heat pump kWh (heating, cooling) and heat delivered (kBtu)
+     * existing: { heating: 'gas'|'resistance'|'heat-pump'|'none', furnaceEfficiency,
+     *             heatingKWhFactor, coolingKWhFactor } relative to the new heat pump
+     * bills: average monthly { gas, electric } dollars, or null when unknown
+     */
+    compareBills({ territory, simulation, existing, bills = {}, currentTariff = 'E-TOU-C', otherGasTherms, householdKWh = 450 }) {
+        const months = Array.from({ length: 12 }, (value, month) => month);
+        let heatDelivered = simulation.heatDelivered.slice();
+        let heatPumpHeating = simulation.heating.slice();
+        let heatPumpCooling = simulation.cooling.slice();
+        const calibration = { gas: 1, electric: 1 };
+
+        // Existing heating and cooling use implied by the simulated loads
+        let existingTherms = heatDelivered.map(kBtu =>
+            existing.heating === 'gas' ? kBtu / (existing.furnaceEfficiency * 100) : 0
+        );
+
+        let otherTherms = otherGasTherms.slice();
+        if (bills.gas > 0) {
+            const billedTherms = this.inferMonthlyTherms(bills.gas, territory) * 12;
+            const heatingTherms = existingTherms.reduce((sum, therms) => sum + therms, 0);
+
+            // Heating cannot plausibly exceed 85% of billed gas; scale the simulated heating down to match
+            if (heatingTherms > billedTherms * 0.85) {
+                calibration.gas = billedTherms * 0.85 / heatingTherms;
+                heatDelivered = heatDelivered.map(kBtu => kBtu * calibration.gas);
+                heatPumpHeating = heatPumpHeating.map(kWh => kWh * calibration.gas);
+                existingTherms = existingTherms.map(therms => therms * calibration.gas);
+            }
+
+            const remaining = Math.max(0, billedTherms - existingTherms.reduce((sum, therms) => sum + therms, 0));
+            otherTherms = months.map(() => remaining / 12);
+        }
+
+        let existingHeatingKWh = months.map(month => {
+            if (existing.heating === 'resistance') return heatDelivered[month] * 1000 / 3412;
+            if (existing.heating === 'heat-pump') return heatPumpHeating[month] * existing.heatingKWhFactor;
+            return 0;
+        });
+        let existingCoolingKWh = heatPumpCooling.map(kWh => kWh * existing.coolingKWhFactor);
+
+        let household = householdKWh;
+        if (bills.electric > 0) {
+            const billedKWh = this.inferMonthlyKWh(bills.electric, currentTariff, territory) * 12;
+            const existingHvacKWh = [...existingHeatingKWh, ...existingCoolingKWh].reduce((sum, kWh) => sum + kWh, 0);
+
+            // Same check for electric heating and cooling: at most 60% of the billed kWh
+            if (existingHvacKWh > billedKWh * 0.6) {
+                calibration.electric = billedKWh * 0.6 / existingHvacKWh;
+                existingHeatingKWh = existingHeatingKWh.map(kWh => kWh * calibration.electric);
+                existingCoolingKWh = existingCoolingKWh.map(kWh => kWh * calibration.electric);
+                heatPumpCooling = heatPumpCooling.map(kWh => kWh * calibration.electric);
+                if (existing.heating !== 'gas') {
+                    heatPumpHeating = heatPumpHeating.map(kWh => kWh * calibration.electric);
+                }
+            }
+
+            household = Math.max(150, (billedKWh - existingHvacKWh * calibration.electric) / 12);
+        }
+
+        const beforeUse = months.map(month => ({
+            household: household,
+            heating: existingHeatingKWh[month],
+            cooling: existingCoolingKWh[month]
+        }));
+        const afterUse = months.map(month => ({
+            household: household,
+            heating: heatPumpHeating[month],
+            cooling: heatPumpCooling[month]
+        }));
+
+        const beforeGasTherms = months.map(month => existingTherms[month] + otherTherms[month]);
+        const afterGasTherms = otherTherms;
+        const allElectricAfter = afterGasTherms.every(therms => therms === 0);
+
+        const beforeElectric = this.calculateElectricBill(beforeUse, currentTariff, { territory });
+        const beforeGas = this.calculateGasBill(beforeGasTherms, territory);
+        const afterGas = this.calculateGasBill(afterGasTherms, territory);
+
+        const tariffOptions = this.afterTariffs
+            .map(code => this.calculateElectricBill(afterUse, code, { territory, allElectric: allElectricAfter }))
+            .sort((a, b) => a.annual - b.annual);
+        const afterElectric = tariffOptions[0];
+
+        const before = {
+            tariff: currentTariff,
+            electric: beforeElectric.annual,
+            gas: beforeGas.annual,
+            total: beforeElectric.annual + beforeGas.annual
+        };
+        const after = {
+            tariff: afterElectric.tariff,
+            electric: afterElectric.annual,
+            gas: afterGas.annual,
+            total: afterElectric.annual + afterGas.annual
+        };
+
+        return {
+            territory: territory,
+            rateVersion: this.rates.version,
+            calibration: {
+                gas: Math.round(calibration.gas * 100) / 100,
+                electric: Math.round(calibration.electric * 100) / 100
+            },
+            before: before,
+            after: after,
+            annualSavings: before.total - after.total,
+            tariffOptions: tariffOptions.map(option => ({
+                tariff: option.tariff,
+                name: option.name,
+                annual: option.annual + afterGas.annual
+            })),
+            monthly: {
+                before: months.map(month => Math.round(beforeElectric.monthly[month] + beforeGas.monthly[month])),
+                after: months.map(month => Math.round(afterElectric.monthly[month] + afterGas.monthly[month]))
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BillSavingsEngine;
+} else {
+    window.BillSavingsEngine = BillSavingsEngine;
+}
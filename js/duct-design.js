@@ -0,0 +1,195 @@
+/**
+ * Duct Design (Manual D Lite)
+ * Friction rate from the blower's available static pressure and the total effective length,
+ * then round and rectangular sizes for the trunks and each room's branch
+ */
+
+class DuctDesigner {
+    constructor() {
+        // Pressure drops (in. w.c.) taken out of the blower's external static pressure before the ducts
+        this.componentLosses = {
+            filter: 0.1,
+            supplyOutlet: 0.03,
+            returnGrille: 0.03,
+            balancingDamper: 0.03
+        };
+
+        // Manual D residential velocity limits (fpm) for sheet metal runs
+        this.maxVelocity = {
+            supplyTrunk: 900,
+            returnTrunk: 700,
+            branch: 600
+        };
+
+        // Manual D design friction rate range (in. w.c. per 100 ft)
+        this.frictionRange = { min: 0.06, max: 0.18 };
+
+        this.roundSizes = [4, 5, 6, 7, 8, 9, 10, 12, 14, 16, 18, 20, 22, 24];
+
+        // Stock rectangular heights, shallowest first; aspect ratio is kept at 4:1 or less
+        this.rectangularHeights = { trunk: [8, 10, 12, 14, 16], branch: [6, 8, 10] };
+        this.maxAspectRatio = 4;
+
+        // Largest airflow one branch run should carry before the room gets another outlet
+        this.maxBranchCFM = 150;
+    }
+
+    // Friction rate available to the duct runs: static pressure left after the components, per 100 ft of effective length
+    calculateFrictionRate({ staticPressure, supplyLength, returnLength }) {
+        const componentTotal = Object.values(this.componentLosses).reduce((sum, loss) => sum + loss, 0);
+        const availableStatic = Math.max(staticPressure - componentTotal, 0);
+        const totalEffectiveLength = supplyLength + returnLength;
+
+        return {
+            staticPressure,
+            componentLosses: Math.round(componentTotal * 100) / 100,
+            availableStatic: Math.round(availableStatic * 100) / 100,
+            totalEffectiveLength,
+            frictionRate: Math.round(availableStatic * 100 / totalEffectiveLength * 1000) / 1000
+        };
+    }
+
+    // Round duct diameter that stays within the friction rate and velocity limit, rounded up to a stock size
+    sizeRound(cfm, frictionRate, maxVelocity) {
+        // ASHRAE friction equation for galvanized round duct: ΔP/100 ft = 0.109136 · Q^1.9 / D^5.02
+        const frictionDiameter = Math.pow(0.109136 * Math.pow(cfm, 1.9) / frictionRate, 1 / 5.02);
+        const velocityDiameter = Math.sqrt(cfm / maxVelocity * 144 * 4 / Math.PI);
+        const required = Math.max(frictionDiameter, velocityDiameter);
+
+        return this.roundSizes.find(size => size >= required) || Math.ceil(required / 2) * 2;
+    }
+
+    // Rectangular duct whose equivalent diameter matches a round size (Huebscher), using the
+    // shallowest stock height that keeps the aspect ratio in range
+    sizeRectangular(roundDiameter, heights) {
+        const widthFor = height => {
+            const equivalent = width => 1.3 * Math.pow(width * height, 0.625) / Math.pow(width + height, 0.25);
+            let width = 4;
+            while (equivalent(width) < roundDiameter) {
+                width += 2;
+            }
+            return width;
+        };
+
+        const height = heights.find(option => widthFor(option) <= option * this.maxAspectRatio) || heights[heights.length - 1];
+        return { width: widthFor(height), height };
+    }
+
+    // Velocity (fpm) through a round duct
+    getVelocity(cfm, diameter) {
+        return Math.round(cfm / (Math.PI * diameter * diameter / 4 / 144));
+    }
+
+    // One row of the duct schedule
+    sizeRun({ section, name, cfm, count = 1, maxVelocity, rectangularHeights, frictionRate }) {
+        const round = this.sizeRound(cfm, frictionRate, maxVelocity);
+        const rectangular = this.sizeRectangular(round, rectangularHeights);
+
+        return {
+            section,
+            name,
+            count,
+            cfm: Math.round(cfm),
+            round,
+            rectangular: `${rectangular.width} x ${rectangular.height}`,
+            velocity: this.getVelocity(cfm, round)
+        };
+    }
+
+    /**
+     * Reuse or replace the existing ducts based on their condition and location.
+     * condition: the ductwork input (excellent, good, fair, poor, none); location: the duct location input
+     */
+    getStrategy({ condition, location }) {
+        const outside = ['attic', 'crawlspace', 'mixed'].includes(location);
+        const strategies = {
+            'excellent': {
+                action: 'reuse',
+                label: 'Reuse existing ducts',
+                reason: 'Check the existing trunk and branches against this schedule and replace only runs that are smaller'
+            },
+            'good': {
+                action: 'reuse',
+                label: 'Reuse existing ducts',
+                reason: 'Seal accessible joints, then replace any run smaller than this schedule'
+            },
+            'fair': {
+                action: 'repair',
+                label: 'Reuse after sealing and testing',
+                reason: 'Seal and leakage-test the ducts; replace branches that are undersized or damaged'
+            },
+            'poor': {
+                action: 'replace',
+                label: 'Replace the duct system',
+                reason: 'Leaky ducts are cheaper to replace than to repair; install new runs to this schedule'
+            },
+            'none': {
+                action: 'new',
+                label: 'New duct system',
+                reason: 'No existing ducts; install new runs to this schedule, or use ductless heads instead'
+            }
+        };
+
+        const strategy = { ...(strategies[condition] || strategies.fair) };
+        if (outside && strategy.action !== 'new') {
+            strategy.reason += `. Ducts in the ${location === 'mixed' ? 'attic or crawlspace' : location} should be R-8 and sealed to under 4 CFM25 per 100 sq ft`;
+        }
+        return strategy;
+    }
+
+    /**
+     * Build the duct schedule.
+     * rooms: [{ name, cfm, count }] supply airflow per outlet, split further above maxBranchCFM; systemCFM: blower airflow;
+     * staticPressure: blower external static pressure (in. w.c.); lengths are total effective lengths in feet
+     */
+    design({ systemCFM, rooms, staticPressure = 0.5, supplyLength = 200, returnLength = 100, condition = 'fair', location = 'attic' }) {
+        const friction = this.calculateFrictionRate({ staticPressure, supplyLength, returnLength });
+        // Size to the design range when the blower leaves too little or too much pressure
+        const frictionRate = Math.min(Math.max(friction.frictionRate, this.frictionRange.min), this.frictionRange.max);
+
+        const schedule = [
+            this.sizeRun({
+                section: 'Supply trunk', name: 'Main supply', cfm: systemCFM, frictionRate,
+                maxVelocity: this.maxVelocity.supplyTrunk, rectangularHeights: this.rectangularHeights.trunk
+            }),
+            this.sizeRun({
+                section: 'Return trunk', name: 'Main return', cfm: systemCFM, frictionRate,
+                maxVelocity: this.maxVelocity.returnTrunk, rectangularHeights: this.rectangularHeights.trunk
+            }),
+            ...rooms.map(room => {
+                // Split large rooms across several outlets
+                const count = (room.count || 1) * Math.max(1, Math.ceil(room.cfm / (room.count || 1) / this.maxBranchCFM));
+                return this.sizeRun({
+                    section: 'Branch', name: room.name, cfm: room.cfm * (room.count || 1) / count, count, frictionRate,
+                    maxVelocity: this.maxVelocity.branch, rectangularHeights: this.rectangularHeights.branch
+                });
+            })
+        ];
+
+        const warnings = [];
+        if (friction.frictionRate < this.frictionRange.min) {
+            warnings.push(`Only ${friction.availableStatic} in. w.c. is left for ${friction.totalEffectiveLength} ft of effective length; ` +
+                'shorten the longest runs or use a blower with more static pressure');
+        } else if (friction.frictionRate > this.frictionRange.max) {
+            warnings.push(`The ${friction.frictionRate} in. w.c./100 ft friction rate is above the design range; ` +
+                'sizes use the upper limit, so add balancing dampers to trim the short runs');
+        }
+
+        return {
+            method: 'Manual D (simplified)',
+            systemCFM: Math.round(systemCFM),
+            ...friction,
+            designFrictionRate: frictionRate,
+            schedule,
+            strategy: this.getStrategy({ condition, location }),
+            warnings
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DuctDesigner;
+} else {
+    window.DuctDesigner = DuctDesigner;
+}
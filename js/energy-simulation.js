@@ -0,0 +1,137 @@
+/**
+ * Bin-Hour Energy Simulation
+ * Runs the heat pump against TMY-style monthly temperature bins for the design station
+ * to estimate monthly kWh, heat delivered (kBtu), gas therms avoided and peak electric demand
+ */
+
+class EnergySimulation {
+    constructor(weatherData) {
+        this.weatherData = weatherData || { stations: {} };
+        this.monthLabels = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    }
+
+    // Monthly [temperature, hours] bins for a station, falling back to the dataset default
+    getStationBins(stationId) {
+        const stations = this.weatherData.stations || {};
+        if (stations[stationId]) {
+            return { stationId, months: stations[stationId] };
+        }
+
+        const fallbackId = this.weatherData.defaultStation;
+        return stations[fallbackId] ? { stationId: fallbackId, months: stations[fallbackId] } : null;
+    }
+
+    // Heating COP at an outdoor temperature, scaled from the seasonal HSPF2 rating
+    getHeatingCOP(heatPump, outdoorTemp) {
+        const seasonalCOP = heatPump.hspf2 / 3.412;
+        const cop = seasonalCOP * (1 + 0.025 * (outdoorTemp - 35));
+        return Math.min(Math.max(cop, 1.2), seasonalCOP * 1.6);
+    }
+
+    // Cooling EER at an outdoor temperature: SEER2 applies at 82°F, EER2 at 95°F
+    getCoolingEER(heatPump, outdoorTemp) {
+        const eer = heatPump.seer2 + (heatPump.eer2 - heatPump.seer2) * (outdoorTemp - 82) / 13;
+        return Math.max(eer, 5);
+    }
+
+    /**
+     * Simulate a year of operation.
+     * heating/cooling: { designLoad, indoorTemp, designTemp, internalGains } with design loads
+     * excluding safety factors; heatPump: { capacityAt(temp), coolingCapacity, hspf2, seer2, eer2 }
+     */
+    simulate({ stationId, heating, cooling, heatPump, furnaceEfficiency = 0.8, replacesGas = true }) {
+        const weather = this.getStationBins(stationId);
+        if (!weather) {
+            throw new Error('No weather bin data loaded for the energy simulation');
+        }
+
+        // Heat loss coefficient and the outdoor temperatures where heating and cooling begin
+        const lossCoefficient = heating.designLoad / (heating.indoorTemp - heating.designTemp);
+        const heatingBalance = heating.indoorTemp - heating.internalGains / lossCoefficient;
+        const coolingBalance = Math.min(
+            cooling.indoorTemp - cooling.internalGains / lossCoefficient,
+            cooling.designTemp - 1
+        );
+
+        const monthly = {
+            labels: this.monthLabels,
+            heating: [],
+            cooling: [],
+            total: [],
+            heatDelivered: [],
+            backupHeating: [],
+            thermsAvoided: [],
+            peakDemand: []
+        };
+
+        weather.months.forEach(bins => {
+            let heatingKWh = 0;
+            let coolingKWh = 0;
+            let backupKWh = 0;
+            let heatDelivered = 0;
+            let therms = 0;
+            let peakKW = 0;
+
+            bins.forEach(([temp, hours]) => {
+                if (temp < heatingBalance) {
+                    const load = lossCoefficient * (heatingBalance - temp);
+                    const heatPumpOutput = Math.min(load, heatPump.capacityAt(temp));
+                    const backup = load - heatPumpOutput;
+                    const demandKW = (heatPumpOutput / this.getHeatingCOP(heatPump, temp) + backup) / 3412;
+
+                    heatingKWh += demandKW * hours;
+                    backupKWh += backup / 3412 * hours;
+                    heatDelivered += load / 1000 * hours;
+                    if (replacesGas) {
+                        therms += load / furnaceEfficiency / 100000 * hours;
+                    }
+                    peakKW = Math.max(peakKW, demandKW);
+                } else if (temp > coolingBalance) {
+                    const load = Math.min(
+                        cooling.designLoad * (temp - coolingBalance) / (cooling.designTemp - coolingBalance),
+                        heatPump.coolingCapacity
+                    );
+                    const demandKW = load / this.getCoolingEER(heatPump, temp) / 1000;
+
+                    coolingKWh += demandKW * hours;
+                    peakKW = Math.max(peakKW, demandKW);
+                }
+            });
+
+            monthly.heating.push(Math.round(heatingKWh));
+            monthly.cooling.push(Math.round(coolingKWh));
+            monthly.total.push(Math.round(heatingKWh + coolingKWh));
+            monthly.heatDelivered.push(Math.round(heatDelivered));
+            monthly.backupHeating.push(Math.round(backupKWh));
+            monthly.thermsAvoided.push(Math.round(therms));
+            monthly.peakDemand.push(Math.round(peakKW * 10) / 10);
+        });
+
+        const sum = values => values.reduce((total, value) => total + value, 0);
+
+        monthly.annual = {
+            heatingKWh: sum(monthly.heating),
+            coolingKWh: sum(monthly.cooling),
+            totalKWh: sum(monthly.total),
+            heatDeliveredKBtu: sum(monthly.heatDelivered),
+            backupHeatingKWh: sum(monthly.backupHeating),
+            thermsAvoided: sum(monthly.thermsAvoided),
+            peakDemandKW: Math.max(...monthly.peakDemand)
+        };
+        monthly.method = 'bin-hour';
+        monthly.station = weather.stationId;
+        monthly.balancePoints = {
+            heating: Math.round(heatingBalance * 10) / 10,
+            cooling: Math.round(coolingBalance * 10) / 10
+        };
+
+        return monthly;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnergySimulation;
+} else {
+    window.EnergySimulation = EnergySimulation;
+}
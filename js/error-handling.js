@@ -131,6 +131,11 @@ class ErrorHandling {
      * Classify error type
      */
     classifyError(errorInfo) {
+        // Callers that already validated the input say so, even when offline
+        if (errorInfo.type === this.errorTypes.VALIDATION_ERROR) {
+            return errorInfo.type;
+        }
+        
         const message = errorInfo.message?.toLowerCase() || '';
         
         if (message.includes('calculation') || message.includes('invalid') || 
@@ -502,23 +507,37 @@ class ErrorHandling {
     }
 
     /**
-     * Highlight input fields with validation errors
+     * Highlight input fields with validation errors.
+     * context.fieldErrors ([{ input, message }]) also puts each field's message under it
      */
     highlightInputErrors(errorData) {
-        if (errorData.context.invalidFields) {
-            errorData.context.invalidFields.forEach(fieldId => {
-                const field = document.getElementById(fieldId);
-                if (field) {
-                    field.classList.add('error-highlight');
-                    field.focus();
-                    
-                    // Remove highlight after interaction
-                    field.addEventListener('input', () => {
-                        field.classList.remove('error-highlight');
-                    }, { once: true });
+        const fieldErrors = errorData.context.fieldErrors || [];
+        const invalidFields = errorData.context.invalidFields || fieldErrors.map(error => error.input);
+        
+        invalidFields.forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.classList.add('error-highlight');
+                field.focus();
+                
+                const fieldError = fieldErrors.find(error => error.input === fieldId);
+                let note = null;
+                if (fieldError) {
+                    field.parentNode.querySelector(`.error-field-message[data-for="${fieldId}"]`)?.remove();
+                    note = document.createElement('small');
+                    note.className = 'error-field-message';
+                    note.dataset.for = fieldId;
+                    note.textContent = fieldError.message;
+                    field.insertAdjacentElement('afterend', note);
                 }
-            });
-        }
+                
+                // Remove highlight after interaction
+                field.addEventListener('input', () => {
+                    field.classList.remove('error-highlight');
+                    if (note) note.remove();
+                }, { once: true });
+            }
+        });
     }
 
     /**
@@ -1102,6 +1121,12 @@ class ErrorHandling {
                 animation: shake 0.5s ease-in-out;
             }
 
+            .error-field-message {
+                display: block;
+                color: #dc3545;
+                margin-top: 4px;
+            }
+
             @keyframes shake {
                 0%, 100% { transform: translateX(0); }
                 25% { transform: translateX(-5px); }
@@ -2,6 +2,7 @@
  * ACCA Manual J Load Calculation Engine
  * Based on ACCA Manual J 8th Edition standards
  * Simplified implementation for residential load calculations
+ * No DOM access: runs in the browser or under Node (see manual-j-enhanced.js for the page wiring)
  */
 
 class ManualJCalculator {
@@ -9,57 +10,43 @@ class ManualJCalculator {
         this.climateData = this.initializeClimateData();
         this.thermalProperties = this.initializeThermalProperties();
         this.equipmentDatabase = this.initializeEquipmentDatabase();
+        this.weatherData = this.initializeWeatherData();
+        this.rateData = this.initializeRateData();
+        this.rebateData = this.initializeRebateData();
     }
 
-    // Initialize Bay Area climate data
+    // Initialize climate data from the Northern California station dataset
     initializeClimateData() {
+        // Node can read the dataset directly; browsers load it through loadReferenceData()
+        const dataset = (typeof module !== 'undefined' && module.exports) ?
+            require('../data/climate-stations.json') : {};
+        return this.buildClimateData(dataset);
+    }
+
+    // Index the climate dataset by station, city and ZIP
+    buildClimateData(dataset) {
+        const stations = {};
+        (dataset.stations || []).forEach(station => {
+            stations[station.id] = station;
+        });
+        
         return {
-            // Climate Zone 3 (Bay Area coastal)
-            'san-francisco': {
-                zone: '3C',
-                winterDesignTemp: 35, // 99% heating design temperature
-                summerDesignTemp: 85, // 1% cooling design temperature
-                summerWetBulb: 65,
-                dailyRange: 15,
-                windSpeed: 15,
-                elevation: 52
-            },
-            'oakland': {
-                zone: '3C',
-                winterDesignTemp: 32,
-                summerDesignTemp: 87,
-                summerWetBulb: 65,
-                dailyRange: 18,
-                windSpeed: 12,
-                elevation: 42
-            },
-            'berkeley': {
-                zone: '3C',
-                winterDesignTemp: 33,
-                summerDesignTemp: 86,
-                summerWetBulb: 65,
-                dailyRange: 17,
-                windSpeed: 14,
-                elevation: 300
-            },
-            'san-jose': {
-                zone: '3C',
-                winterDesignTemp: 30,
-                summerDesignTemp: 95,
-                summerWetBulb: 68,
-                dailyRange: 25,
-                windSpeed: 8,
-                elevation: 82
-            },
-            // Default Bay Area values
-            'default': {
+            version: dataset.version || null,
+            stations: stations,
+            cities: dataset.cities || {},
+            zips: dataset.zips || {},
+            // Bay Area values used when the location cannot be matched
+            default: {
                 zone: '3C',
+                climateZone: null,
                 winterDesignTemp: 32,
                 summerDesignTemp: 90,
                 summerWetBulb: 66,
                 dailyRange: 20,
                 windSpeed: 12,
-                elevation: 100
+                elevation: 100,
+                station: null,
+                location: { zip: null, city: null, county: null, matchedBy: 'default' }
             }
         };
     }
@@ -91,64 +78,348 @@ class ManualJCalculator {
                 'light': { absorptance: 0.3 },
                 'medium': { absorptance: 0.6 },
                 'dark': { absorptance: 0.9 }
+            },
+            // Cladding adds its own R-value (including any air space behind it) and thermal mass
+            exteriorFinishes: {
+                'vinyl': { addedR: 0.6, thermalMass: 'light' },
+                'wood': { addedR: 0.8, thermalMass: 'light' },
+                'brick': { addedR: 1.1, thermalMass: 'heavy' },
+                'stucco': { addedR: 0.2, thermalMass: 'medium' },
+                'stone': { addedR: 0.6, thermalMass: 'heavy' },
+                'fiber-cement': { addedR: 0.2, thermalMass: 'light' }
+            },
+            // Share of the wall sol-air rise that reaches the room by the design hour
+            solarDamping: {
+                'light': 1.0,
+                'medium': 0.8,
+                'heavy': 0.6
+            },
+            // Frame U-values; the frame is about 20% of the rough opening
+            windowFrames: {
+                'aluminum': { uValue: 1.9 },
+                'aluminum-thermal': { uValue: 1.0 },
+                'wood': { uValue: 0.45 },
+                'vinyl': { uValue: 0.45 },
+                'fiberglass': { uValue: 0.4 }
+            },
+            frameFraction: 0.2,
+            // Share of absorbed roof solar that reaches the attic or ceiling: tile is laid over a
+            // ventilated batten space, metal sheds heat quickly, slate and tile add mass
+            roofMaterials: {
+                'asphalt': { solarFactor: 1.0 },
+                'tile': { solarFactor: 0.7 },
+                'metal': { solarFactor: 0.85 },
+                'slate': { solarFactor: 0.85 },
+                'wood': { solarFactor: 0.9 }
+            },
+            // Peak solar on a vertical surface relative to 200 Btu/h·sq ft, by the way it faces
+            solarExposure: {
+                'north': 0.2,
+                'northeast': 0.5,
+                'east': 0.7,
+                'southeast': 0.55,
+                'south': 0.4,
+                'southwest': 0.7,
+                'west': 0.9,
+                'northwest': 0.5
+            },
+            // Occupancy patterns: design-hour equipment gains, day-averaged gain multiplier,
+            // comfort setpoint limits and the average thermostat setback while away
+            usageTypes: {
+                'standard': { equipmentGain: 0, averageGainFactor: 1.0, minHeatingTemp: null, maxCoolingTemp: null, setback: 0 },
+                'home-office': { equipmentGain: 800, averageGainFactor: 1.15, minHeatingTemp: null, maxCoolingTemp: null, setback: 0 },
+                'vacation': { equipmentGain: 0, averageGainFactor: 0.5, minHeatingTemp: null, maxCoolingTemp: null, setback: 6 },
+                'elderly': { equipmentGain: 0, averageGainFactor: 1.0, minHeatingTemp: 72, maxCoolingTemp: 74, setback: 0 }
+            },
+            // LBL N-factors (ACH50 per natural ACH) by leakage climate zone and wind shielding,
+            // for 1, 1.5, 2 and 3 stories
+            infiltration: {
+                stories: [1, 1.5, 2, 3],
+                nFactors: {
+                    1: { 'well-shielded': [18.6, 16.7, 14.9, 13.0], 'normal': [15.5, 14.0, 12.4, 10.9], 'exposed': [14.0, 12.6, 11.2, 9.8] },
+                    2: { 'well-shielded': [22.2, 20.0, 17.8, 15.5], 'normal': [18.5, 16.7, 14.8, 13.0], 'exposed': [16.7, 15.0, 13.3, 11.7] },
+                    3: { 'well-shielded': [25.8, 23.2, 20.6, 18.1], 'normal': [21.5, 19.4, 17.2, 15.1], 'exposed': [19.4, 17.4, 15.5, 13.5] },
+                    4: { 'well-shielded': [29.4, 26.5, 23.5, 20.6], 'normal': [24.5, 22.1, 19.6, 17.2], 'exposed': [22.1, 19.8, 17.6, 15.4] }
+                }
+            },
+            ducts: {
+                // Share of the indoor-outdoor difference seen by ducts in winter,
+                // and temperature rise over outdoor design in summer
+                locations: {
+                    'conditioned': { heatingExposure: 0, coolingRise: 0 },
+                    'attic': { heatingExposure: 1.0, coolingRise: 30 },
+                    'crawlspace': { heatingExposure: 0.6, coolingRise: -10 },
+                    'basement': { heatingExposure: 0.3, coolingRise: -15 },
+                    'mixed': { heatingExposure: 0.8, coolingRise: 10 }
+                },
+                // Total leakage as a fraction of system airflow, by ductwork condition
+                leakage: {
+                    'excellent': 0.04,
+                    'good': 0.08,
+                    'fair': 0.15,
+                    'poor': 0.25
+                },
+                supplyAreaFactor: 0.27, // Supply duct surface per sq ft of floor (ASHRAE 152)
+                returnAreaFactor: 0.05, // Return duct surface per sq ft of floor
+                heatingSupplyTemp: 105,
+                coolingSupplyTemp: 55
             }
         };
     }
 
-    // Initialize equipment database
+    // Initialize equipment database from the heat pump catalog
     initializeEquipmentDatabase() {
+        // Node can read the catalog directly; browsers load it through loadReferenceData()
+        if (typeof module !== 'undefined' && module.exports) {
+            return this.buildEquipmentDatabase(require('../data/heat-pump-catalog.json'));
+        }
+        return { version: null, heatPumps: [], indoorUnits: [] };
+    }
+
+    // Initialize TMY-style weather bins for the energy simulation
+    initializeWeatherData() {
+        if (typeof module !== 'undefined' && module.exports) {
+            return require('../data/weather-bins.json');
+        }
+        return { stations: {} };
+    }
+
+    // Initialize the PG&E rate table for bill savings
+    initializeRateData() {
+        if (typeof module !== 'undefined' && module.exports) {
+            return require('../data/pge-rates.json');
+        }
+        return null;
+    }
+
+    // Initialize the incentive program rules for rebate eligibility
+    initializeRebateData() {
+        if (typeof module !== 'undefined' && module.exports) {
+            return require('../data/rebate-programs.json');
+        }
+        return null;
+    }
+
+    // Load reference data files (equipment catalog, climate stations, weather bins, rates, rebate programs) in the browser
+    async loadReferenceData(basePath = 'data/') {
+        const [catalog, climate, weather, rates, rebates] = await Promise.all([
+            ManualJCalculator.loadDataFile(`${basePath}heat-pump-catalog.json`),
+            ManualJCalculator.loadDataFile(`${basePath}climate-stations.json`),
+            ManualJCalculator.loadDataFile(`${basePath}weather-bins.json`),
+            ManualJCalculator.loadDataFile(`${basePath}pge-rates.json`),
+            ManualJCalculator.loadDataFile(`${basePath}rebate-programs.json`)
+        ]);
+        this.loadEquipmentCatalog(catalog);
+        this.climateData = this.buildClimateData(climate);
+        this.weatherData = weather;
+        this.rateData = rates;
+        this.rebateData = rebates;
+    }
+
+    // Replace the equipment database with a catalog object
+    loadEquipmentCatalog(catalog) {
+        this.equipmentDatabase = this.buildEquipmentDatabase(catalog);
+        return this.equipmentDatabase;
+    }
+
+    // Normalize catalog rows into the equipment records used by recommendations
+    buildEquipmentDatabase(catalog) {
+        const heatPumps = (catalog.models || []).map(model => ({
+            ...model,
+            // HSPF ≈ HSPF2 / 0.85 for comparison with older program thresholds
+            heatingEfficiency: { hspf2: model.hspf2, hspf: Math.round(model.hspf2 / 0.85 * 10) / 10 },
+            coolingEfficiency: { seer2: model.seer2, eer2: model.eer2, seer: Math.round(model.seer2 / 0.955 * 10) / 10 },
+            costRange: model.cost
+        }));
+        
+        return { version: catalog.version || null, heatPumps, indoorUnits: catalog.indoorUnits || [] };
+    }
+
+    // Get climate data for a location: ZIP first, then city name, then nearest station to coordinates
+    getClimateData(address, coordinates = null) {
+        const addressLower = (address || '').toLowerCase();
+        const { cities, zips } = this.climateData;
+        
+        const zipMatch = addressLower.match(/\b(9[3-6]\d{3})(?:-\d{4})?\b/);
+        const zip = zipMatch ? zipMatch[1] : null;
+        if (zip && zips[zip]) {
+            return this.buildLocationClimate(zips[zip], { zip, matchedBy: 'zip' });
+        }
+        
+        // Longest names first so "South San Francisco" wins over "San Francisco"
+        const cityKey = Object.keys(cities)
+            .sort((a, b) => cities[b].name.length - cities[a].name.length)
+            .find(key => addressLower.includes(cities[key].name.toLowerCase()));
+        if (cityKey) {
+            return this.buildLocationClimate(cityKey, { zip, matchedBy: 'city' });
+        }
+        
+        const latitude = parseFloat(coordinates?.latitude);
+        const longitude = parseFloat(coordinates?.longitude);
+        if (!isNaN(latitude) && !isNaN(longitude) && Object.keys(cities).length > 0) {
+            return this.buildCoordinateClimate(latitude, longitude, zip);
+        }
+        
+        return this.climateData.default;
+    }
+
+    // Climate for a known city, using its assigned design station
+    buildLocationClimate(cityKey, { zip, matchedBy }) {
+        const city = this.climateData.cities[cityKey];
+        const station = this.climateData.stations[city.station] ||
+            this.findNearestStation(city.latitude, city.longitude).station;
+        
+        return this.formatStationClimate(station, {
+            zip: zip,
+            city: city.name,
+            county: city.county,
+            climateZone: city.climateZone,
+            distance: this.calculateDistanceMiles(city.latitude, city.longitude, station.latitude, station.longitude),
+            matchedBy: matchedBy
+        });
+    }
+
+    // Climate for raw coordinates: nearest station for design values, nearest city for climate zone and county
+    buildCoordinateClimate(latitude, longitude, zip) {
+        const { station, distance } = this.findNearestStation(latitude, longitude);
+        const cities = Object.values(this.climateData.cities);
+        const nearestCity = cities.reduce((nearest, city) => {
+            const cityDistance = this.calculateDistanceMiles(latitude, longitude, city.latitude, city.longitude);
+            return !nearest || cityDistance < nearest.distance ? { city, distance: cityDistance } : nearest;
+        }, null).city;
+        
+        return this.formatStationClimate(station, {
+            zip: zip,
+            city: nearestCity.name,
+            county: nearestCity.county,
+            climateZone: nearestCity.climateZone,
+            distance: distance,
+            matchedBy: 'coordinates'
+        });
+    }
+
+    // Shape a station record into the climate object used by the load calculations
+    formatStationClimate(station, location) {
         return {
-            heatPumps: [
-                {
-                    type: 'Ducted Heat Pump',
-                    minCapacity: 18000,
-                    maxCapacity: 60000,
-                    heatingEfficiency: { seer: 16, hspf: 9.0 },
-                    coolingEfficiency: { seer: 16 },
-                    manufacturer: 'Premium Brand',
-                    model: 'HP-Series',
-                    costRange: { low: 8000, high: 15000 }
-                },
-                {
-                    type: 'Ductless Mini-Split',
-                    minCapacity: 9000,
-                    maxCapacity: 36000,
-                    heatingEfficiency: { seer: 18, hspf: 10.0 },
-                    coolingEfficiency: { seer: 18 },
-                    manufacturer: 'Premium Brand',
-                    model: 'MS-Series',
-                    costRange: { low: 3000, high: 8000 }
-                },
-                {
-                    type: 'Multi-Zone Ductless',
-                    minCapacity: 18000,
-                    maxCapacity: 48000,
-                    heatingEfficiency: { seer: 17, hspf: 9.5 },
-                    coolingEfficiency: { seer: 17 },
-                    manufacturer: 'Premium Brand',
-                    model: 'MZ-Series',
-                    costRange: { low: 6000, high: 12000 }
-                }
-            ]
+            zone: station.ieccZone,
+            climateZone: location.climateZone,
+            winterDesignTemp: station.heating99,
+            summerDesignTemp: station.cooling1,
+            summerWetBulb: station.coincidentWetBulb,
+            dailyRange: station.dailyRange,
+            windSpeed: station.windSpeed,
+            elevation: station.elevation,
+            station: {
+                id: station.id,
+                name: station.name,
+                distance: Math.round(location.distance * 10) / 10
+            },
+            location: {
+                zip: location.zip,
+                city: location.city,
+                county: location.county,
+                matchedBy: location.matchedBy
+            }
         };
     }
 
-    // Get climate data for location
-    getClimateData(address) {
-        const addressLower = address.toLowerCase();
-        
-        for (const [city, data] of Object.entries(this.climateData)) {
-            if (city !== 'default' && addressLower.includes(city.replace('-', ' '))) {
-                return data;
+    // Nearest design station to a point
+    findNearestStation(latitude, longitude) {
+        return Object.values(this.climateData.stations).reduce((nearest, station) => {
+            const distance = this.calculateDistanceMiles(latitude, longitude, station.latitude, station.longitude);
+            return !nearest || distance < nearest.distance ? { station, distance } : nearest;
+        }, null);
+    }
+
+    // Great-circle distance in miles
+    calculateDistanceMiles(lat1, lon1, lat2, lon2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 3959 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * Field-level problems with a building object, as [{ field, input, message }] where input is the
+     * assessment form's input id. An empty list means the building can be calculated.
+     */
+    getInputErrors(building) {
+        const errors = [];
+        const inputFor = field => (ManualJCalculator.formFields.find(([name]) => name === field) || [])[1] || field;
+        const addError = (field, message) => errors.push({ field, input: inputFor(field), message });
+        
+        const checkRange = (field, label, min, max, { required = false, unit = '' } = {}) => {
+            const value = building[field];
+            if (value === null || value === undefined || value === '') {
+                if (required) addError(field, `${label} is required`);
+                return;
             }
+            const number = parseFloat(value);
+            if (isNaN(number) || number < min || number > max) {
+                addError(field, `${label} must be between ${min.toLocaleString()} and ${max.toLocaleString()}${unit}`);
+            }
+        };
+        const checkOption = (field, label, options) => {
+            const value = building[field];
+            if (value !== null && value !== undefined && value !== '' && !options.includes(value)) {
+                addError(field, `${label} "${value}" is not one of: ${options.join(', ')}`);
+            }
+        };
+        
+        if (!(building.address || '').trim() && (building.latitude === undefined || building.longitude === undefined)) {
+            addError('address', 'Address, city or ZIP code is required to look up design temperatures');
         }
         
-        return this.climateData.default;
+        checkRange('totalArea', 'Conditioned area', 100, 50000, { required: true, unit: ' sq ft' });
+        checkRange('ceilingHeight', 'Ceiling height', 6, 20, { unit: ' ft' });
+        checkRange('stories', 'Stories', 1, 4);
+        checkRange('yearBuilt', 'Year built', 1800, new Date().getFullYear() + 1);
+        checkRange('occupants', 'Occupants', 1, 50);
+        checkRange('bedrooms', 'Bedrooms', 0, 20);
+        checkRange('heatingTemp', 'Heating setpoint', 55, 80, { unit: '°F' });
+        checkRange('coolingTemp', 'Cooling setpoint', 65, 85, { unit: '°F' });
+        ['windowAreaNorth', 'windowAreaEast', 'windowAreaSouth', 'windowAreaWest'].forEach(field => {
+            checkRange(field, 'Window area', 0, 5000, { unit: ' sq ft' });
+        });
+        checkRange('blowerDoorCFM50', 'Blower door CFM50', 0, 20000);
+        checkRange('blowerDoorACH50', 'Blower door ACH50', 0, 50);
+        checkRange('ductStaticPressure', 'Blower static pressure', 0.1, 1.5, { unit: ' in. w.c.' });
+        
+        const properties = this.thermalProperties;
+        checkOption('wallType', 'Wall type', Object.keys(properties.walls));
+        checkOption('windowType', 'Window type', Object.keys(properties.windows));
+        checkOption('windowFrame', 'Window frame', Object.keys(properties.windowFrames));
+        checkOption('exteriorFinish', 'Exterior finish', Object.keys(properties.exteriorFinishes));
+        checkOption('roofMaterial', 'Roof material', Object.keys(properties.roofMaterials));
+        checkOption('orientation', 'Orientation', Object.keys(properties.solarExposure));
+        checkOption('usageType', 'Usage type', Object.keys(properties.usageTypes));
+        checkOption('foundationType', 'Foundation type',
+            ['slab', 'crawlspace-vented', 'crawlspace-unvented', 'basement-conditioned', 'basement-unconditioned']);
+        checkOption('ductwork', 'Ductwork condition', ['excellent', 'good', 'fair', 'poor', 'none']);
+        checkOption('ductLocation', 'Duct location', Object.keys(properties.ducts.locations));
+        checkOption('ventilationSystem', 'Ventilation system', ['none', 'exhaust', 'supply', 'balanced', 'hrv', 'erv']);
+        
+        (Array.isArray(building.rooms) ? building.rooms : []).forEach((room, index) => {
+            if (!(parseFloat(room.area) > 0)) {
+                addError(`rooms[${index}].area`, `${room.name || `Room ${index + 1}`}: area must be greater than zero`);
+            }
+        });
+        
+        return errors;
     }
 
     // Calculate building loads
     calculateLoads(buildingData) {
-        const climate = this.getClimateData(buildingData.address);
+        const climate = this.getClimateData(buildingData.address, {
+            latitude: buildingData.latitude,
+            longitude: buildingData.longitude
+        });
+        
+        // Calculate room-by-room loads when room data is provided
+        const roomLoads = this.hasRoomData(buildingData) ?
+            this.calculateRoomLoads(buildingData, climate) : null;
         
         // Calculate heating load
         const heatingLoad = this.calculateHeatingLoad(buildingData, climate);
@@ -162,11 +433,36 @@ class ManualJCalculator {
         // Calculate monthly energy usage
         const monthlyAnalysis = this.calculateMonthlyAnalysis(buildingData, climate);
         
+        // Price the simulated energy use on PG&E tariffs
+        const billComparison = this.calculateBillComparison(buildingData, monthlyAnalysis);
+        
+        // Size a heat pump water heater and compare it with the existing unit
+        const waterHeating = this.calculateWaterHeating(buildingData, monthlyAnalysis);
+        
+        // Find where the heat pump stops covering the heat loss and how much backup heat it needs
+        const balancePoint = this.calculateBalancePointAnalysis(buildingData, climate, heatingLoad, coolingLoad);
+        
+        // Size supply and return ducts for the system airflow
+        const ductDesign = this.calculateDuctDesign(buildingData, { heating: heatingLoad, cooling: coolingLoad, climate, rooms: roomLoads });
+        
+        // Check the electrical service against the proposed all-electric loads
+        const panelAssessment = this.calculatePanelLoad(buildingData, { heating: heatingLoad, cooling: coolingLoad, climate });
+        
+        // Group rooms or floors into zones for multi-zone equipment
+        const zoneLoads = this.calculateZoneLoads(buildingData, climate);
+        
         return {
             heating: heatingLoad,
             cooling: coolingLoad,
             breakdown: loadBreakdown,
             monthly: monthlyAnalysis,
+            bills: billComparison,
+            panel: panelAssessment,
+            waterHeating: waterHeating,
+            balancePoint: balancePoint,
+            ductDesign: ductDesign,
+            rooms: roomLoads,
+            zones: zoneLoads,
             climate: climate,
             loadDensity: {
                 heating: Math.round(heatingLoad.total / buildingData.totalArea),
@@ -177,7 +473,12 @@ class ManualJCalculator {
 
     // Calculate heating load (simplified Manual J)
     calculateHeatingLoad(building, climate) {
-        const indoorTemp = building.heatingTemp || 70;
+        // Room-by-room mode: whole-house totals are the sum of the rooms
+        if (this.hasRoomData(building)) {
+            return this.combineRoomLoads(this.calculateRoomLoads(building, climate), 'heating');
+        }
+        
+        const indoorTemp = this.getDesignSetpoints(building).heating;
         const outdoorTemp = climate.winterDesignTemp;
         const deltaT = indoorTemp - outdoorTemp;
         
@@ -186,12 +487,20 @@ class ManualJCalculator {
         const windowLoad = this.calculateWindowHeatingLoad(building, deltaT);
         const roofLoad = this.calculateRoofHeatingLoad(building, deltaT);
         const foundationLoad = this.calculateFoundationHeatingLoad(building, deltaT);
-        const infiltrationLoad = this.calculateInfiltrationHeatingLoad(building, deltaT);
+        const infiltration = this.calculateInfiltration(building, climate);
+        const infiltrationLoad = this.calculateInfiltrationHeatingLoad(building, deltaT, climate);
+        const ventilation = this.calculateVentilation(building, climate);
+        const ventilationLoad = ventilation.sensibleCFM * 1.08 * deltaT;
+        
+        const envelopeTotal = wallLoad + windowLoad + roofLoad + foundationLoad + infiltrationLoad + ventilationLoad;
+        
+        // Duct losses depend on the airflow needed to carry the envelope load
+        const ductLoad = this.calculateDuctHeatingLoad(building, envelopeTotal, indoorTemp, outdoorTemp);
         
-        const total = wallLoad + windowLoad + roofLoad + foundationLoad + infiltrationLoad;
+        const total = envelopeTotal + ductLoad.total;
         
         // Apply safety factor (10-20% typical)
-        const safetyFactor = 1.15;
+        const safetyFactor = this.getSafetyFactor(building, 'heating');
         
         return {
             total: Math.round(total * safetyFactor),
@@ -200,8 +509,13 @@ class ManualJCalculator {
                 windows: Math.round(windowLoad),
                 roof: Math.round(roofLoad),
                 foundation: Math.round(foundationLoad),
-                infiltration: Math.round(infiltrationLoad)
+                infiltration: Math.round(infiltrationLoad),
+                ventilation: Math.round(ventilationLoad),
+                ducts: Math.round(ductLoad.total)
             },
+            ducts: ductLoad,
+            infiltration: infiltration,
+            ventilation: ventilation,
             designConditions: {
                 indoor: indoorTemp,
                 outdoor: outdoorTemp,
@@ -212,39 +526,63 @@ class ManualJCalculator {
 
     // Calculate cooling load (simplified Manual J)
     calculateCoolingLoad(building, climate) {
-        const indoorTemp = building.coolingTemp || 75;
+        if (this.hasRoomData(building)) {
+            return this.combineRoomLoads(this.calculateRoomLoads(building, climate), 'cooling');
+        }
+        
+        const indoorTemp = this.getDesignSetpoints(building).cooling;
         const outdoorTemp = climate.summerDesignTemp;
         const deltaT = outdoorTemp - indoorTemp;
         
         // Calculate envelope loads
+        const infiltration = this.calculateInfiltration(building, climate);
         const wallLoad = this.calculateWallCoolingLoad(building, deltaT, climate);
         const windowLoad = this.calculateWindowCoolingLoad(building, deltaT, climate);
         const roofLoad = this.calculateRoofCoolingLoad(building, deltaT, climate);
         const foundationLoad = 0; // Typically negligible for cooling
         const infiltrationLoad = this.calculateInfiltrationCoolingLoad(building, deltaT, climate);
         const internalLoad = this.calculateInternalHeatGains(building);
+        const ventilation = this.calculateVentilation(building, climate);
+        const ventilationLoad = ventilation.sensibleCFM * 1.08 * deltaT;
+        
+        const envelopeSensible = wallLoad + windowLoad + roofLoad + foundationLoad + 
+                                 infiltrationLoad + ventilationLoad + internalLoad.sensible;
+        const ductLoad = this.calculateDuctCoolingLoad(building, envelopeSensible, indoorTemp, outdoorTemp);
         
-        const sensibleTotal = wallLoad + windowLoad + roofLoad + foundationLoad + 
-                              infiltrationLoad + internalLoad.sensible;
-        const latentTotal = internalLoad.latent + (infiltrationLoad * 0.3); // Approximate latent from infiltration
+        const sensibleTotal = envelopeSensible + ductLoad.total;
+        
+        // Outdoor air brought in by infiltration, ventilation and return duct leakage carries its moisture in
+        const moisture = this.calculateMoistureLoad(building, climate, indoorTemp, {
+            infiltration: infiltration.cfm,
+            ventilation: ventilation.latentCFM,
+            ductLeakage: ductLoad.returnLeakageCFM || 0
+        });
+        const latentTotal = internalLoad.latent + moisture.latent;
         
         const total = sensibleTotal + latentTotal;
         
         // Apply safety factor
-        const safetyFactor = 1.10;
+        const safetyFactor = this.getSafetyFactor(building, 'cooling');
         
         return {
             total: Math.round(total * safetyFactor),
             sensible: Math.round(sensibleTotal),
             latent: Math.round(latentTotal),
+            sensibleHeatRatio: total > 0 ? Math.round(sensibleTotal / total * 100) / 100 : 1,
+            moisture: { ...moisture, internalLatent: Math.round(internalLoad.latent) },
             components: {
                 walls: Math.round(wallLoad),
                 windows: Math.round(windowLoad),
                 roof: Math.round(roofLoad),
                 foundation: Math.round(foundationLoad),
                 infiltration: Math.round(infiltrationLoad),
+                ventilation: Math.round(ventilationLoad),
+                ducts: Math.round(ductLoad.total),
                 internal: Math.round(internalLoad.sensible + internalLoad.latent)
             },
+            ducts: ductLoad,
+            infiltration: infiltration,
+            ventilation: ventilation,
             designConditions: {
                 indoor: indoorTemp,
                 outdoor: outdoorTemp,
@@ -254,29 +592,27 @@ class ManualJCalculator {
         };
     }
 
+    // Design safety factor; heatingSafetyFactor and coolingSafetyFactor on the building override the defaults
+    getSafetyFactor(building, loadType) {
+        const override = parseFloat(building[`${loadType}SafetyFactor`]);
+        return override > 0 ? override : ManualJCalculator.safetyFactors[loadType];
+    }
+
     // Wall heating load calculation
     calculateWallHeatingLoad(building, deltaT) {
         const wallArea = this.calculateWallArea(building);
-        const wallR = this.thermalProperties.walls[building.wallType]?.baseR || 4;
-        const insulationR = parseFloat(building.wallInsulation) || 0;
-        const totalR = wallR + insulationR;
-        
-        const uValue = 1 / totalR;
-        return wallArea * uValue * deltaT;
+        return wallArea * this.getWallUValue(building) * deltaT;
     }
 
     // Window heating load calculation
     calculateWindowHeatingLoad(building, deltaT) {
         const windowArea = this.getTotalWindowArea(building);
-        const windowProps = this.thermalProperties.windows[building.windowType];
-        const uValue = windowProps?.uValue || 1.1;
-        
-        return windowArea * uValue * deltaT;
+        return windowArea * this.getWindowUValue(building) * deltaT;
     }
 
     // Roof heating load calculation
     calculateRoofHeatingLoad(building, deltaT) {
-        const roofArea = parseFloat(building.totalArea) || 2000;
+        const roofArea = this.getRoofArea(building);
         const atticR = parseFloat(building.atticInsulation) || 19;
         
         // Account for attic type
@@ -291,7 +627,7 @@ class ManualJCalculator {
 
     // Foundation heating load calculation
     calculateFoundationHeatingLoad(building, deltaT) {
-        const floorArea = parseFloat(building.totalArea) || 2000;
+        const floorArea = this.getFloorArea(building);
         const foundationR = parseFloat(building.foundationInsulation) || 0;
         
         let uValue;
@@ -319,48 +655,207 @@ class ManualJCalculator {
     }
 
     // Infiltration heating load calculation
-    calculateInfiltrationHeatingLoad(building, deltaT) {
-        const volume = (parseFloat(building.totalArea) || 2000) * (parseFloat(building.ceilingHeight) || 9);
+    calculateInfiltrationHeatingLoad(building, deltaT, climate) {
+        // Heating load (1.08 factor for air properties)
+        return this.calculateInfiltration(building, climate).cfm * 1.08 * deltaT;
+    }
+
+    /**
+     * Natural infiltration from blower door results (CFM50 or ACH50), or from an ACH50 estimated by
+     * building age when the house was not tested. ACH50 is converted with the LBL N-factor.
+     */
+    calculateInfiltration(building, climate) {
+        const volume = this.getConditionedArea(building) * (parseFloat(building.ceilingHeight) || 9);
+        
+        // Rooms take the whole-house air change rate
+        if (building.houseInfiltration) {
+            const house = building.houseInfiltration;
+            return { ...house, cfm50: Math.round(house.ach50 * volume / 60), cfm: volume * house.naturalACH / 60 };
+        }
         
-        // ACH50 estimates based on building age and type
+        const measuredCFM50 = parseFloat(building.blowerDoorCFM50) || 0;
+        const measuredACH50 = parseFloat(building.blowerDoorACH50) || 0;
+        let source = 'measured';
         let ach50;
-        const yearBuilt = parseInt(building.yearBuilt) || 2000;
-        
-        if (yearBuilt > 2010) {
-            ach50 = 3.0; // Tighter construction
-        } else if (yearBuilt > 1990) {
-            ach50 = 5.0;
-        } else if (yearBuilt > 1970) {
-            ach50 = 8.0;
+        
+        if (measuredCFM50 > 0) {
+            ach50 = measuredCFM50 * 60 / volume;
+        } else if (measuredACH50 > 0) {
+            ach50 = measuredACH50;
         } else {
-            ach50 = 12.0; // Leakier older homes
+            // ACH50 estimates based on building age and type
+            source = 'estimated';
+            const yearBuilt = parseInt(building.yearBuilt) || 2000;
+            
+            if (yearBuilt > 2010) {
+                ach50 = 3.0; // Tighter construction
+            } else if (yearBuilt > 1990) {
+                ach50 = 5.0;
+            } else if (yearBuilt > 1970) {
+                ach50 = 8.0;
+            } else {
+                ach50 = 12.0; // Leakier older homes
+            }
         }
         
-        // Convert to natural ACH (roughly ACH50 / 20)
-        const naturalACH = ach50 / 20;
+        const nFactor = this.getLeakageNFactor(building, climate);
+        const naturalACH = ach50 / nFactor;
         
-        // CFM of infiltration
-        const cfm = (volume * naturalACH) / 60;
+        return {
+            source: source,
+            ach50: Math.round(ach50 * 10) / 10,
+            cfm50: Math.round(ach50 * volume / 60),
+            nFactor: Math.round(nFactor * 10) / 10,
+            naturalACH: naturalACH,
+            cfm: volume * naturalACH / 60
+        };
+    }
+
+    // LBL N-factor for the house height and shielding, interpolated between story counts
+    getLeakageNFactor(building, climate) {
+        const table = this.thermalProperties.infiltration;
+        const zone = this.getLeakageZone(climate);
+        const factors = table.nFactors[zone][building.shielding] || table.nFactors[zone].normal;
+        const stories = Math.min(Math.max(parseFloat(building.stories) || 1, 1), 3);
+        
+        const upper = table.stories.findIndex(count => count >= stories);
+        if (table.stories[upper] === stories) return factors[upper];
+        
+        const fraction = (stories - table.stories[upper - 1]) / (table.stories[upper] - table.stories[upper - 1]);
+        return factors[upper - 1] + (factors[upper] - factors[upper - 1]) * fraction;
+    }
+
+    // LBL leakage climate zone from the station's design wind speed: windier sites infiltrate more
+    getLeakageZone(climate) {
+        const windSpeed = parseFloat(climate?.windSpeed) || 8;
+        if (windSpeed >= 18) return 1;
+        if (windSpeed >= 14) return 2;
+        if (windSpeed >= 10) return 3;
+        return 4;
+    }
+
+    // Duct heating load: conduction through duct walls plus leakage to unconditioned space
+    calculateDuctHeatingLoad(building, envelopeLoad, indoorTemp, outdoorTemp) {
+        const ductProps = this.thermalProperties.ducts;
+        const location = ductProps.locations[building.ductLocation];
+        const leakageFraction = ductProps.leakage[building.ductwork];
+        
+        if (!this.hasUnconditionedDucts(building)) {
+            return { total: 0, conduction: 0, leakage: 0, location: building.ductLocation || 'conditioned' };
+        }
         
-        // Heating load (1.08 factor for air properties)
-        return cfm * 1.08 * deltaT;
+        const supplyTemp = ductProps.heatingSupplyTemp;
+        const ambientTemp = indoorTemp - location.heatingExposure * (indoorTemp - outdoorTemp);
+        const { supplyArea, returnArea, ductR } = this.getDuctSurface(building);
+        
+        // Airflow needed to deliver the envelope load at the supply temperature
+        const systemCFM = envelopeLoad / (1.08 * (supplyTemp - indoorTemp));
+        
+        const conduction = this.calculateDuctConduction(supplyArea, ductR, systemCFM, supplyTemp - ambientTemp) +
+                           this.calculateDuctConduction(returnArea, ductR, systemCFM, indoorTemp - ambientTemp);
+        
+        // Leakage split evenly between supply and return: leaked supply air takes the heat it was
+        // to deliver, and return leaks pull in unconditioned air that has to be heated to room temperature
+        const leakageCFM = systemCFM * leakageFraction / 2;
+        const leakage = leakageCFM * 1.08 * (supplyTemp - indoorTemp) +
+                        leakageCFM * 1.08 * (indoorTemp - ambientTemp);
+        
+        return {
+            total: Math.max(conduction, 0) + Math.max(leakage, 0),
+            conduction: Math.round(Math.max(conduction, 0)),
+            leakage: Math.round(Math.max(leakage, 0)),
+            location: building.ductLocation,
+            ambientTemp: Math.round(ambientTemp),
+            leakageFraction: leakageFraction
+        };
+    }
+
+    // Duct cooling load: sensible gain into supply and return ducts
+    calculateDuctCoolingLoad(building, envelopeSensible, indoorTemp, outdoorTemp) {
+        const ductProps = this.thermalProperties.ducts;
+        const location = ductProps.locations[building.ductLocation];
+        const leakageFraction = ductProps.leakage[building.ductwork];
+        
+        if (!this.hasUnconditionedDucts(building)) {
+            return { total: 0, conduction: 0, leakage: 0, location: building.ductLocation || 'conditioned' };
+        }
+        
+        const supplyTemp = ductProps.coolingSupplyTemp;
+        let ambientTemp = outdoorTemp + location.coolingRise;
+        if (building.ductLocation === 'attic') {
+            // Dark roofs drive attic temperatures higher than the medium asphalt baseline
+            ambientTemp = outdoorTemp + location.coolingRise * (this.getRoofSolarAbsorbed(building) / (0.6 * 300));
+        }
+        const { supplyArea, returnArea, ductR } = this.getDuctSurface(building);
+        
+        const systemCFM = envelopeSensible / (1.08 * (indoorTemp - supplyTemp));
+        
+        const supplyConduction = Math.max(this.calculateDuctConduction(supplyArea, ductR, systemCFM, ambientTemp - supplyTemp), 0);
+        const returnConduction = Math.max(this.calculateDuctConduction(returnArea, ductR, systemCFM, ambientTemp - indoorTemp), 0);
+        
+        const leakageCFM = systemCFM * leakageFraction / 2;
+        const supplyLeakage = Math.max(leakageCFM * 1.08 * (indoorTemp - supplyTemp), 0);
+        const returnLeakage = Math.max(leakageCFM * 1.08 * (ambientTemp - indoorTemp), 0);
+        
+        const conduction = supplyConduction + returnConduction;
+        const leakage = supplyLeakage + returnLeakage;
+        
+        return {
+            total: conduction + leakage,
+            conduction: Math.round(conduction),
+            leakage: Math.round(leakage),
+            location: building.ductLocation,
+            ambientTemp: Math.round(ambientTemp),
+            leakageFraction: leakageFraction,
+            returnLeakageCFM: leakageCFM
+        };
+    }
+
+    // Conduction along a duct run; air temperature decays toward ambient (ASHRAE 152)
+    calculateDuctConduction(surfaceArea, ductR, cfm, deltaT) {
+        if (cfm <= 0) return 0;
+        const conductionFactor = Math.exp(-surfaceArea / (1.08 * cfm * ductR));
+        return 1.08 * cfm * deltaT * (1 - conductionFactor);
+    }
+
+    // Ducts only add load when they exist and run outside conditioned space
+    hasUnconditionedDucts(building) {
+        const ductProps = this.thermalProperties.ducts;
+        return building.ductLocation !== 'conditioned' &&
+               ductProps.locations[building.ductLocation] !== undefined &&
+               ductProps.leakage[building.ductwork] !== undefined;
+    }
+
+    // Estimate duct surface areas and overall duct R-value
+    getDuctSurface(building) {
+        const ductProps = this.thermalProperties.ducts;
+        const floorArea = this.getConditionedArea(building);
+        const insulationR = parseFloat(building.ductInsulation) || 0;
+        
+        return {
+            supplyArea: floorArea * ductProps.supplyAreaFactor,
+            returnArea: floorArea * ductProps.returnAreaFactor,
+            ductR: insulationR + 0.7 // Inside and outside air films
+        };
     }
 
-    // Wall cooling load calculation
+    // Wall cooling load: conduction driven by the sol-air temperature of each facade
     calculateWallCoolingLoad(building, deltaT, climate) {
         const wallArea = this.calculateWallArea(building);
-        const wallR = this.thermalProperties.walls[building.wallType]?.baseR || 4;
-        const insulationR = parseFloat(building.wallInsulation) || 0;
-        const totalR = wallR + insulationR;
-        
-        const uValue = 1 / totalR;
+        const uValue = this.getWallUValue(building);
         
-        // Solar heat gain through walls
         const wallColor = this.thermalProperties.wallColors[building.wallColor] || 
                           this.thermalProperties.wallColors.medium;
-        const solarGain = wallArea * wallColor.absorptance * 20; // Simplified solar gain
+        const damping = this.thermalProperties.solarDamping[this.getWallThermalMass(building)];
         
-        return (wallArea * uValue * deltaT) + solarGain;
+        // Sol-air rise = absorptance × incident solar / outside film conductance (3 Btu/h·sq ft·°F)
+        let load = 0;
+        for (const [facing, share] of Object.entries(this.getWallFacingShares(building))) {
+            const solarRise = wallColor.absorptance * 200 * this.thermalProperties.solarExposure[facing] / 3;
+            load += wallArea * share * uValue * (deltaT + solarRise * damping);
+        }
+        
+        return load;
     }
 
     // Window cooling load calculation
@@ -373,19 +868,18 @@ class ManualJCalculator {
         };
         
         const windowProps = this.thermalProperties.windows[building.windowType];
-        const uValue = windowProps?.uValue || 1.1;
         const shgc = windowProps?.shgc || 0.7;
         
         // Conductive load
         const totalWindowArea = Object.values(windowAreas).reduce((sum, area) => sum + area, 0);
-        const conductiveLoad = totalWindowArea * uValue * deltaT;
+        const conductiveLoad = totalWindowArea * this.getWindowUValue(building) * deltaT;
         
-        // Solar heat gain by orientation
-        const solarFactors = { north: 0.2, east: 0.7, south: 0.4, west: 0.9 }; // Peak factors
+        // Solar heat gain by the direction each wall actually faces
+        const facings = this.getWindowFacings(building);
         let solarLoad = 0;
         
-        for (const [orientation, area] of Object.entries(windowAreas)) {
-            const solarIntensity = 200 * solarFactors[orientation]; // BTU/hr/sq ft
+        for (const [side, area] of Object.entries(windowAreas)) {
+            const solarIntensity = 200 * this.thermalProperties.solarExposure[facings[side]]; // BTU/hr/sq ft
             solarLoad += area * shgc * solarIntensity;
         }
         
@@ -396,9 +890,10 @@ class ManualJCalculator {
         return conductiveLoad + solarLoad;
     }
 
-    // Roof cooling load calculation
+    // Roof cooling load: ceiling conduction from a sun-heated attic, or through the roof deck
+    // at its sol-air temperature when there is no ventilated attic
     calculateRoofCoolingLoad(building, deltaT, climate) {
-        const roofArea = parseFloat(building.totalArea) || 2000;
+        const roofArea = this.getRoofArea(building);
         const atticR = parseFloat(building.atticInsulation) || 19;
         
         let effectiveR = atticR;
@@ -407,80 +902,491 @@ class ManualJCalculator {
         }
         
         const uValue = 1 / effectiveR;
+        const absorbed = this.getRoofSolarAbsorbed(building);
+        
+        let solarRise;
+        if (!building.atticType || building.atticType === 'vented') {
+            // Attic ventilation and radiation to the deck keep the attic below roof sol-air
+            solarRise = absorbed / 5;
+        } else {
+            // Less 7°F for long-wave radiation from a horizontal surface to the sky
+            solarRise = absorbed / 3 - 7;
+        }
         
-        // Solar heat gain on roof
+        return roofArea * uValue * (deltaT + solarRise);
+    }
+
+    // Solar absorbed by the roof surface at the design hour (Btu/h·sq ft, 300 incident)
+    getRoofSolarAbsorbed(building) {
         const roofColor = this.thermalProperties.roofColors[building.roofColor] || 
                           this.thermalProperties.roofColors.medium;
-        const solarGain = roofArea * roofColor.absorptance * 40; // Higher intensity on roof
+        const material = this.thermalProperties.roofMaterials[building.roofMaterial] ||
+                         this.thermalProperties.roofMaterials.asphalt;
         
-        return (roofArea * uValue * deltaT) + solarGain;
+        return roofColor.absorptance * 300 * material.solarFactor;
     }
 
-    // Infiltration cooling load calculation
-    calculateInfiltrationCoolingLoad(building, deltaT, climate) {
-        const volume = (parseFloat(building.totalArea) || 2000) * (parseFloat(building.ceilingHeight) || 9);
+    // Wall U-value including framing type, cavity insulation and exterior finish
+    getWallUValue(building) {
+        const wallR = this.thermalProperties.walls[building.wallType]?.baseR || 4;
+        const insulationR = parseFloat(building.wallInsulation) || 0;
+        const finishR = this.thermalProperties.exteriorFinishes[building.exteriorFinish]?.addedR || 0;
         
-        let ach50;
-        const yearBuilt = parseInt(building.yearBuilt) || 2000;
-        
-        if (yearBuilt > 2010) {
-            ach50 = 3.0;
-        } else if (yearBuilt > 1990) {
-            ach50 = 5.0;
-        } else if (yearBuilt > 1970) {
-            ach50 = 8.0;
-        } else {
-            ach50 = 12.0;
-        }
+        return 1 / (wallR + insulationR + finishR);
+    }
+
+    // Heavier of the wall structure and its cladding
+    getWallThermalMass(building) {
+        const levels = ['light', 'medium', 'heavy'];
+        const structure = this.thermalProperties.walls[building.wallType]?.thermalMass || 'light';
+        const finish = this.thermalProperties.exteriorFinishes[building.exteriorFinish]?.thermalMass || 'light';
         
-        const naturalACH = ach50 / 20;
-        const cfm = (volume * naturalACH) / 60;
+        return levels[Math.max(levels.indexOf(structure), levels.indexOf(finish))];
+    }
+
+    // Whole-window U-value: glazing plus frame, area-weighted
+    getWindowUValue(building) {
+        const glazingU = this.thermalProperties.windows[building.windowType]?.uValue || 1.1;
+        const frame = this.thermalProperties.windowFrames[building.windowFrame];
+        if (!frame) return glazingU;
+        
+        const frameFraction = this.thermalProperties.frameFraction;
+        return glazingU * (1 - frameFraction) + frame.uValue * frameFraction;
+    }
+
+    // Compass direction of the wall behind each window input. A house whose front faces a
+    // diagonal has its walls turned 45°, so each input is the wall clockwise of that direction.
+    getWindowFacings(building) {
+        const directions = Object.keys(this.thermalProperties.solarExposure);
+        const rotation = Math.max(directions.indexOf(building.orientation), 0) % 2;
+        const facings = {};
+        
+        ['north', 'east', 'south', 'west'].forEach(side => {
+            facings[side] = directions[(directions.indexOf(side) + rotation) % directions.length];
+        });
+        return facings;
+    }
+
+    // Share of the opaque wall area facing each direction. The front and back of the house are
+    // taken as its long sides (1.3:1 footprint), so rotating the house moves the most wall area.
+    getWallFacingShares(building) {
+        const directions = Object.keys(this.thermalProperties.solarExposure);
+        const front = Math.max(directions.indexOf(building.orientation), 0);
+        const aspect = 1.3;
+        const longShare = aspect / (2 * (aspect + 1));
+        const shortShare = 1 / (2 * (aspect + 1));
+        const shares = {};
+        
+        [longShare, shortShare, longShare, shortShare].forEach((share, index) => {
+            const facing = directions[(front + index * 2) % directions.length];
+            shares[facing] = (shares[facing] || 0) + share;
+        });
+        return shares;
+    }
+
+    // Design setpoints with the comfort limits of the usage type
+    getDesignSetpoints(building) {
+        const usage = this.getUsageProfile(building);
+        let heating = parseFloat(building.heatingTemp) || 70;
+        let cooling = parseFloat(building.coolingTemp) || 75;
+        
+        if (usage.minHeatingTemp !== null) heating = Math.max(heating, usage.minHeatingTemp);
+        if (usage.maxCoolingTemp !== null) cooling = Math.min(cooling, usage.maxCoolingTemp);
+        return { heating, cooling };
+    }
+
+    getUsageProfile(building) {
+        return this.thermalProperties.usageTypes[building.usageType] || this.thermalProperties.usageTypes.standard;
+    }
+
+    // ASHRAE 62.2 whole-house ventilation and the outdoor air it adds after recovery
+    calculateVentilation(building, climate) {
+        // Rooms take their floor-area share of the whole-house airflow
+        if (building.houseVentilation) {
+            const house = building.houseVentilation;
+            const share = building.internalGainShare ?? 1;
+            return {
+                ...house,
+                outdoorAirCFM: house.outdoorAirCFM * share,
+                sensibleCFM: house.sensibleCFM * share,
+                latentCFM: house.latentCFM * share
+            };
+        }
         
+        const VentilationModel = ManualJCalculator.resolveModule('VentilationModel', './ventilation.js');
+        return new VentilationModel().calculate({
+            floorArea: this.getConditionedArea(building),
+            bedrooms: this.getBedrooms(building),
+            system: building.ventilationSystem,
+            fanCFM: building.ventilationCFM,
+            infiltrationCFM: this.calculateInfiltration(building, climate).cfm
+        });
+    }
+
+    // Bedrooms, or occupants less one when not given
+    getBedrooms(building) {
+        return parseInt(building.bedrooms) || Math.max(1, (parseFloat(building.occupants) || 4) - 1);
+    }
+
+    // Infiltration cooling load calculation
+    calculateInfiltrationCoolingLoad(building, deltaT, climate) {
         // Sensible cooling load (1.08 factor for air properties)
-        return cfm * 1.08 * deltaT;
+        return this.calculateInfiltration(building, climate).cfm * 1.08 * deltaT;
+    }
+
+    /**
+     * Latent gain from outdoor air: 0.68 × CFM × (outdoor − indoor grains of moisture per lb of dry air).
+     * Outdoor humidity comes from the design dry bulb and coincident wet bulb; indoor from the design RH.
+     * airflows: { infiltration, ventilation, ductLeakage } in CFM, ventilation net of latent recovery
+     */
+    calculateMoistureLoad(building, climate, indoorTemp, airflows) {
+        const pressure = this.getAtmosphericPressure(climate.elevation || 0);
+        const indoorRH = parseFloat(building.indoorRH) || 50;
+        
+        const outdoorGrains = this.getHumidityRatioFromWetBulb(climate.summerDesignTemp, climate.summerWetBulb, pressure) * 7000;
+        const indoorGrains = this.getHumidityRatioFromRH(indoorTemp, indoorRH / 100, pressure) * 7000;
+        
+        // Dry climates can be below the indoor target; that air adds no latent load
+        const deltaGrains = Math.max(outdoorGrains - indoorGrains, 0);
+        const infiltrationLatent = 0.68 * airflows.infiltration * deltaGrains;
+        const ventilationLatent = 0.68 * (airflows.ventilation || 0) * deltaGrains;
+        const ductLatent = 0.68 * airflows.ductLeakage * deltaGrains;
+        
+        return {
+            indoorRH: indoorRH,
+            outdoorGrains: Math.round(outdoorGrains * 10) / 10,
+            indoorGrains: Math.round(indoorGrains * 10) / 10,
+            deltaGrains: Math.round(deltaGrains * 10) / 10,
+            infiltrationCFM: Math.round(airflows.infiltration),
+            ductLeakageCFM: Math.round(airflows.ductLeakage),
+            ventilationCFM: Math.round(airflows.ventilation || 0),
+            infiltrationLatent: Math.round(infiltrationLatent),
+            ventilationLatent: Math.round(ventilationLatent),
+            ductLatent: Math.round(ductLatent),
+            latent: infiltrationLatent + ventilationLatent + ductLatent
+        };
+    }
+
+    // Standard atmospheric pressure (psia) at an elevation in feet
+    getAtmosphericPressure(elevation) {
+        return 14.696 * Math.pow(1 - 6.8754e-6 * elevation, 5.2559);
+    }
+
+    // Saturation vapor pressure over water (psia), Magnus form
+    getSaturationPressure(tempF) {
+        const tempC = (tempF - 32) / 1.8;
+        return 0.61094 * Math.exp(17.625 * tempC / (tempC + 243.04)) * 0.145038;
+    }
+
+    // Humidity ratio (lb water / lb dry air) at a relative humidity
+    getHumidityRatioFromRH(tempF, relativeHumidity, pressure) {
+        const vaporPressure = relativeHumidity * this.getSaturationPressure(tempF);
+        return 0.621945 * vaporPressure / (pressure - vaporPressure);
+    }
+
+    // Humidity ratio from dry bulb and wet bulb (ASHRAE Fundamentals, IP units)
+    getHumidityRatioFromWetBulb(dryBulb, wetBulb, pressure) {
+        const saturatedAtWetBulb = this.getHumidityRatioFromRH(wetBulb, 1, pressure);
+        return ((1093 - 0.556 * wetBulb) * saturatedAtWetBulb - 0.240 * (dryBulb - wetBulb)) /
+            (1093 + 0.444 * dryBulb - wetBulb);
     }
 
-    // Internal heat gains calculation
+    /**
+     * Design-hour internal gains with the ACCA Manual J defaults: 230 Btu/h sensible and 200 Btu/h
+     * latent per occupant, and 1,200 Btu/h for the kitchen, appliances and lighting, plus any
+     * large appliances and the usage type's equipment
+     */
     calculateInternalHeatGains(building) {
-        const area = parseFloat(building.totalArea) || 2000;
-        const occupants = parseInt(building.occupants) || 4;
+        const occupants = parseFloat(building.occupants) || 4;
         
-        // People load (250 BTU/hr sensible + 200 BTU/hr latent per person)
         const peopleLoad = {
-            sensible: occupants * 250,
+            sensible: occupants * 230,
             latent: occupants * 200
         };
         
-        // Lighting load (1.5 W/sq ft average)
-        const lightingLoad = area * 1.5 * 3.414; // Convert W to BTU/hr
-        
-        // Appliances and equipment (2 W/sq ft average)
-        const equipmentLoad = area * 2 * 3.414;
+        let applianceLoad = 1200;
+        if (building.poolPump) applianceLoad += 2000;
+        if (building.hotTub) applianceLoad += 3000;
+        if (building.electricRange) applianceLoad += 1000;
+        if (building.electricDryer) applianceLoad += 1500;
+        applianceLoad += this.getUsageProfile(building).equipmentGain;
         
-        // Additional loads
-        let additionalLoad = 0;
-        if (building.poolPump) additionalLoad += 2000;
-        if (building.hotTub) additionalLoad += 3000;
-        if (building.electricRange) additionalLoad += 1000;
-        if (building.electricDryer) additionalLoad += 1500;
+        // Rooms only carry their area share of whole-house appliance gains
+        applianceLoad *= building.internalGainShare ?? 1;
         
         return {
-            sensible: peopleLoad.sensible + lightingLoad + equipmentLoad + additionalLoad,
+            sensible: peopleLoad.sensible + applianceLoad,
             latent: peopleLoad.latent
         };
     }
 
+    // Day-averaged internal gains for energy modeling (ANSI/RESNET 301 reference home, Btu/day to Btu/h)
+    calculateAverageInternalGains(building) {
+        const area = this.getConditionedArea(building);
+        const bedrooms = this.getBedrooms(building);
+        
+        return (17900 + 23.8 * area + 4104 * bedrooms) / 24 * this.getUsageProfile(building).averageGainFactor;
+    }
+
     // Calculate wall area (simplified)
     calculateWallArea(building) {
-        const perimeter = 4 * Math.sqrt(parseFloat(building.totalArea) || 2000);
+        const grossWallArea = this.getGrossWallArea(building);
+        const windowArea = this.getTotalWindowArea(building);
+        const doorArea = building.doorArea ?? 40; // Assume 2 doors at 20 sq ft each
+        
+        return Math.max(grossWallArea - windowArea - doorArea, 0);
+    }
+
+    // Conditioned floor area; 2,000 sq ft stands in only when no area was entered, so a 0 sq ft room stays 0
+    getConditionedArea(building) {
+        const area = parseFloat(building.totalArea);
+        return Number.isFinite(area) ? area : 2000;
+    }
+
+    // Get exterior wall area before windows and doors
+    getGrossWallArea(building) {
+        // Room and zone envelopes carry their measured exposed wall area
+        if (building.grossWallArea !== undefined) {
+            return parseFloat(building.grossWallArea) || 0;
+        }
+        const perimeter = 4 * Math.sqrt(this.getConditionedArea(building));
         const height = parseFloat(building.ceilingHeight) || 9;
         const stories = parseFloat(building.stories) || 1;
+        return perimeter * height * stories;
+    }
+
+    // Get ceiling area exposed to the attic or roof
+    getRoofArea(building) {
+        if (building.roofArea !== undefined) {
+            return parseFloat(building.roofArea) || 0;
+        }
+        return this.getConditionedArea(building);
+    }
+
+    // Get floor area exposed to the foundation
+    getFloorArea(building) {
+        if (building.floorArea !== undefined) {
+            return parseFloat(building.floorArea) || 0;
+        }
+        return this.getConditionedArea(building);
+    }
+
+    // Check whether room-by-room data was provided
+    hasRoomData(building) {
+        return Array.isArray(building.rooms) && building.rooms.length > 0;
+    }
+
+    // Build a single-room envelope that the whole-house component methods can use
+    getRoomEnvelope(building, room, houseInfiltration = null, houseVentilation = null) {
+        const houseArea = this.getConditionedArea(building);
+        const roomArea = parseFloat(room.area) || 0;
+        const ceilingHeight = parseFloat(room.ceilingHeight) || parseFloat(building.ceilingHeight) || 9;
+        const windows = room.windows || {};
+        const share = roomArea / houseArea;
         
-        const grossWallArea = perimeter * height * stories;
-        const windowArea = this.getTotalWindowArea(building);
-        const doorArea = 40; // Assume 2 doors at 20 sq ft each
+        return {
+            ...building,
+            rooms: undefined,
+            totalArea: roomArea,
+            ceilingHeight: ceilingHeight,
+            stories: 1,
+            grossWallArea: (parseFloat(room.exposedWallLength) || 0) * ceilingHeight,
+            doorArea: parseFloat(room.doorArea) || 0,
+            roofArea: room.exposedCeiling ? roomArea : 0,
+            floorArea: room.exposedFloor ? roomArea : 0,
+            windowAreaNorth: parseFloat(windows.north) || 0,
+            windowAreaEast: parseFloat(windows.east) || 0,
+            windowAreaSouth: parseFloat(windows.south) || 0,
+            windowAreaWest: parseFloat(windows.west) || 0,
+            // Occupants default to the room's area share of the household
+            occupants: room.occupants !== undefined && room.occupants !== '' ?
+                parseFloat(room.occupants) || 0 :
+                (parseFloat(building.occupants) || 4) * share,
+            internalGainShare: share,
+            houseInfiltration: houseInfiltration,
+            houseVentilation: houseVentilation
+        };
+    }
+
+    // Calculate heating and cooling loads for each room
+    calculateRoomLoads(building, climate) {
+        const houseInfiltration = this.calculateInfiltration(building, climate);
+        const houseVentilation = this.calculateVentilation(building, climate);
         
-        return Math.max(grossWallArea - windowArea - doorArea, 0);
+        return building.rooms.map((room, index) => {
+            const envelope = this.getRoomEnvelope(building, room, houseInfiltration, houseVentilation);
+            
+            return {
+                name: room.name || `Room ${index + 1}`,
+                area: envelope.totalArea,
+                heating: this.calculateHeatingLoad(envelope, climate),
+                cooling: this.calculateCoolingLoad(envelope, climate)
+            };
+        });
+    }
+
+    // Add room loads up to whole-house heating or cooling totals
+    combineRoomLoads(roomLoads, loadType) {
+        const combined = {
+            total: 0,
+            components: {},
+            designConditions: roomLoads[0][loadType].designConditions
+        };
+        if (loadType === 'cooling') {
+            combined.sensible = 0;
+            combined.latent = 0;
+        }
+        
+        combined.ducts = { ...roomLoads[0][loadType].ducts, total: 0, conduction: 0, leakage: 0 };
+        combined.infiltration = { ...roomLoads[0][loadType].infiltration, cfm50: 0, cfm: 0 };
+        combined.ventilation = { ...roomLoads[0][loadType].ventilation, outdoorAirCFM: 0, sensibleCFM: 0, latentCFM: 0 };
+        
+        roomLoads.forEach(room => {
+            const load = room[loadType];
+            combined.total += load.total;
+            combined.ducts.total += load.ducts.total;
+            combined.ducts.conduction += load.ducts.conduction;
+            combined.ducts.leakage += load.ducts.leakage;
+            combined.infiltration.cfm50 += load.infiltration.cfm50;
+            combined.infiltration.cfm += load.infiltration.cfm;
+            ['outdoorAirCFM', 'sensibleCFM', 'latentCFM'].forEach(key => {
+                combined.ventilation[key] += load.ventilation[key];
+            });
+            if (loadType === 'cooling') {
+                combined.sensible += load.sensible;
+                combined.latent += load.latent;
+            }
+            Object.entries(load.components).forEach(([component, value]) => {
+                combined.components[component] = (combined.components[component] || 0) + value;
+            });
+        });
+        
+        if (loadType === 'cooling') {
+            const gross = combined.sensible + combined.latent;
+            combined.sensibleHeatRatio = gross > 0 ? Math.round(combined.sensible / gross * 100) / 100 : 1;
+            combined.moisture = { ...roomLoads[0].cooling.moisture };
+            ['infiltrationCFM', 'ventilationCFM', 'ductLeakageCFM', 'infiltrationLatent', 'ventilationLatent', 'ductLatent', 'latent', 'internalLatent'].forEach(key => {
+                combined.moisture[key] = roomLoads.reduce((sum, room) => sum + room.cooling.moisture[key], 0);
+            });
+        }
+        
+        return combined;
+    }
+
+    /**
+     * Zones for multi-zone equipment. Rooms are grouped by their zone name (a room without one is
+     * its own zone); without room data each floor is a zone, and a single-story house is split
+     * into estimated living and bedroom zones.
+     */
+    getZoneDefinitions(building) {
+        if (this.hasRoomData(building)) {
+            const zones = [];
+            building.rooms.forEach((room, index) => {
+                const roomName = room.name || `Room ${index + 1}`;
+                const zoneName = (room.zone || '').trim() || roomName;
+                let zone = zones.find(existing => existing.name === zoneName);
+                if (!zone) {
+                    zone = { name: zoneName, rooms: [], roomIndexes: [], source: 'rooms' };
+                    zones.push(zone);
+                }
+                zone.rooms.push(roomName);
+                zone.roomIndexes.push(index);
+            });
+            // Three or more rooms are better served by one slim ducted air handler than by a head in each
+            return zones.map(zone => ({ ...zone, distribution: zone.rooms.length >= 3 ? 'ducted' : 'wall' }));
+        }
+        
+        const stories = Math.max(1, Math.round(parseFloat(building.stories) || 1));
+        if (stories > 1) {
+            // The roof is over the top floor; the foundation and entry doors are on the bottom floor
+            return Array.from({ length: stories }, (_, floor) => ({
+                name: `Floor ${floor + 1}`,
+                rooms: [],
+                source: 'floors',
+                distribution: 'ducted',
+                areaShare: 1 / stories,
+                roofShare: floor === stories - 1 ? 1 : 0,
+                floorShare: floor === 0 ? 1 : 0,
+                doorShare: floor === 0 ? 1 : 0
+            }));
+        }
+        
+        return [
+            { name: 'Living areas', rooms: [], source: 'estimated', distribution: 'wall', areaShare: 0.45, roofShare: 0.45, floorShare: 0.45, doorShare: 1 },
+            { name: 'Bedrooms', rooms: [], source: 'estimated', distribution: 'ducted', areaShare: 0.55, roofShare: 0.55, floorShare: 0.55, doorShare: 0 }
+        ];
+    }
+
+    // Build a floor or estimated zone envelope as a share of the whole house
+    getZoneEnvelope(building, zone, houseInfiltration, houseVentilation) {
+        const houseArea = this.getConditionedArea(building);
+        const windowShare = direction => (parseFloat(building[direction]) || 0) * zone.areaShare;
+        
+        return {
+            ...building,
+            totalArea: houseArea * zone.areaShare,
+            stories: 1,
+            grossWallArea: this.getGrossWallArea(building) * zone.areaShare,
+            doorArea: (building.doorArea ?? 40) * zone.doorShare,
+            roofArea: this.getRoofArea(building) * zone.roofShare,
+            floorArea: this.getFloorArea(building) * zone.floorShare,
+            windowAreaNorth: windowShare('windowAreaNorth'),
+            windowAreaEast: windowShare('windowAreaEast'),
+            windowAreaSouth: windowShare('windowAreaSouth'),
+            windowAreaWest: windowShare('windowAreaWest'),
+            occupants: (parseFloat(building.occupants) || 4) * zone.areaShare,
+            internalGainShare: zone.areaShare,
+            houseInfiltration: houseInfiltration,
+            houseVentilation: houseVentilation
+        };
+    }
+
+    // Calculate design loads for each zone of a multi-zone system
+    calculateZoneLoads(building, climate) {
+        // Wall heads and slim air handlers sit in conditioned space, so zone loads carry no duct losses
+        const ductless = { ...building, ductLocation: 'conditioned' };
+        const zones = this.getZoneDefinitions(ductless);
+        const roomLoads = this.hasRoomData(ductless) ? this.calculateRoomLoads(ductless, climate) : null;
+        const houseInfiltration = roomLoads ? null : this.calculateInfiltration(ductless, climate);
+        const houseVentilation = roomLoads ? null : this.calculateVentilation(ductless, climate);
+        
+        return zones.map(zone => {
+            let area, heating, cooling;
+            if (roomLoads) {
+                const rooms = zone.roomIndexes.map(index => roomLoads[index]);
+                area = rooms.reduce((sum, room) => sum + room.area, 0);
+                heating = rooms.reduce((sum, room) => sum + room.heating.total, 0);
+                cooling = rooms.reduce((sum, room) => sum + room.cooling.total, 0);
+            } else {
+                const envelope = this.getZoneEnvelope(ductless, zone, houseInfiltration, houseVentilation);
+                area = envelope.totalArea;
+                heating = this.calculateHeatingLoad(envelope, climate).total;
+                cooling = this.calculateCoolingLoad(envelope, climate).total;
+            }
+            
+            return {
+                name: zone.name,
+                rooms: zone.rooms,
+                source: zone.source,
+                distribution: zone.distribution,
+                area: Math.round(area),
+                heating: Math.round(heating),
+                cooling: Math.round(cooling)
+            };
+        });
+    }
+
+    // Lay out indoor units on a multi-zone outdoor unit for the zone loads
+    designMultiZone(loads, equipment) {
+        if (!equipment.multiZone || !loads.zones || this.equipmentDatabase.indoorUnits.length === 0) {
+            return null;
+        }
+        
+        const MultiZoneDesigner = ManualJCalculator.resolveModule('MultiZoneDesigner', './multi-zone.js');
+        const designer = new MultiZoneDesigner(this.equipmentDatabase.indoorUnits);
+        const heatingAtDesign = this.getHeatingCapacityAt(equipment, loads.climate.winterDesignTemp);
+        
+        return designer.design(loads.zones, equipment, heatingAtDesign);
     }
 
     // Get total window area
@@ -500,66 +1406,294 @@ class ManualJCalculator {
         
         return {
             heating: {
-                labels: ['Walls', 'Windows', 'Roof/Ceiling', 'Foundation', 'Air Infiltration'],
+                labels: ['Walls', 'Windows', 'Roof/Ceiling', 'Foundation', 'Air Infiltration', 'Ventilation', 'Ducts'],
                 values: [
                     heating.components.walls,
                     heating.components.windows,
                     heating.components.roof,
                     heating.components.foundation,
-                    heating.components.infiltration
+                    heating.components.infiltration,
+                    heating.components.ventilation,
+                    heating.components.ducts
                 ]
             },
             cooling: {
-                labels: ['Walls', 'Windows', 'Roof/Ceiling', 'Foundation', 'Air Infiltration', 'Internal Gains'],
+                labels: ['Walls', 'Windows', 'Roof/Ceiling', 'Foundation', 'Air Infiltration', 'Ventilation', 'Ducts', 'Internal Gains'],
                 values: [
                     cooling.components.walls,
                     cooling.components.windows,
                     cooling.components.roof,
                     cooling.components.foundation,
                     cooling.components.infiltration,
+                    cooling.components.ventilation,
+                    cooling.components.ducts,
                     cooling.components.internal
                 ]
             }
         };
     }
 
-    // Calculate monthly energy analysis
-    calculateMonthlyAnalysis(building, climate) {
-        const months = [
-            'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-            'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
-        ];
+    // Calculate monthly energy use with a bin-hour simulation for the design station
+    calculateMonthlyAnalysis(building, climate, equipment = null) {
+        const heatingLoad = this.calculateHeatingLoad(building, climate);
+        const coolingLoad = this.calculateCoolingLoad(building, climate);
+        const internalGains = this.calculateAverageInternalGains(building);
+        
+        // Energy use is modeled without the design safety factors
+        const sumComponents = components => Object.values(components).reduce((sum, value) => sum + value, 0);
+        const EnergySimulation = ManualJCalculator.resolveModule('EnergySimulation', './energy-simulation.js');
+        const simulation = new EnergySimulation(this.weatherData);
+        const heatPump = this.getSimulationHeatPump({ heating: heatingLoad, cooling: coolingLoad, climate }, equipment);
+        
+        // A thermostat set back while the house is empty runs the simulation at average setpoints;
+        // design loads are scaled to keep the same loss coefficient
+        const setback = this.getUsageProfile(building).setback;
+        const heatingDesign = heatingLoad.designConditions;
+        const coolingDesign = coolingLoad.designConditions;
+        const heatingScale = Math.max(heatingDesign.deltaT - setback, 0) / heatingDesign.deltaT;
+        const coolingScale = coolingDesign.deltaT > 0 ? Math.max(coolingDesign.deltaT - setback, 0) / coolingDesign.deltaT : 1;
+        
+        const monthly = simulation.simulate({
+            stationId: climate.station?.id,
+            heating: {
+                designLoad: sumComponents(heatingLoad.components) * heatingScale,
+                indoorTemp: heatingDesign.indoor - setback,
+                designTemp: heatingDesign.outdoor,
+                internalGains: internalGains
+            },
+            cooling: {
+                designLoad: (coolingLoad.sensible + coolingLoad.latent) * coolingScale,
+                indoorTemp: coolingDesign.indoor + setback,
+                designTemp: coolingDesign.outdoor,
+                internalGains: internalGains
+            },
+            heatPump: heatPump,
+            furnaceEfficiency: parseFloat(building.furnaceEfficiency) || 0.8,
+            replacesGas: !['electric-furnace', 'heat-pump', 'baseboard', 'none'].includes(building.heatingSystem)
+        });
+        
+        monthly.heatPump = heatPump.label;
+        monthly.ratings = { hspf2: heatPump.hspf2, seer2: heatPump.seer2 };
+        return monthly;
+    }
+
+    // Heat pump performance model for the simulation: the given model, the best catalog match,
+    // or a generic unit sized to the loads
+    getSimulationHeatPump(loads, model = null) {
+        const selection = model ? { equipment: model } : this.selectEquipment(loads, { allowBackupHeat: true })
+            .find(candidate => candidate.passes);
+        
+        const equipment = selection ? selection.equipment : {
+            manufacturer: 'Generic',
+            model: 'variable-speed heat pump',
+            heating: {},
+            cooling: { capacity95: Math.ceil(loads.cooling.total / 6000) * 6000 },
+            hspf2: 7.5,
+            seer2: 15.2,
+            eer2: 12
+        };
         
-        // Simplified monthly temperature profiles for Bay Area
-        const monthlyTemps = {
-            heating: [45, 48, 52, 55, 58, 62, 62, 62, 60, 56, 50, 46],
-            cooling: [60, 62, 65, 68, 72, 75, 77, 77, 75, 70, 65, 60]
+        if (!selection) {
+            const capacity = equipment.cooling.capacity95;
+            equipment.heating = { capacity47: capacity, capacity17: capacity * 0.72, capacity5: capacity * 0.58 };
+        }
+        
+        return {
+            label: `${equipment.manufacturer} ${equipment.model}`,
+            equipment: equipment,
+            capacityAt: outdoorTemp => this.getHeatingCapacityAt(equipment, outdoorTemp),
+            coolingCapacity: equipment.cooling.capacity95,
+            hspf2: equipment.hspf2,
+            seer2: equipment.seer2,
+            eer2: equipment.eer2
         };
+    }
+
+    // Heating capacity at an outdoor temperature, interpolated from the 47/17/5°F ratings
+    getHeatingCapacityAt(equipment, outdoorTemp) {
+        const { capacity47, capacity17, capacity5 } = equipment.heating;
+        
+        let capacity;
+        if (outdoorTemp >= 17) {
+            capacity = capacity17 + (capacity47 - capacity17) * (outdoorTemp - 17) / 30;
+            // Inverter output levels off above the 47°F rating point
+            capacity = Math.min(capacity, capacity47 * 1.1);
+        } else {
+            // Below 17°F follow the 17-5°F slope, extrapolating below 5°F
+            capacity = capacity5 + (capacity17 - capacity5) * (outdoorTemp - 5) / 12;
+        }
         
-        const heatingLoad = this.calculateHeatingLoad(building, climate);
-        const coolingLoad = this.calculateCoolingLoad(building, climate);
+        return Math.max(Math.round(capacity), 0);
+    }
+
+    // Cooling capacity at an outdoor temperature: about 0.75% more per °F below the 95°F rating point, less above it
+    getCoolingCapacityAt(equipment, outdoorTemp) {
+        return Math.round(equipment.cooling.capacity95 * (1 + 0.0075 * (95 - outdoorTemp)));
+    }
+
+    /**
+     * ACCA Manual S check of a selected model at the local design temperatures rather than its
+     * nominal rating: total cooling capacity at the summer design temperature must be 90-115% of
+     * the total cooling load with enough sensible capacity, and heating capacity at the winter
+     * design temperature must cover the heating load. Both cooling checks use the Manual J load
+     * without the safety factor. With options.allowBackupHeat a heating shortfall passes when
+     * backup heat covers it, as Manual S allows for heat pumps sized on the cooling load.
+     */
+    verifyEquipment(equipment, loads, options = {}) {
+        const climate = loads.climate;
+        const limits = { min: 0.9, max: 1.15 };
+        const coolingLoad = this.getCoolingSizingLoad(loads);
+        const { total: coolingCapacity, sensible: sensibleCapacity } = this.getDesignCoolingCapacity(equipment, loads);
+        const heatingCapacity = this.getHeatingCapacityAt(equipment, climate.winterDesignTemp);
+        const coolingRatio = coolingCapacity / coolingLoad;
+        const heatingShortfall = Math.max(loads.heating.total - heatingCapacity, 0);
+        
+        const checks = [
+            {
+                id: 'cooling',
+                label: `Total cooling at ${climate.summerDesignTemp}°F`,
+                requirement: `${Math.round(limits.min * 100)}–${Math.round(limits.max * 100)}% of load`,
+                capacity: coolingCapacity,
+                load: Math.round(coolingLoad),
+                ratio: Math.round(coolingRatio * 100) / 100,
+                pass: coolingRatio >= limits.min && coolingRatio <= limits.max
+            },
+            {
+                id: 'sensible',
+                label: `Sensible cooling at ${climate.summerDesignTemp}°F`,
+                requirement: 'at least 100% of load',
+                capacity: sensibleCapacity,
+                load: Math.round(loads.cooling.sensible),
+                ratio: Math.round(sensibleCapacity / loads.cooling.sensible * 100) / 100,
+                pass: sensibleCapacity >= loads.cooling.sensible
+            },
+            {
+                id: 'heating',
+                label: `Heating at ${climate.winterDesignTemp}°F`,
+                requirement: options.allowBackupHeat ? 'at least 100% of load with backup heat' : 'at least 100% of load',
+                capacity: heatingCapacity,
+                load: Math.round(loads.heating.total),
+                ratio: Math.round(heatingCapacity / loads.heating.total * 100) / 100,
+                pass: heatingShortfall === 0 || Boolean(options.allowBackupHeat)
+            }
+        ];
+        
+        return {
+            method: 'ACCA Manual S',
+            designConditions: { summer: climate.summerDesignTemp, winter: climate.winterDesignTemp },
+            checks,
+            coolingLimits: limits,
+            // Supplemental heat that would cover a heating shortfall at the design temperature
+            backupHeatKW: Math.round(heatingShortfall / 3412 * 10) / 10,
+            passes: checks.every(check => check.pass)
+        };
+    }
+
+    // Manual J cooling load that Manual S sizes against: sensible plus latent, without the safety factor
+    getCoolingSizingLoad(loads) {
+        return loads.cooling.sensible + loads.cooling.latent;
+    }
+
+    /**
+     * Cooling capacity of a model at the summer design condition, split per Manual S. A coil only
+     * removes the moisture the air carries: when the latent load is below the rated latent capacity,
+     * as in dry climates, the coil runs at the load's sensible heat ratio and the spare latent
+     * capacity cools sensibly instead.
+     */
+    getDesignCoolingCapacity(equipment, loads) {
+        const total = this.getCoolingCapacityAt(equipment, loads.climate.summerDesignTemp);
+        const sizingLoad = this.getCoolingSizingLoad(loads);
+        const loadSHR = sizingLoad > 0 ? loads.cooling.sensible / sizingLoad : 1;
+        const sensibleHeatRatio = Math.max(equipment.cooling.sensibleHeatRatio, loadSHR);
+        const sensible = Math.round(total * sensibleHeatRatio);
         
-        const monthlyData = {
-            labels: months,
-            heating: [],
-            cooling: [],
-            total: []
+        return {
+            total,
+            sensible,
+            latent: total - sensible,
+            sensibleHeatRatio: Math.round(sensibleHeatRatio * 100) / 100
+        };
+    }
+
+    // Check one catalog model against the design loads
+    evaluateEquipment(equipment, loads, options = {}) {
+        const climate = loads.climate;
+        const heatingLoad = loads.heating.total;
+        const coolingLoad = this.getCoolingSizingLoad(loads);
+        const sensibleLoad = loads.cooling.sensible;
+        const latentLoad = loads.cooling.latent;
+        
+        const heatingCapacity = this.getHeatingCapacityAt(equipment, climate.winterDesignTemp);
+        const design = this.getDesignCoolingCapacity(equipment, loads);
+        const coolingCapacity = design.total;
+        const sensibleCapacity = design.sensible;
+        const latentCapacity = design.latent;
+        
+        // Heat pumps may run larger in heating-dominated climates to cover the heating load
+        const maxCoolingRatio = heatingLoad > coolingLoad ? 1.25 : 1.15;
+        const coolingRatio = coolingCapacity / coolingLoad;
+        
+        const checks = {
+            heating: heatingCapacity >= heatingLoad,
+            sensible: sensibleCapacity >= sensibleLoad,
+            oversizing: coolingRatio <= maxCoolingRatio,
+            latent: latentCapacity >= latentLoad
         };
         
-        for (let i = 0; i < 12; i++) {
-            // Simplified degree-day calculation
-            const heatingDegDays = Math.max(0, (building.heatingTemp || 70) - monthlyTemps.heating[i]) * 30;
-            const coolingDegDays = Math.max(0, monthlyTemps.cooling[i] - (building.coolingTemp || 75)) * 30;
-            
-            const monthlyHeating = (heatingLoad.total / 1000) * heatingDegDays / 65; // Normalize to 65°F base
-            const monthlyCooling = (coolingLoad.total / 1000) * coolingDegDays / 65;
+        // Latent shortfalls are a warning: the house will run humid but stay cool
+        const warnings = [];
+        if (!checks.latent) {
+            warnings.push(`Latent capacity ${latentCapacity.toLocaleString()} Btu/h is below the ${Math.round(latentLoad).toLocaleString()} Btu/h latent load ` +
+                `(equipment SHR ${equipment.cooling.sensibleHeatRatio} vs. load SHR ${loads.cooling.sensibleHeatRatio}); ` +
+                'use a low blower speed or dehumidify mode, or add a dehumidifier');
+        }
+        
+        return {
+            equipment,
+            heatingCapacity,
+            coolingCapacity,
+            sensibleCapacity,
+            latentCapacity,
+            heatingCoverage: Math.round((heatingCapacity / heatingLoad) * 100) / 100,
+            coolingRatio: Math.round(coolingRatio * 100) / 100,
+            maxCoolingRatio,
+            checks,
+            warnings,
+            nextSizeUp: false,
+            // A heating shortfall is acceptable when backup heat will cover it
+            passes: (checks.heating || Boolean(options.allowBackupHeat)) && checks.sensible && checks.oversizing
+        };
+    }
+
+    // Rank catalog models for the loads: passing models first, smallest and cheapest first
+    selectEquipment(loads, filters = {}) {
+        const types = filters.types || (filters.type ? [filters.type] : null);
+        const manufacturer = filters.manufacturer ? filters.manufacturer.toLowerCase() : null;
+        
+        const evaluations = this.equipmentDatabase.heatPumps
+            .filter(equipment => !types || types.includes(equipment.type))
+            .filter(equipment => !manufacturer || equipment.manufacturer.toLowerCase() === manufacturer)
+            .filter(equipment => !filters.maxBudget || equipment.cost.low <= filters.maxBudget)
+            .map(equipment => this.evaluateEquipment(equipment, loads, filters));
+        
+        // Manual S allows the next nominal size up when nothing fits inside the oversizing limit
+        if (!evaluations.some(evaluation => evaluation.passes)) {
+            const nextSizeUp = evaluations
+                .filter(evaluation => (evaluation.checks.heating || filters.allowBackupHeat) && evaluation.checks.sensible)
+                .sort((a, b) => a.coolingCapacity - b.coolingCapacity)[0];
             
-            monthlyData.heating.push(Math.round(monthlyHeating));
-            monthlyData.cooling.push(Math.round(monthlyCooling));
-            monthlyData.total.push(Math.round(monthlyHeating + monthlyCooling));
+            if (nextSizeUp) {
+                nextSizeUp.passes = true;
+                nextSizeUp.nextSizeUp = true;
+            }
         }
         
-        return monthlyData;
+        return evaluations
+            .sort((a, b) =>
+                (b.passes - a.passes) ||
+                (a.coolingCapacity - b.coolingCapacity) ||
+                (a.equipment.cost.low - b.equipment.cost.low)
+            );
     }
 
     // Generate equipment recommendations
@@ -568,347 +1702,741 @@ class ManualJCalculator {
         
         // Determine system type based on existing ductwork
         const hasGoodDuctwork = building.ductwork === 'excellent' || building.ductwork === 'good';
+        const hasDuctwork = building.ductwork !== 'none';
+        
+        const systemTypes = [
+            // Ducted systems are recommended when the existing ducts can be reused; fair or poor
+            // ducts can carry one too once they are sealed or replaced
+            {
+                type: 'Ducted Heat Pump',
+                include: hasDuctwork,
+                recommended: hasGoodDuctwork,
+                warning: hasGoodDuctwork ? null :
+                    `Existing ductwork is rated ${building.ductwork || 'unknown'}; plan on sealing or replacing it for this system`
+            },
+            { type: 'Ductless Mini-Split', include: true, recommended: !hasGoodDuctwork || loads.heating.total < 24000 },
+            { type: 'Multi-Zone Ductless', include: true, recommended: !hasGoodDuctwork }
+        ];
         
-        if (hasGoodDuctwork && loads.heating.total > 18000) {
-            // Ducted heat pump system
-            const ductedHP = this.equipmentDatabase.heatPumps.find(hp => hp.type === 'Ducted Heat Pump');
-            if (ductedHP && loads.heating.total <= ductedHP.maxCapacity) {
-                recommendations.push({
-                    ...ductedHP,
-                    recommended: true,
-                    sizingCapacity: Math.ceil(Math.max(loads.heating.total, loads.cooling.total) / 6000) * 6000,
-                    annualSavings: this.calculateAnnualSavings(building, ductedHP),
-                    rebatesAvailable: this.calculateRebates(ductedHP, building)
-                });
-            }
-        }
-        
-        // Ductless options
-        if (loads.heating.total <= 36000) {
-            const ductlessHP = this.equipmentDatabase.heatPumps.find(hp => hp.type === 'Ductless Mini-Split');
-            if (ductlessHP) {
-                recommendations.push({
-                    ...ductlessHP,
-                    recommended: !hasGoodDuctwork || loads.heating.total < 24000,
-                    sizingCapacity: Math.ceil(Math.max(loads.heating.total, loads.cooling.total) / 3000) * 3000,
-                    annualSavings: this.calculateAnnualSavings(building, ductlessHP),
-                    rebatesAvailable: this.calculateRebates(ductlessHP, building)
-                });
+        systemTypes.forEach(systemType => {
+            if (!systemType.include) return;
+            
+            // Heat pumps are sized on cooling; backup heat covers any shortfall at the winter design temperature
+            const ranked = this.selectEquipment(loads, { type: systemType.type, allowBackupHeat: true });
+            let [selection] = ranked;
+            if (!selection || !selection.passes) return;
+            
+            // Multi-zone outdoor units also have to carry the zone layout within their port and connected capacity limits
+            let zoneDesign = null;
+            if (systemType.type === 'Multi-Zone Ductless') {
+                const layouts = ranked
+                    .filter(evaluation => evaluation.passes)
+                    .map(evaluation => ({ selection: evaluation, zoneDesign: this.designMultiZone(loads, evaluation.equipment) }));
+                ({ selection, zoneDesign } = layouts.find(layout => layout.zoneDesign && layout.zoneDesign.feasible) || layouts[0]);
             }
-        }
-        
-        // Multi-zone ductless for larger homes
-        if (loads.heating.total > 24000 && loads.heating.total <= 48000) {
-            const multiZone = this.equipmentDatabase.heatPumps.find(hp => hp.type === 'Multi-Zone Ductless');
-            if (multiZone) {
-                recommendations.push({
-                    ...multiZone,
-                    recommended: !hasGoodDuctwork,
-                    sizingCapacity: Math.ceil(Math.max(loads.heating.total, loads.cooling.total) / 6000) * 6000,
-                    annualSavings: this.calculateAnnualSavings(building, multiZone),
-                    rebatesAvailable: this.calculateRebates(multiZone, building)
-                });
+            
+            if (systemType.warning) {
+                selection = { ...selection, warnings: [...selection.warnings, systemType.warning] };
             }
-        }
+            
+            const equipment = selection.equipment;
+            const verification = this.verifyEquipment(equipment, loads, { allowBackupHeat: true });
+            recommendations.push({
+                ...equipment,
+                // Equipment that fails Manual S at the design conditions is only offered as an alternative
+                recommended: systemType.recommended && verification.passes,
+                sizingCapacity: equipment.cooling.capacity95,
+                selection: selection,
+                verification: verification,
+                zoneDesign: zoneDesign,
+                annualSavings: this.calculateAnnualSavings(building, equipment),
+                rebatesAvailable: this.calculateRebates(equipment, building)
+            });
+        });
         
         return recommendations.sort((a, b) => b.recommended - a.recommended);
     }
 
-    // Calculate annual savings (simplified)
-    calculateAnnualSavings(building, equipment) {
-        // Get current utility costs
-        const currentGasBill = parseFloat(building.currentGasBill) || 150;
-        const currentElectricBill = parseFloat(building.currentElectricBill) || 120;
+    // Size a heat pump from load results and homeowner preferences
+    sizeEquipment(loadResults, preferences = {}) {
+        const distributionTypes = {
+            ducted: ['Ducted Heat Pump'],
+            ductless: ['Ductless Mini-Split', 'Multi-Zone Ductless']
+        };
+        
+        const filters = {
+            types: distributionTypes[preferences.distribution] || null,
+            manufacturer: preferences.brand || null,
+            maxBudget: parseFloat(preferences.maxBudget) || null,
+            allowBackupHeat: Boolean(preferences.backupHeatAllowed)
+        };
         
-        // Estimate current annual heating costs (gas bill * heating months)
-        const annualGasCost = currentGasBill * 6; // Assume 6 months heating
+        const ranked = this.selectEquipment(loadResults, filters);
+        const passing = ranked.filter(selection => selection.passes);
         
-        // Estimate heat pump efficiency savings
-        const hspf = equipment.heatingEfficiency.hspf;
-        const seer = equipment.coolingEfficiency.seer;
+        if (passing.length === 0) {
+            const reason = ranked.length === 0 ?
+                'No catalog models match the distribution, brand and budget preferences' :
+                'No matching model covers the design loads within Manual S sizing limits';
+            throw new Error(reason);
+        }
         
-        // Simplified savings calculation
-        const heatingEfficiencySavings = annualGasCost * 0.3; // 30% typical savings
-        const coolingEfficiencySavings = (currentElectricBill * 4) * 0.2; // 20% cooling savings
+        const [selection, ...alternatives] = passing;
         
-        return Math.round(heatingEfficiencySavings + coolingEfficiencySavings);
+        return {
+            heatPump: this.describeSizedHeatPump(selection, loadResults.heating),
+            alternatives: alternatives.slice(0, 2).map(alternative =>
+                this.describeSizedHeatPump(alternative, loadResults.heating)
+            ),
+            loads: {
+                heating: loadResults.heating.total,
+                cooling: loadResults.cooling.total,
+                sensible: loadResults.cooling.sensible
+            },
+            preferences: {
+                distribution: preferences.distribution || 'any',
+                brand: preferences.brand || null,
+                maxBudget: filters.maxBudget,
+                backupHeatAllowed: filters.allowBackupHeat
+            }
+        };
     }
 
-    // Calculate available rebates
-    calculateRebates(equipment, building) {
-        let totalRebates = 0;
-        const rebates = [];
+    // Summarize a ranked selection as the heatPump object returned by sizeEquipment
+    describeSizedHeatPump(selection, heatingLoad) {
+        const equipment = selection.equipment;
+        const supplementalHeat = Math.max(0, heatingLoad.total - selection.heatingCapacity);
         
-        // PG&E Heat Pump Rebates
-        if (equipment.heatingEfficiency.hspf >= 8.5) {
-            const pgeRebate = 3000;
-            totalRebates += pgeRebate;
-            rebates.push({ program: 'PG&E Heat Pump Rebate', amount: pgeRebate });
+        return {
+            id: equipment.id,
+            type: equipment.type,
+            manufacturer: equipment.manufacturer,
+            series: equipment.series,
+            model: equipment.model,
+            nominalTons: equipment.nominalTons,
+            heatingCapacity: selection.heatingCapacity,
+            coolingCapacity: selection.coolingCapacity,
+            sensibleCapacity: selection.sensibleCapacity,
+            latentCapacity: selection.latentCapacity,
+            hspf2: equipment.heatingEfficiency.hspf2,
+            seer2: equipment.coolingEfficiency.seer2,
+            balancePoint: this.calculateBalancePoint(equipment, heatingLoad),
+            supplementalHeat: supplementalHeat,
+            supplementalHeatKW: Math.round(supplementalHeat / 3412 * 10) / 10,
+            costRange: equipment.costRange,
+            nextSizeUp: selection.nextSizeUp,
+            checks: selection.checks,
+            warnings: selection.warnings
+        };
+    }
+
+    // Outdoor temperature where heat pump capacity equals the building heat loss.
+    // The heat loss is taken as linear from zero at the indoor setpoint to the design load.
+    calculateBalancePoint(equipment, heatingLoad) {
+        const { indoor, outdoor } = heatingLoad.designConditions;
+        const lossPerDegree = heatingLoad.total / (indoor - outdoor);
+        const lowestTemp = -30;
+        
+        let previousSurplus = null;
+        for (let temp = indoor; temp >= lowestTemp; temp--) {
+            const surplus = this.getHeatingCapacityAt(equipment, temp) - lossPerDegree * (indoor - temp);
+            
+            if (surplus < 0) {
+                // Interpolate between this degree and the one above it
+                const fraction = previousSurplus === null ? 0 : previousSurplus / (previousSurplus - surplus);
+                return Math.round((temp + 1 - fraction) * 10) / 10;
+            }
+            previousSurplus = surplus;
         }
         
-        // TECH Clean California
-        if (equipment.heatingEfficiency.hspf >= 9.0) {
-            const techRebate = 3000;
-            totalRebates += techRebate;
-            rebates.push({ program: 'TECH Clean California', amount: techRebate });
+        // The heat pump carries the whole load at any realistic outdoor temperature
+        return null;
+    }
+
+    /**
+     * Thermal balance point of the simulated heat pump against the design heating load line,
+     * typical-year hours below it from the station's temperature bins, and the backup heat needed
+     * at the winter design temperature.
+     */
+    calculateBalancePointAnalysis(building, climate, heatingLoad, coolingLoad) {
+        const heatPump = this.getSimulationHeatPump({ heating: heatingLoad, cooling: coolingLoad, climate });
+        const balancePoint = this.calculateBalancePoint(heatPump.equipment, heatingLoad);
+        const { indoor, outdoor } = heatingLoad.designConditions;
+        const lossPerDegree = heatingLoad.total / (indoor - outdoor);
+        
+        // Each bin spans binWidth degrees around its temperature; count the share below the balance point
+        const EnergySimulation = ManualJCalculator.resolveModule('EnergySimulation', './energy-simulation.js');
+        const weather = new EnergySimulation(this.weatherData).getStationBins(climate.station?.id);
+        const binWidth = this.weatherData.binWidth || 5;
+        let hoursBelow = 0;
+        if (weather && balancePoint !== null) {
+            weather.months.forEach(bins => bins.forEach(([temp, hours]) => {
+                const shareBelow = Math.min(Math.max((balancePoint - (temp - binWidth / 2)) / binWidth, 0), 1);
+                hoursBelow += hours * shareBelow;
+            }));
         }
         
-        // Federal Tax Credit (30% of cost, up to system cost)
-        const federalCredit = Math.min(equipment.costRange.low * 0.3, 6000);
-        totalRebates += federalCredit;
-        rebates.push({ program: 'Federal Tax Credit (30%)', amount: Math.round(federalCredit) });
+        const shortfall = Math.max(heatingLoad.total - heatPump.capacityAt(outdoor), 0);
         
-        // BAAQMD Incentive
-        const baaqmdIncentive = 1500;
-        totalRebates += baaqmdIncentive;
-        rebates.push({ program: 'BAAQMD Clean Air Incentive', amount: baaqmdIncentive });
+        // Load line and capacity curve in 5°F steps from below the design temperature up to the setpoint
+        const curve = [];
+        for (let temp = Math.floor(outdoor / 5) * 5 - 10; temp <= indoor; temp += 5) {
+            curve.push({
+                temp: temp,
+                load: Math.round(Math.max(lossPerDegree * (indoor - temp), 0)),
+                capacity: heatPump.capacityAt(temp)
+            });
+        }
         
         return {
-            total: Math.round(totalRebates),
-            breakdown: rebates
+            heatPump: heatPump.label,
+            balancePoint: balancePoint,
+            designTemp: outdoor,
+            hoursBelowBalance: Math.round(hoursBelow),
+            station: weather ? weather.stationId : null,
+            backupHeatKW: Math.round(shortfall / 3412 * 10) / 10,
+            // Electric strip heat comes in 5 kW steps
+            stripHeatKW: shortfall > 0 ? Math.ceil(shortfall / 3412 / 5) * 5 : 0,
+            curve: curve
         };
     }
-}
-
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = ManualJCalculator;
-} else {
-    window.ManualJCalculator = ManualJCalculator;
-}
-
-// Enhanced Manual J Calculator with Error Handling Integration
-class EnhancedManualJCalculator extends ManualJCalculator {
-    constructor() {
-        super();
-        this.errorHandler = null;
-        this.transparencyHandler = null;
-        this.lastResults = null;
-    }
-
-    // Initialize with error handling and transparency systems
-    init() {
-        // Wait for error handling system to be available
-        if (window.errorHandling) {
-            this.errorHandler = window.errorHandling;
-            console.log('Manual J Calculator integrated with error handling');
-        }
 
-        // Wait for calculation transparency system to be available
-        if (window.calculationTransparency) {
-            this.transparencyHandler = window.calculationTransparency;
-            this.transparencyHandler.integrateWithCalculator(this);
-            console.log('Manual J Calculator integrated with calculation transparency');
-        }
-
-        // If systems aren't ready, try again later
-        if (!this.errorHandler || !this.transparencyHandler) {
-            setTimeout(() => this.init(), 500);
+    /**
+     * Manual D duct schedule for the simulated heat pump at 400 CFM per ton. Each room gets the
+     * system airflow times the larger of its heating and cooling load shares (normalized to the
+     * system total); without room data the airflow is split across typical 100 CFM outlets.
+     */
+    calculateDuctDesign(building, loads) {
+        const DuctDesigner = ManualJCalculator.resolveModule('DuctDesigner', './duct-design.js');
+        const heatPump = this.getSimulationHeatPump(loads);
+        const systemCFM = heatPump.coolingCapacity / 12000 * 400;
+        
+        let rooms;
+        if (loads.rooms) {
+            const shares = loads.rooms.map(room => Math.max(
+                room.heating.total / loads.heating.total,
+                room.cooling.total / loads.cooling.total
+            ));
+            const shareTotal = shares.reduce((sum, share) => sum + share, 0);
+            rooms = loads.rooms.map((room, index) => ({ name: room.name, cfm: systemCFM * shares[index] / shareTotal }));
+        } else {
+            const outlets = Math.ceil(systemCFM / 100);
+            rooms = [{ name: 'Typical outlet', cfm: systemCFM / outlets, count: outlets }];
         }
+        
+        return new DuctDesigner().design({
+            systemCFM: systemCFM,
+            rooms: rooms,
+            staticPressure: parseFloat(building.ductStaticPressure) || 0.5,
+            supplyLength: parseFloat(building.ductSupplyLength) || 200,
+            returnLength: parseFloat(building.ductReturnLength) || 100,
+            condition: building.ductwork || 'fair',
+            location: building.ductLocation || 'attic'
+        });
     }
 
-    // Enhanced calculateLoads with error handling and transparency
-    calculateLoads(buildingData) {
-        try {
-            // Record calculation start for transparency
-            if (this.transparencyHandler) {
-                this.transparencyHandler.clearCalculationSteps();
-                this.transparencyHandler.recordCalculationStep(
-                    "Load Calculation Started",
-                    `Building: ${buildingData.sqft} sq ft`,
-                    "Initializing ACCA Manual J calculation process",
-                    "ACCA Manual J 8th Edition"
-                );
-            }
-
-            // Validate input data
-            this.validateBuildingData(buildingData);
+    // Annual bill savings for a specific heat pump model
+    calculateAnnualSavings(building, equipment) {
+        const climate = this.getClimateData(building.address, {
+            latitude: building.latitude,
+            longitude: building.longitude
+        });
+        const monthly = this.calculateMonthlyAnalysis(building, climate, equipment);
+        
+        return this.calculateBillComparison(building, monthly).annualSavings;
+    }
 
-            // Perform calculations with error handling
-            const results = super.calculateLoads(buildingData);
-            
-            // Store results for potential retry
-            this.lastResults = results;
-
-            // Record final calculation step
-            if (this.transparencyHandler) {
-                this.transparencyHandler.recordCalculationStep(
-                    "Calculation Complete",
-                    `Heating: ${results.heating.total} BTU/hr, Cooling: ${results.cooling.total} BTU/hr`,
-                    "Manual J calculations completed successfully",
-                    "Total Load = Envelope + Infiltration ± Internal Gains"
-                );
-                
-                // Show calculation work if enabled
-                this.transparencyHandler.showCalculationWork('step5-results');
-            }
+    // Quantities upgrade costs are priced on, in sq ft
+    getUpgradeQuantities(building) {
+        const windowArea = this.hasRoomData(building) ?
+            building.rooms.reduce((sum, room) => sum + Object.values(room.windows || {})
+                .reduce((total, area) => total + (parseFloat(area) || 0), 0), 0) :
+            this.getTotalWindowArea(building);
+        return {
+            atticArea: this.getRoofArea(building),
+            wallArea: this.calculateWallArea(building),
+            windowArea: windowArea,
+            floorArea: parseFloat(building.totalArea) || 0
+        };
+    }
 
-            return results;
+    /**
+     * What-if comparison: rerun the loads for copies of the building with each scenario's changes.
+     * scenarios: [{ id, label, changes }], defaulting to the preset upgrade packages that apply to the house
+     */
+    compareScenarios(building, scenarios = null) {
+        const ScenarioComparison = ManualJCalculator.resolveModule('ScenarioComparison', './scenario-comparison.js');
+        const comparison = new ScenarioComparison();
+        const quantities = this.getUpgradeQuantities(building);
+        
+        // Scenarios are priced before calibration: calibrating each one to the same customer bills would
+        // cancel its savings. The change is carried onto the existing home's calibrated bills instead
+        const unbilled = { ...building, currentGasBill: null, currentElectricBill: null };
+        const calibrated = this.calculateLoads(building).bills;
+        const uncalibrated = this.calculateLoads(unbilled).bills;
+        
+        const evaluate = scenario => {
+            const results = this.calculateLoads(comparison.applyScenario(unbilled, scenario.changes));
+            results.bills = comparison.calibrateBills(results.bills, uncalibrated, calibrated);
+            const cost = comparison.estimateCost(building, scenario.changes, quantities);
+            return comparison.summarize(scenario, results, this.getSimulationHeatPump(results), cost);
+        };
+        
+        const baseline = evaluate({ id: 'existing', label: 'Existing home', changes: {} });
+        return comparison.compare(baseline, (scenarios || comparison.getPackages(building)).map(evaluate));
+    }
 
-        } catch (error) {
-            console.error('Manual J calculation error:', error);
-            
-            // Use error handling system if available
-            if (this.errorHandler) {
-                const errorId = this.errorHandler.handleError({
-                    type: 'calculation',
-                    message: error.message,
-                    source: 'Manual J Calculator'
-                }, {
-                    operation: 'calculateLoads',
-                    invalidFields: this.getInvalidFields(buildingData),
-                    details: { buildingData, error: error.message },
-                    retryFunction: async () => {
-                        try {
-                            const result = this.calculateLoads(buildingData);
-                            return { success: true, result };
-                        } catch (retryError) {
-                            return { success: false, error: retryError.message };
-                        }
-                    }
-                });
-                
-                throw error; // Re-throw for caller to handle
-            } else {
-                // Fallback error handling
-                throw new Error(`Calculation failed: ${error.message}`);
-            }
-        }
+    /**
+     * Weatherization loading order: rerun the loads, heat pump selection and annual energy for each
+     * envelope or duct measure the house needs, and rank the measures by payback
+     */
+    calculateLoadingOrder(building, results) {
+        const WeatherizationPlanner = ManualJCalculator.resolveModule('WeatherizationPlanner', './weatherization.js');
+        const ScenarioComparison = ManualJCalculator.resolveModule('ScenarioComparison', './scenario-comparison.js');
+        const planner = new WeatherizationPlanner();
+        const scenarios = new ScenarioComparison();
+        const climate = results.climate;
+        const quantities = this.getUpgradeQuantities(building);
+        
+        // Bills are priced before calibration: calibrating each upgraded house to the same customer bills
+        // would hide its savings. The change is scaled by the existing house's calibration instead
+        const calibration = results.bills ? results.bills.calibration : { gas: 1, electric: 1 };
+        const evaluate = house => {
+            const heating = this.calculateHeatingLoad(house, climate);
+            const cooling = this.calculateCoolingLoad(house, climate);
+            const monthly = this.calculateMonthlyAnalysis(house, climate);
+            const bill = this.calculateBillComparison({ ...house, currentGasBill: null, currentElectricBill: null }, monthly).before;
+            return { heating, cooling, heatPump: this.getSimulationHeatPump({ heating, cooling, climate }), bill };
+        };
+        
+        const baseline = evaluate(building);
+        const context = {
+            infiltration: this.calculateInfiltration(building, climate),
+            ductsOutside: this.hasUnconditionedDucts(building),
+            windowArea: quantities.windowArea
+        };
+        
+        return planner.rank(planner.getMeasures(building, context).map(measure => planner.evaluate(measure, {
+            baseline,
+            upgraded: evaluate(scenarios.applyScenario(building, measure.changes)),
+            cost: scenarios.estimateCost(building, measure.changes, quantities),
+            breakdown: results.breakdown,
+            calibration
+        })));
     }
 
-    // Validate building data
-    validateBuildingData(data) {
-        const errors = [];
+    /**
+     * Sensitivity of the design loads to the inputs that are usually estimated: a tornado of each
+     * input's low/high swing and a P10/P90 band with all of them varied together
+     */
+    calculateSensitivity(building, results, options = {}) {
+        const SensitivityAnalysis = ManualJCalculator.resolveModule('SensitivityAnalysis', './sensitivity.js');
+        const analysis = new SensitivityAnalysis(options);
+        const climate = results.climate;
+        const evaluate = changes => {
+            const house = { ...building, ...changes };
+            return {
+                heating: this.calculateHeatingLoad(house, climate).total,
+                cooling: this.calculateCoolingLoad(house, climate).total
+            };
+        };
+        
+        return analysis.analyze(building, {
+            infiltration: this.calculateInfiltration(building, climate),
+            ductsOutside: this.hasUnconditionedDucts(building),
+            roomMode: this.hasRoomData(building),
+            windowArea: this.getUpgradeQuantities(building).windowArea,
+            defaultArea: ManualJCalculator.formFields.find(([field]) => field === 'totalArea')[3],
+            safetyFactors: ManualJCalculator.safetyFactors
+        }, evaluate);
+    }
 
-        if (!data.sqft || data.sqft < 100 || data.sqft > 50000) {
-            errors.push('Square footage must be between 100 and 50,000 sq ft');
-        }
+    // Quick bill comparison from the homepage calculator inputs, assuming typical construction.
+    // rebates evaluates the incentive programs for the closest catalog heat pump
+    estimateBillSavings({ homeSize, zip, gasBill, electricBill }) {
+        const windowAreaPerSide = Math.round(homeSize * 0.15 / 4);
+        const building = {
+            address: zip || '',
+            totalArea: homeSize,
+            ceilingHeight: 9,
+            yearBuilt: 1980,
+            stories: 1,
+            occupants: 3,
+            heatingTemp: 70,
+            coolingTemp: 75,
+            wallType: 'wood-frame-2x4',
+            wallInsulation: '11',
+            atticInsulation: '19',
+            foundationType: 'crawlspace-vented',
+            windowAreaNorth: windowAreaPerSide,
+            windowAreaEast: windowAreaPerSide,
+            windowAreaSouth: windowAreaPerSide,
+            windowAreaWest: windowAreaPerSide,
+            windowType: 'double-pane',
+            heatingSystem: 'gas-furnace',
+            coolingSystem: 'central-ac',
+            ductwork: 'fair',
+            ductLocation: 'attic',
+            ductInsulation: '4.2',
+            currentGasBill: gasBill,
+            currentElectricBill: electricBill
+        };
+        
+        const results = this.calculateLoads(building);
+        const ranked = this.selectEquipment(results, { allowBackupHeat: true });
+        const selection = ranked.find(candidate => candidate.passes) || ranked[0];
+        return {
+            ...results.bills,
+            rebates: selection ? this.calculateRebates(selection.equipment, building) : null
+        };
+    }
 
-        if (!data.ceilingHeight || data.ceilingHeight < 6 || data.ceilingHeight > 20) {
-            errors.push('Ceiling height must be between 6 and 20 feet');
-        }
+    // Fuel the existing heating system uses: gas, resistance, heat-pump or none
+    getExistingHeatingType(building) {
+        const heatingTypes = {
+            'gas-furnace': 'gas',
+            'boiler': 'gas',
+            'radiant': 'gas',
+            'electric-furnace': 'resistance',
+            'baseboard': 'resistance',
+            'heat-pump': 'heat-pump',
+            'none': 'none'
+        };
+        return heatingTypes[building.heatingSystem] || 'gas';
+    }
 
-        if (!data.bedrooms || data.bedrooms < 1 || data.bedrooms > 20) {
-            errors.push('Number of bedrooms must be between 1 and 20');
+    // Before/after utility costs for the simulated heat pump on PG&E tariffs
+    calculateBillComparison(building, monthly) {
+        if (!this.rateData) {
+            throw new Error('PG&E rate table is not loaded');
         }
-
-        if (data.occupants && (data.occupants < 1 || data.occupants > 50)) {
-            errors.push('Number of occupants must be between 1 and 50');
+        
+        const BillSavingsEngine = ManualJCalculator.resolveModule('BillSavingsEngine', './bill-savings.js');
+        const engine = new BillSavingsEngine(this.rateData);
+        
+        // Existing cooling efficiency (SEER2) relative to the new heat pump; evaporative coolers use far less
+        const existingCoolingSEER2 = {
+            'central-ac': 10,
+            'heat-pump': 10,
+            'window-units': 9
+        };
+        let coolingKWhFactor = 0;
+        if (existingCoolingSEER2[building.coolingSystem || 'central-ac']) {
+            coolingKWhFactor = monthly.ratings.seer2 / existingCoolingSEER2[building.coolingSystem || 'central-ac'];
+        } else if (building.coolingSystem === 'evaporative') {
+            coolingKWhFactor = 0.25;
         }
+        
+        // Water heating and cooking stay on gas unless the house already uses electric appliances
+        const waterHeater = building.waterHeater || 'gas-tank';
+        const otherGasPerMonth = (waterHeater.startsWith('gas') ? 16 : 0) + (building.electricRange ? 0 : 3);
+        
+        return engine.compareBills({
+            territory: engine.getTerritory(monthly.station),
+            simulation: monthly,
+            existing: {
+                heating: this.getExistingHeatingType(building),
+                furnaceEfficiency: parseFloat(building.furnaceEfficiency) || 0.8,
+                heatingKWhFactor: monthly.ratings.hspf2 / 6.5,
+                coolingKWhFactor: coolingKWhFactor
+            },
+            bills: {
+                gas: parseFloat(building.currentGasBill) || null,
+                electric: parseFloat(building.currentElectricBill) || null
+            },
+            currentTariff: building.electricRate || 'E-TOU-C',
+            otherGasTherms: Array(12).fill(otherGasPerMonth)
+        });
+    }
 
-        if (!data.insulationLevel) {
-            errors.push('Insulation level is required');
-        }
+    // Heat pump water heater sizing, annual energy and cost against the existing water heater
+    calculateWaterHeating(building, monthly) {
+        const WaterHeatingModel = ManualJCalculator.resolveModule('WaterHeatingModel', './water-heating.js');
+        const EnergySimulation = ManualJCalculator.resolveModule('EnergySimulation', './energy-simulation.js');
+        const model = new WaterHeatingModel();
+        const weather = new EnergySimulation(this.weatherData).getStationBins(monthly.station);
+        
+        // Months where the heat pump mostly heats or mostly cools the house
+        const heatingMonths = monthly.heating.filter((kWh, month) => kWh > monthly.cooling[month]).length;
+        const coolingMonths = monthly.cooling.filter((kWh, month) => kWh > monthly.heating[month]).length;
+        
+        const result = model.compare({
+            occupants: building.occupants || 4,
+            bathrooms: parseFloat(building.bathrooms) || 2,
+            inletTemp: weather ? model.getInletTemp(weather.months) : 58,
+            existing: { type: building.waterHeater || 'gas-tank', age: building.waterHeaterAge },
+            location: building.waterHeaterLocation || 'garage',
+            spaceConditioning: {
+                heatingMonths: heatingMonths,
+                coolingMonths: coolingMonths,
+                hspf2: monthly.ratings.hspf2,
+                seer2: monthly.ratings.seer2
+            }
+        });
+        
+        result.annualCost = this.calculateWaterHeatingCost(building, monthly, result);
+        result.recommended = building.waterHeater !== 'heat-pump-wh';
+        return result;
+    }
 
-        if (!data.windowType) {
-            errors.push('Window type is required');
+    // Annual water heating cost on the household's PG&E rates, priced at the margin of other use
+    calculateWaterHeatingCost(building, monthly, waterHeating) {
+        if (!this.rateData) {
+            return null;
         }
+        
+        const BillSavingsEngine = ManualJCalculator.resolveModule('BillSavingsEngine', './bill-savings.js');
+        const engine = new BillSavingsEngine(this.rateData);
+        const territory = engine.getTerritory(monthly.station);
+        const tariff = building.electricRate || 'E-TOU-C';
+        const household = 450;
+        
+        const electricCost = annualKWh => {
+            const use = extra => Array(12).fill({ household: household + extra, heating: 0, cooling: 0 });
+            return engine.calculateElectricBill(use(annualKWh / 12), tariff, { territory }).annual -
+                engine.calculateElectricBill(use(0), tariff, { territory }).annual;
+        };
+        
+        const annual = waterHeating.annual;
+        const existing = annual.existingTherms > 0 ?
+            engine.calculateGasBill(Array(12).fill(annual.existingTherms / 12), territory).annual :
+            electricCost(annual.existingKWh);
+        const hpwh = electricCost(annual.netHpwhKWh);
+        
+        return {
+            tariff: tariff,
+            existing: existing,
+            hpwh: hpwh,
+            savings: existing - hpwh
+        };
+    }
 
-        if (errors.length > 0) {
-            throw new Error(`Validation failed: ${errors.join(', ')}`);
-        }
+    // Fuel the existing water heater uses, in rebate program terms
+    getExistingWaterHeaterFuel(building) {
+        const fuels = {
+            'gas-tank': 'gas',
+            'gas-tankless': 'gas',
+            'electric-tank': 'resistance',
+            'electric-tankless': 'resistance',
+            'heat-pump-wh': 'heat-pump',
+            'solar': 'solar'
+        };
+        return fuels[building.waterHeater] || 'gas';
     }
 
-    // Get invalid field IDs for error highlighting
-    getInvalidFields(data) {
-        const invalidFields = [];
+    // NEC 220.83(B) service load with the heat pump, supplemental heat, HPWH and EV charger added
+    calculatePanelLoad(building, loads) {
+        const PanelAssessment = ManualJCalculator.resolveModule('PanelAssessment', './panel-assessment.js');
+        const heatPump = this.getSimulationHeatPump(loads);
+        
+        // Electric strip heat sized in 5 kW steps to cover any shortfall at the design temperature
+        const shortfall = loads.heating.total - heatPump.capacityAt(loads.climate.winterDesignTemp);
+        const supplementalHeatKW = shortfall > 0 ? Math.ceil(shortfall / 3412 / 5) * 5 : 0;
+        
+        return new PanelAssessment().assess({
+            floorArea: building.totalArea,
+            panelAmps: parseInt(building.panelAmps) || 100,
+            openSpaces: Number.isInteger(building.panelOpenSpaces) ? building.panelOpenSpaces : null,
+            existing: {
+                range: !!building.electricRange,
+                dryer: !!building.electricDryer,
+                waterHeater: building.waterHeater || 'gas-tank',
+                hotTub: !!building.hotTub,
+                poolPump: !!building.poolPump,
+                ev: !!building.electricVehicle,
+                otherVA: (parseFloat(building.otherElectricLoadKW) || 0) * 1000,
+                centralAC: ['central-ac', 'heat-pump'].includes(building.coolingSystem || 'central-ac')
+            },
+            proposed: {
+                heatPumpTons: Math.round(heatPump.coolingCapacity / 6000) / 2,
+                ducted: building.ductwork !== 'none',
+                supplementalHeatKW: supplementalHeatKW,
+                hpwh: !!building.planHPWH,
+                ev: !!building.planEV
+            }
+        });
+    }
 
-        if (!data.sqft || data.sqft < 100 || data.sqft > 50000) {
-            invalidFields.push('sqft');
-        }
-        if (!data.ceilingHeight || data.ceilingHeight < 6 || data.ceilingHeight > 20) {
-            invalidFields.push('ceilingHeight');
-        }
-        if (!data.bedrooms || data.bedrooms < 1 || data.bedrooms > 20) {
-            invalidFields.push('bedrooms');
-        }
-        if (!data.insulationLevel) {
-            invalidFields.push('insulationLevel');
+    // Evaluate incentive programs for a piece of equipment installed in this building
+    calculateRebates(equipment, building) {
+        if (!this.rebateData) {
+            throw new Error('Rebate program data is not loaded');
         }
-        if (!data.windowType) {
-            invalidFields.push('windowType');
+        
+        const RebateEngine = ManualJCalculator.resolveModule('RebateEngine', './rebate-engine.js');
+        const engine = new RebateEngine(this.rebateData);
+        const climate = this.getClimateData(building.address, {
+            latitude: building.latitude,
+            longitude: building.longitude
+        });
+        
+        // A planned HPWH is part of the project when the house doesn't already have one
+        let hpwh = null;
+        if (building.planHPWH && building.waterHeater !== 'heat-pump-wh') {
+            const WaterHeatingModel = ManualJCalculator.resolveModule('WaterHeatingModel', './water-heating.js');
+            const model = new WaterHeatingModel();
+            const tank = model.recommendTank(model.estimateDemand({
+                occupants: building.occupants || 4,
+                bathrooms: parseFloat(building.bathrooms) || 2
+            }).peakHourGallons);
+            hpwh = { uef: tank.uef, cost: (tank.cost.low + tank.cost.high) / 2 };
         }
-
-        return invalidFields;
+        
+        return engine.evaluate({
+            equipment: equipment,
+            hpwh: hpwh,
+            replacingWaterHeater: this.getExistingWaterHeaterFuel(building),
+            projectCost: (equipment.costRange.low + equipment.costRange.high) / 2,
+            location: {
+                zip: climate.location.zip,
+                county: climate.location.county
+            },
+            replacing: this.getExistingHeatingType(building),
+            incomeTier: building.incomeTier || 'unknown',
+            panelUpgrade: building.panelUpgrade === 'yes'
+        });
     }
+}
 
-    // Get calculation results (for PDF generation and reporting)
-    getResults() {
-        return this.lastResults;
+// Resolve a companion module: required in Node, read from the window global in the browser
+ManualJCalculator.resolveModule = function(globalName, modulePath) {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require(modulePath);
     }
+    return window[globalName];
+};
 
-    // Enhanced equipment sizing with error handling
-    sizeEquipment(loadResults, preferences = {}) {
-        try {
-            const equipment = super.sizeEquipment(loadResults, preferences);
-            
-            // Record equipment sizing for transparency
-            if (this.transparencyHandler) {
-                this.transparencyHandler.recordCalculationStep(
-                    "Equipment Sizing",
-                    `${equipment.heatPump.model} - ${equipment.heatPump.heatingCapacity}/${equipment.heatPump.coolingCapacity} BTU/hr`,
-                    "Equipment sized based on calculated loads with appropriate safety factors",
-                    "Capacity ≥ Load × Safety Factor (typically 1.0-1.2)"
-                );
-            }
-
-            return equipment;
-
-        } catch (error) {
-            if (this.errorHandler) {
-                this.errorHandler.handleError({
-                    type: 'calculation',
-                    message: `Equipment sizing failed: ${error.message}`
-                }, {
-                    operation: 'sizeEquipment',
-                    details: { loadResults, preferences }
-                });
-            }
-            throw error;
-        }
+// Load a JSON data file: required in Node, fetched in the browser
+ManualJCalculator.loadDataFile = async function(path) {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require(`../${path}`);
+    }
+    
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`Could not load ${path}: ${response.status}`);
     }
+    return response.json();
+};
 
-    // Enhanced rebate calculation with error handling
-    calculateRebates(equipmentCosts, location) {
-        try {
-            const rebates = super.calculateRebates(equipmentCosts, location);
-            
-            // Record rebate calculation for transparency
-            if (this.transparencyHandler) {
-                this.transparencyHandler.recordCalculationStep(
-                    "Rebate Calculation",
-                    `Total rebates: $${rebates.total}`,
-                    "Available rebates and incentives calculated based on location and equipment",
-                    "Total Rebates = Federal Tax Credit + State Rebates + Utility Incentives"
-                );
-            }
+// Design load safety factors applied to the heating and cooling totals
+ManualJCalculator.safetyFactors = {
+    heating: 1.15,
+    cooling: 1.10
+};
 
-            return rebates;
-
-        } catch (error) {
-            if (this.errorHandler) {
-                this.errorHandler.handleError({
-                    type: 'calculation',
-                    message: `Rebate calculation failed: ${error.message}`
-                }, {
-                    operation: 'calculateRebates',
-                    details: { equipmentCosts, location }
-                });
-            }
-            throw error;
-        }
-    }
-}
+// Assessment form inputs: [calculator field, form input id, value type, default]
+ManualJCalculator.formFields = [
+    ['address', 'property-address', 'text', ''],
+    ['totalArea', 'total-area', 'number', 2000],
+    ['ceilingHeight', 'ceiling-height', 'number', 9],
+    ['yearBuilt', 'year-built', 'integer', 2000],
+    ['stories', 'stories', 'number', 1],
+    ['occupants', 'occupants', 'integer', 4],
+    ['bedrooms', 'bedrooms', 'integer', null],
+    ['heatingTemp', 'heating-temp', 'integer', 70],
+    ['coolingTemp', 'cooling-temp', 'integer', 75],
+    
+    // Building envelope
+    ['wallType', 'wall-type', 'text', 'wood-frame-2x4'],
+    ['wallInsulation', 'wall-insulation', 'text', '11'],
+    ['wallColor', 'wall-color', 'text', 'medium'],
+    ['atticInsulation', 'attic-insulation', 'text', '30'],
+    ['atticType', 'attic-type', 'text', 'vented'],
+    ['foundationType', 'foundation-type', 'text', 'slab'],
+    ['foundationInsulation', 'foundation-insulation', 'text', '0'],
+    
+    // Air leakage: blower door results when tested
+    ['blowerDoorCFM50', 'blower-door-cfm50', 'number', null],
+    ['blowerDoorACH50', 'blower-door-ach50', 'number', null],
+    ['shielding', 'site-shielding', 'text', 'normal'],
+    
+    // Windows
+    ['windowAreaNorth', 'window-area-north', 'number', 0],
+    ['windowAreaEast', 'window-area-east', 'number', 0],
+    ['windowAreaSouth', 'window-area-south', 'number', 0],
+    ['windowAreaWest', 'window-area-west', 'number', 0],
+    ['windowType', 'window-type', 'text', 'double-pane'],
+    ['shading', 'shading', 'text', 'none'],
+    
+    // Systems
+    ['heatingSystem', 'heating-system', 'text', 'gas-furnace'],
+    ['coolingSystem', 'cooling-system', 'text', 'central-ac'],
+    ['ductwork', 'ductwork', 'text', 'fair'],
+    ['ductLocation', 'duct-location', 'text', 'conditioned'],
+    ['ductInsulation', 'duct-insulation', 'text', '4.2'],
+    ['ductStaticPressure', 'duct-static-pressure', 'number', null],
+    ['ductSupplyLength', 'duct-supply-length', 'number', null],
+    ['ductReturnLength', 'duct-return-length', 'number', null],
+    ['ventilationSystem', 'ventilation-system', 'text', 'none'],
+    ['ventilationCFM', 'ventilation-cfm', 'number', null],
+    
+    // Utility bills
+    ['currentGasBill', 'gas-bill', 'number', null],
+    ['currentElectricBill', 'electric-bill', 'number', null],
+    ['electricRate', 'electric-rate', 'text', 'E-TOU-C'],
+    ['waterHeater', 'water-heater', 'text', 'gas-tank'],
+    ['waterHeaterAge', 'wh-age', 'integer', null],
+    ['waterHeaterLocation', 'wh-location', 'text', 'garage'],
+    ['bathrooms', 'bathrooms', 'number', 2],
+    ['electricRange', 'electric-range', 'flag', false],
+    ['electricDryer', 'electric-dryer', 'flag', false],
+    ['hotTub', 'hot-tub', 'flag', false],
+    ['poolPump', 'pool-pump', 'flag', false],
+    ['electricVehicle', 'electric-vehicle', 'flag', false],
+    
+    // Electrical panel
+    ['panelAmps', 'panel-amps', 'integer', 100],
+    ['panelOpenSpaces', 'panel-spaces', 'count', null],
+    ['otherElectricLoadKW', 'other-240v-load', 'number', 0],
+    ['planHPWH', 'plan-hpwh', 'flag', false],
+    ['planEV', 'plan-ev', 'flag', false],
+    
+    // Incentive eligibility
+    ['incomeTier', 'income-tier', 'text', 'unknown'],
+    ['panelUpgrade', 'panel-upgrade', 'text', 'no'],
+    
+    // Colors, materials and how the house is used
+    ['roofColor', 'roof-color', 'text', 'medium'],
+    ['roofMaterial', 'roof-material', 'text', 'asphalt'],
+    ['exteriorFinish', 'exterior-finish', 'text', null],
+    ['windowFrame', 'window-frame', 'text', null],
+    ['orientation', 'orientation', 'text', 'north'],
+    ['usageType', 'usage-type', 'text', 'standard']
+];
 
-// Initialize enhanced calculator when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    // Replace the basic calculator with enhanced version
-    window.manualJCalculator = new EnhancedManualJCalculator();
+/**
+ * Map raw assessment form values (keyed by input id) to the building object the calculator expects.
+ * Values already keyed by calculator field are kept, and the input ids are filled in from them, so
+ * the form, saved projects and command-line intake files all produce the same object.
+ */
+ManualJCalculator.mapFormValues = function(values) {
+    const building = { ...values };
+    const parsers = {
+        text: (value, fallback) => value || fallback,
+        number: (value, fallback) => parseFloat(value) || fallback,
+        integer: (value, fallback) => parseInt(value) || fallback,
+        flag: (value, fallback) => value || fallback,
+        // Zero is a valid count
+        count: (value, fallback) => value !== '' && value !== undefined && value !== null && !isNaN(parseInt(value)) ?
+            parseInt(value) : fallback
+    };
     
-    // Initialize after a short delay to ensure other systems are ready
-    setTimeout(() => {
-        window.manualJCalculator.init();
-    }, 1000);
+    ManualJCalculator.formFields.forEach(([field, input, type, fallback]) => {
+        const formValue = values[input];
+        const raw = formValue !== undefined && formValue !== '' ? formValue : values[field];
+        building[field] = parsers[type](raw, fallback);
+        if (formValue === undefined && values[field] !== undefined) {
+            building[input] = values[field];
+        }
+    });
     
-    console.log('Enhanced Manual J Calculator ready with error handling and transparency');
-});
\ No newline at end of file
+    return building;
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ManualJCalculator;
+} else {
+    window.ManualJCalculator = ManualJCalculator;
+}
@@ -6,14 +6,30 @@
 // Global variables
 let currentStep = 1;
 let calculator;
+let referenceDataReady = Promise.resolve();
 let buildingData = {};
 let calculationResults = {};
+let projectStore;
+let currentProjectId = null;
+let projectSaveTimer = null;
+let pendingProjectChanges = {};
+let projectSaveQueue = Promise.resolve();
+let assessmentSchemaReady = Promise.resolve(null);
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
     calculator = new ManualJCalculator();
+    referenceDataReady = calculator.loadReferenceData().catch(error => {
+        console.warn('Could not load Manual J reference data:', error);
+    });
+    projectStore = new ProjectStore();
+    assessmentSchemaReady = AssessmentSchema.load().catch(error => {
+        console.warn('Could not load the assessment schema:', error);
+        return null;
+    });
     initializeInterface();
     loadFormData();
+    initializeProjectLibrary();
 });
 
 // Initialize interface components
@@ -39,6 +55,8 @@ function initializeInterface() {
     if (schedulingForm) {
         schedulingForm.addEventListener('submit', handleSchedulingSubmission);
     }
+    
+    initializeScenarioBuilder();
 }
 
 // Navigation functions
@@ -55,6 +73,7 @@ function nextStep() {
         updateStepDisplay();
         updateProgressBar();
         scrollToTop();
+        scheduleProjectSave();
     }
 }
 
@@ -64,6 +83,7 @@ function prevStep() {
         updateStepDisplay();
         updateProgressBar();
         scrollToTop();
+        scheduleProjectSave();
     }
 }
 
@@ -153,70 +173,59 @@ function validateCurrentStep() {
 function collectFormData() {
     const formElements = document.querySelectorAll('#step-1 input, #step-1 select, #step-2 input, #step-2 select, #step-3 input, #step-3 select, #step-3 input[type="checkbox"]');
     
-    buildingData = {};
+    const values = {};
     
     formElements.forEach(element => {
+        // Room rows have no ids; they are collected separately below
+        if (!element.id) return;
+        
         if (element.type === 'checkbox') {
-            buildingData[element.id] = element.checked;
+            values[element.id] = element.checked;
         } else {
-            buildingData[element.id] = element.value;
+            values[element.id] = element.value;
         }
     });
     
     // Map form IDs to calculator-expected properties
-    buildingData.address = buildingData['property-address'] || '';
-    buildingData.totalArea = parseFloat(buildingData['total-area']) || 2000;
-    buildingData.ceilingHeight = parseFloat(buildingData['ceiling-height']) || 9;
-    buildingData.yearBuilt = parseInt(buildingData['year-built']) || 2000;
-    buildingData.stories = parseFloat(buildingData['stories']) || 1;
-    buildingData.occupants = parseInt(buildingData['occupants']) || 4;
-    buildingData.heatingTemp = parseInt(buildingData['heating-temp']) || 70;
-    buildingData.coolingTemp = parseInt(buildingData['cooling-temp']) || 75;
-    
-    // Building envelope
-    buildingData.wallType = buildingData['wall-type'] || 'wood-frame-2x4';
-    buildingData.wallInsulation = buildingData['wall-insulation'] || '11';
-    buildingData.wallColor = buildingData['wall-color'] || 'medium';
-    buildingData.atticInsulation = buildingData['attic-insulation'] || '30';
-    buildingData.atticType = buildingData['attic-type'] || 'vented';
-    buildingData.foundationType = buildingData['foundation-type'] || 'slab';
-    buildingData.foundationInsulation = buildingData['foundation-insulation'] || '0';
-    
-    // Windows
-    buildingData.windowAreaNorth = parseFloat(buildingData['window-area-north']) || 0;
-    buildingData.windowAreaEast = parseFloat(buildingData['window-area-east']) || 0;
-    buildingData.windowAreaSouth = parseFloat(buildingData['window-area-south']) || 0;
-    buildingData.windowAreaWest = parseFloat(buildingData['window-area-west']) || 0;
-    buildingData.windowType = buildingData['window-type'] || 'double-pane';
-    buildingData.shading = buildingData['shading'] || 'none';
-    
-    // Systems
-    buildingData.heatingSystem = buildingData['heating-system'] || 'gas-furnace';
-    buildingData.coolingSystem = buildingData['cooling-system'] || 'central-ac';
-    buildingData.ductwork = buildingData['ductwork'] || 'fair';
-    
-    // Colors and materials
-    buildingData.roofColor = buildingData['roof-color'] || 'medium';
+    buildingData = ManualJCalculator.mapFormValues(values);
+    
+    // Room-by-room data (optional)
+    buildingData.rooms = collectRoomData();
     
     console.log('Collected building data:', buildingData);
 }
 
-function saveFormData() {
-    // Save current form state to localStorage
+// Current form state keyed by input id, with the room rows
+function getFormState() {
     const formData = {};
     document.querySelectorAll('input, select, textarea').forEach(element => {
+        if (!element.id) return;
+        
         if (element.type === 'checkbox') {
             formData[element.id] = element.checked;
         } else {
             formData[element.id] = element.value;
         }
     });
+    formData.rooms = collectRoomData();
     
+    return formData;
+}
+
+function saveFormData(event) {
+    // The library's own search and filter controls are not part of the assessment
+    if (event && event.target && event.target.closest && event.target.closest('#project-library')) return;
+    
+    // Save current form state to localStorage
     try {
-        localStorage.setItem('manualJFormData', JSON.stringify(formData));
+        localStorage.setItem('manualJFormData', JSON.stringify(getFormState()));
     } catch (e) {
         console.warn('Could not save form data:', e);
     }
+    
+    // Editing the building inputs leaves any earlier results out of date
+    const inputChanged = event && event.target && event.target.closest && event.target.closest('#step-1, #step-2, #step-3');
+    scheduleProjectSave(inputChanged ? { status: 'draft', results: null, buildingData: null } : {});
 }
 
 function loadFormData() {
@@ -224,40 +233,527 @@ function loadFormData() {
     try {
         const savedData = localStorage.getItem('manualJFormData');
         if (savedData) {
-            const formData = JSON.parse(savedData);
-            
-            Object.keys(formData).forEach(id => {
-                const element = document.getElementById(id);
-                if (element) {
-                    if (element.type === 'checkbox') {
-                        element.checked = formData[id];
-                    } else {
-                        element.value = formData[id];
-                    }
-                }
-            });
+            applyFormData(JSON.parse(savedData));
         }
     } catch (e) {
         console.warn('Could not load form data:', e);
     }
 }
 
+// Fill the form from saved state keyed by input id
+function applyFormData(formData) {
+    Object.keys(formData).forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            if (element.type === 'checkbox') {
+                element.checked = formData[id];
+            } else {
+                element.value = formData[id];
+            }
+        }
+    });
+    
+    if (Array.isArray(formData.rooms)) {
+        formData.rooms.forEach(room => addRoomRow(room));
+    }
+}
+
+// Put the wizard inputs back to their page defaults and remove the room rows
+function resetFormInputs() {
+    document.querySelectorAll('#step-1, #step-2, #step-3').forEach(step => {
+        step.querySelectorAll('input, select, textarea').forEach(element => {
+            if (element.type === 'checkbox') {
+                element.checked = element.defaultChecked;
+            } else if (element.tagName === 'SELECT') {
+                const option = Array.from(element.options).find(item => item.defaultSelected) || element.options[0];
+                element.value = option ? option.value : '';
+            } else {
+                element.value = element.defaultValue;
+            }
+        });
+    });
+    
+    const roomList = document.getElementById('room-list');
+    if (roomList) roomList.innerHTML = '';
+}
+
+// Project library: every assessment is kept in IndexedDB and can be reopened at any step
+function initializeProjectLibrary() {
+    const library = document.getElementById('project-library');
+    if (!library) return;
+    
+    if (!projectStore.isAvailable()) {
+        library.style.display = 'none';
+        return;
+    }
+    
+    library.querySelector('[data-library="search"]')?.addEventListener('input', renderProjectList);
+    library.querySelector('[data-library="status"]')?.addEventListener('change', renderProjectList);
+    library.querySelector('[data-library="import"]')?.addEventListener('change', event => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) importAssessmentFile(file);
+    });
+    document.getElementById('project-list')?.addEventListener('click', handleProjectAction);
+    
+    try {
+        currentProjectId = localStorage.getItem('manualJCurrentProject');
+    } catch (e) {
+        currentProjectId = null;
+    }
+    
+    // Keep a form restored from the single localStorage draft as a project of its own
+    if (!currentProjectId) {
+        saveCurrentProject();
+    }
+    
+    if (currentProjectId) {
+        projectStore.get(currentProjectId)
+            .then(project => updateCurrentProjectLabel(project))
+            .catch(() => updateCurrentProjectLabel(null));
+    }
+    renderProjectList();
+}
+
+// Save shortly after the last edit so typing doesn't write on every keystroke
+function scheduleProjectSave(changes = {}) {
+    pendingProjectChanges = { ...pendingProjectChanges, ...changes };
+    clearTimeout(projectSaveTimer);
+    projectSaveTimer = setTimeout(() => {
+        const pending = pendingProjectChanges;
+        pendingProjectChanges = {};
+        saveCurrentProject(pending);
+    }, 1000);
+}
+
+// Write any edits still waiting on the save timer
+function flushProjectSave() {
+    clearTimeout(projectSaveTimer);
+    if (Object.keys(pendingProjectChanges).length) {
+        saveCurrentProject(pendingProjectChanges);
+        pendingProjectChanges = {};
+    }
+    return projectSaveQueue;
+}
+
+// Write the open assessment to the library; saves run one at a time so a new project is created once
+function saveCurrentProject(changes = {}) {
+    projectSaveQueue = projectSaveQueue.then(() => writeCurrentProject(changes));
+    return projectSaveQueue;
+}
+
+async function writeCurrentProject(changes) {
+    if (!projectStore || !projectStore.isAvailable()) return null;
+    
+    const formData = getFormState();
+    const address = formData['property-address'] || '';
+    
+    // Nothing worth keeping until the house has an address
+    if (!currentProjectId && !address) return null;
+    
+    try {
+        const existing = currentProjectId ? await projectStore.get(currentProjectId) : null;
+        const project = await projectStore.save({
+            ...(existing || {}),
+            id: existing ? existing.id : null,
+            // A renamed copy keeps its name until its address changes
+            name: existing && existing.address === address ? existing.name : address || 'Untitled assessment',
+            address,
+            formData,
+            step: currentStep,
+            ...changes
+        });
+        
+        currentProjectId = project.id;
+        localStorage.setItem('manualJCurrentProject', project.id);
+        updateCurrentProjectLabel(project);
+        renderProjectList();
+        return project;
+    } catch (e) {
+        console.warn('Could not save assessment:', e);
+        showNotification('Could not save this assessment to the project library.', 'error');
+        return null;
+    }
+}
+
+function updateCurrentProjectLabel(project) {
+    const label = document.getElementById('project-current');
+    if (!label) return;
+    
+    label.textContent = project ? `${project.name} · ${ProjectStore.statuses[project.status] || project.status}` : 'New assessment';
+}
+
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+async function renderProjectList() {
+    const list = document.getElementById('project-list');
+    const library = document.getElementById('project-library');
+    if (!list || !library) return;
+    
+    const query = library.querySelector('[data-library="search"]')?.value || '';
+    const status = library.querySelector('[data-library="status"]')?.value || '';
+    
+    let projects;
+    try {
+        projects = await projectStore.list({ query, status });
+    } catch (e) {
+        console.warn('Could not load saved assessments:', e);
+        list.innerHTML = '<p class="project-empty">Saved assessments could not be loaded in this browser.</p>';
+        return;
+    }
+    
+    if (!projects.length) {
+        list.innerHTML = `<p class="project-empty">${query || status ?
+            'No saved assessments match.' : 'No saved assessments yet. Assessments are saved once an address is entered.'}</p>`;
+        return;
+    }
+    
+    const stepLabels = Array.from(document.querySelectorAll('.progress-step .step-label')).map(label => label.textContent);
+    
+    list.innerHTML = `
+        <table class="project-table">
+            <thead>
+                <tr>
+                    <th>Assessment</th>
+                    <th>Status</th>
+                    <th>Updated</th>
+                    <th>Open at</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${projects.map(project => `
+                    <tr data-project-id="${escapeHTML(project.id)}" class="${project.id === currentProjectId ? 'project-active' : ''}">
+                        <td>
+                            <strong>${escapeHTML(project.name)}</strong>
+                            ${project.address && project.address !== project.name ? `<small>${escapeHTML(project.address)}</small>` : ''}
+                        </td>
+                        <td><span class="project-status project-status-${escapeHTML(project.status)}">${escapeHTML(ProjectStore.statuses[project.status] || project.status)}</span></td>
+                        <td title="Created ${new Date(project.createdAt).toLocaleString()}">${new Date(project.updatedAt).toLocaleString()}</td>
+                        <td>
+                            <select data-project-step aria-label="Step to open">
+                                ${stepLabels.map((label, index) => `
+                                    <option value="${index + 1}" ${index + 1 === (project.step || 1) ? 'selected' : ''}>${index + 1}. ${escapeHTML(label)}</option>
+                                `).join('')}
+                            </select>
+                        </td>
+                        <td class="project-actions">
+                            <button type="button" class="btn-outline" data-project-action="open">Open</button>
+                            <button type="button" class="btn-outline" data-project-action="duplicate">Duplicate</button>
+                            <button type="button" class="btn-outline" data-project-action="export">Export</button>
+                            <button type="button" class="btn-outline" data-project-action="delete">Delete</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function handleProjectAction(event) {
+    const button = event.target.closest('[data-project-action]');
+    if (!button) return;
+    
+    const row = button.closest('[data-project-id]');
+    const id = row.dataset.projectId;
+    const action = button.dataset.projectAction;
+    
+    if (action === 'open') {
+        openProject(id, parseInt(row.querySelector('[data-project-step]').value));
+    } else if (action === 'duplicate') {
+        duplicateProject(id);
+    } else if (action === 'export') {
+        exportProject(id);
+    } else if (action === 'delete') {
+        deleteProject(id);
+    }
+}
+
+// Reopen a saved assessment at a wizard step; analysis and report steps use its saved results,
+// or recalculate when it has none
+async function openProject(id, step) {
+    const project = await projectStore.get(id).catch(() => null);
+    if (!project) {
+        showNotification('That assessment could not be found.', 'error');
+        renderProjectList();
+        return;
+    }
+    
+    // Finish pending writes for the assessment being left before switching
+    await flushProjectSave();
+    
+    resetFormInputs();
+    applyFormData(project.formData || {});
+    updateWindowTotal();
+    updateWindowLabels();
+    
+    currentProjectId = project.id;
+    try {
+        localStorage.setItem('manualJCurrentProject', project.id);
+        localStorage.setItem('manualJFormData', JSON.stringify(project.formData || {}));
+    } catch (e) {
+        console.warn('Could not save form data:', e);
+    }
+    
+    collectFormData();
+    calculationResults = project.results || {};
+    currentStep = Math.min(Math.max(step || project.step || 1, 1), 5);
+    
+    if (currentStep >= 4) {
+        if (project.results) {
+            await referenceDataReady;
+            displayCalculationResults();
+            setReportButtonReady();
+        } else {
+            currentStep = 4;
+            performCalculations();
+        }
+    }
+    
+    updateStepDisplay();
+    updateProgressBar();
+    updateCurrentProjectLabel(project);
+    renderProjectList();
+    scrollToTop();
+    showNotification(`Opened ${project.name}`, 'success');
+}
+
+// Start a blank assessment; the saved ones stay in the library
+function newProject() {
+    flushProjectSave();
+    
+    currentProjectId = null;
+    try {
+        localStorage.removeItem('manualJCurrentProject');
+        localStorage.removeItem('manualJFormData');
+    } catch (e) {
+        console.warn('Could not clear form data:', e);
+    }
+    
+    resetFormInputs();
+    updateWindowTotal();
+    updateWindowLabels();
+    buildingData = {};
+    calculationResults = {};
+    
+    currentStep = 1;
+    updateStepDisplay();
+    updateProgressBar();
+    updateCurrentProjectLabel(null);
+    renderProjectList();
+    scrollToTop();
+}
+
+async function duplicateProject(id) {
+    try {
+        const copy = await projectStore.duplicate(id);
+        showNotification(`Saved a copy as ${copy.name}`, 'success');
+    } catch (e) {
+        console.warn('Could not duplicate assessment:', e);
+        showNotification('Could not duplicate that assessment.', 'error');
+    }
+    renderProjectList();
+}
+
+async function deleteProject(id) {
+    const project = await projectStore.get(id).catch(() => null);
+    if (!project || !confirm(`Delete the assessment for ${project.name}? This cannot be undone.`)) return;
+    
+    try {
+        await projectStore.delete(id);
+        if (id === currentProjectId) {
+            currentProjectId = null;
+            localStorage.removeItem('manualJCurrentProject');
+            updateCurrentProjectLabel(null);
+        }
+    } catch (e) {
+        console.warn('Could not delete assessment:', e);
+        showNotification('Could not delete that assessment.', 'error');
+    }
+    renderProjectList();
+}
+
+// Assessment files in the documented JSON schema (data/assessment-schema.json)
+function getBuildingFromFormState(formData) {
+    const building = ManualJCalculator.mapFormValues(formData);
+    building.rooms = Array.isArray(formData.rooms) ? formData.rooms : [];
+    return building;
+}
+
+// Form state keyed by input id for a building keyed by calculator field
+function getFormStateFromBuilding(building) {
+    const formData = {};
+    ManualJCalculator.formFields.forEach(([field, input]) => {
+        if (building[field] !== undefined && building[field] !== null) {
+            formData[input] = building[field];
+        }
+    });
+    formData.rooms = Array.isArray(building.rooms) ? building.rooms : [];
+    return formData;
+}
+
+function downloadAssessment(assessment) {
+    const address = assessment.buildingData.address || 'Property';
+    const cleanAddress = address.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30);
+    const blob = new Blob([JSON.stringify(assessment, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `Assessment_${cleanAddress}_${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportProject(id) {
+    const [schema, project] = await Promise.all([assessmentSchemaReady, projectStore.get(id).catch(() => null)]);
+    if (!schema || !project) {
+        showNotification('That assessment could not be exported.', 'error');
+        return;
+    }
+    
+    downloadAssessment(schema.createDocument({
+        buildingData: getBuildingFromFormState(project.formData || {}),
+        results: project.results,
+        project
+    }));
+}
+
+// Export the assessment on screen; results go with it only while they match the inputs
+async function exportCurrentAssessment() {
+    const schema = await assessmentSchemaReady;
+    if (!schema) {
+        showNotification('Assessment export is unavailable right now.', 'error');
+        return;
+    }
+    
+    await flushProjectSave();
+    if (currentProjectId) {
+        return exportProject(currentProjectId);
+    }
+    
+    const results = calculationResults && calculationResults.heating ? calculationResults : null;
+    downloadAssessment(schema.createDocument({
+        buildingData: getBuildingFromFormState(getFormState()),
+        results,
+        project: { status: results ? 'calculated' : 'draft', step: currentStep }
+    }));
+}
+
+/**
+ * Import an assessment file as a new project. Older schema versions are migrated first; files with
+ * invalid fields are opened at the first bad field with the errors highlighted. Results in the file
+ * are never trusted: a valid file that had them is recalculated from its buildingData on opening
+ */
+async function importAssessmentFile(file) {
+    const schema = await assessmentSchemaReady;
+    if (!schema) {
+        showNotification('Assessment import is unavailable right now.', 'error');
+        return;
+    }
+    
+    let migrated;
+    try {
+        migrated = schema.migrate(JSON.parse(await file.text()));
+    } catch (e) {
+        showNotification(`Could not import ${file.name}: ${e.message}`, 'error');
+        return;
+    }
+    
+    const { buildingData: building, project, errors, recalculate } = schema.readImport(migrated.document, calculator);
+    const fileErrors = errors.filter(error => !error.field);
+    if (fileErrors.length) {
+        showNotification(`Could not import ${file.name}: ${fileErrors.map(error => error.message).join('; ')}`, 'error');
+        return;
+    }
+    
+    const formData = getFormStateFromBuilding(building);
+    
+    // Opening a project without results at the analysis or report step recalculates it
+    const firstInvalid = errors.map(error => document.getElementById(error.input)).find(Boolean);
+    const invalidStep = firstInvalid ? parseInt(firstInvalid.closest('.form-step')?.id.replace('step-', '')) : null;
+    const step = invalidStep || (recalculate ? Math.max(project.step || 5, 4) : Math.min(project.step || 1, 3));
+    
+    if (projectStore.isAvailable()) {
+        let saved;
+        try {
+            saved = await projectStore.save({
+                name: project.name || building.address || 'Imported assessment',
+                address: building.address || '',
+                status: 'draft',
+                step,
+                formData,
+                buildingData: null,
+                results: null,
+                createdAt: project.createdAt
+            });
+        } catch (e) {
+            console.warn('Could not save imported assessment:', e);
+            showNotification(`Could not import ${file.name}: the assessment could not be saved in this browser.`, 'error');
+            return;
+        }
+        await openProject(saved.id, step);
+    } else {
+        resetFormInputs();
+        applyFormData(formData);
+        updateWindowTotal();
+        updateWindowLabels();
+        collectFormData();
+        calculationResults = {};
+        currentStep = Math.min(step, 3);
+        updateStepDisplay();
+        updateProgressBar();
+    }
+    
+    if (errors.length) {
+        reportImportErrors(errors);
+    } else if (migrated.fromVersion < schema.version) {
+        showNotification(`Imported ${file.name} and updated it from schema version ${migrated.fromVersion}`, 'success');
+    }
+}
+
+// Field-level import errors go through the validation dialog and highlightInputErrors
+function reportImportErrors(errors) {
+    const context = {
+        operation: 'import',
+        fieldErrors: errors,
+        invalidFields: errors.map(error => error.input),
+        details: errors.map(error => `${error.field}: ${error.message}`)
+    };
+    
+    if (window.errorHandling) {
+        window.errorHandling.handleError({
+            type: window.errorHandling.errorTypes.VALIDATION_ERROR,
+            message: `Validation failed for ${errors.length} imported field(s)`
+        }, context);
+        window.errorHandling.highlightInputErrors({ context });
+    } else {
+        showNotification(`Fix these imported fields: ${context.details.join('; ')}`, 'error');
+    }
+}
+
 // Calculations and analysis
 function performCalculations() {
     showCalculationStatus();
     
     // Simulate calculation time for better UX
-    setTimeout(() => {
+    setTimeout(async () => {
         try {
+            // Climate, equipment and weather data must be loaded before calculating
+            await referenceDataReady;
             calculationResults = calculator.calculateLoads(buildingData);
+            calculationResults.scenarios = calculator.compareScenarios(buildingData);
+            calculationResults.loadingOrder = calculator.calculateLoadingOrder(buildingData, calculationResults);
+            calculationResults.sensitivity = calculator.calculateSensitivity(buildingData, calculationResults);
             displayCalculationResults();
-            
-            // Enable next button
-            const nextButton = document.getElementById('next-to-report');
-            if (nextButton) {
-                nextButton.disabled = false;
-                nextButton.textContent = 'View Recommendations';
-            }
+            setReportButtonReady();
+            saveCurrentProject({ status: 'calculated', buildingData, results: calculationResults });
         } catch (error) {
             console.error('Calculation error:', error);
             showCalculationError();
@@ -265,6 +761,15 @@ function performCalculations() {
     }, 3000);
 }
 
+// Enable next button
+function setReportButtonReady() {
+    const nextButton = document.getElementById('next-to-report');
+    if (nextButton) {
+        nextButton.disabled = false;
+        nextButton.textContent = 'View Recommendations';
+    }
+}
+
 function showCalculationStatus() {
     const statusDiv = document.getElementById('calculation-status');
     const resultsDiv = document.getElementById('calculation-results');
@@ -290,12 +795,27 @@ function displayCalculationResults() {
         
         // Populate load results
         updateLoadResults();
+        updateRoomLoadTable();
+        updateDuctSchedule();
         
-        // Create charts
+        // Create charts, replacing any from an earlier calculation or reopened assessment
+        ['loadBreakdownChart', 'monthlyEnergyChart', 'balancePointChart', 'scenarioComparisonChart', 'sensitivityChart'].forEach(id => {
+            const canvas = document.getElementById(id);
+            const chart = canvas && typeof Chart !== 'undefined' && Chart.getChart ? Chart.getChart(canvas) : null;
+            if (chart) chart.destroy();
+        });
         createLoadBreakdownChart();
         createMonthlyEnergyChart();
+        createBalancePointChart();
+        updateSensitivityAnalysis();
+        updateEnergySummary();
+        updateBillComparison();
+        updateScenarioComparison();
+        updateWaterHeating();
+        updatePanelAssessment();
         
         // Generate recommendations for step 5
+        updateLoadingOrder();
         generateRecommendationsDisplay();
     }
 }
@@ -326,6 +846,12 @@ function updateLoadResults() {
         designCoolingTemp.textContent = results.climate.summerDesignTemp;
     }
     
+    // Show which climate station supplied the design conditions
+    const climateStation = document.getElementById('climate-station');
+    if (climateStation) {
+        climateStation.textContent = describeClimateSource(results.climate);
+    }
+    
     // Update load densities
     const loadDensityHeating = document.getElementById('load-density-heating');
     if (loadDensityHeating) {
@@ -367,6 +893,318 @@ function updateLoadResults() {
         const rate = Math.round(results.cooling.total / results.cooling.designConditions.deltaT);
         heatGainRate.textContent = rate.toLocaleString();
     }
+    
+    // Blower door results, or the year-built estimate when untested
+    const airLeakage = document.getElementById('air-leakage');
+    if (airLeakage) {
+        const infiltration = results.heating.infiltration;
+        airLeakage.textContent = `${infiltration.ach50} ACH50, ${infiltration.cfm50.toLocaleString()} CFM50 (${infiltration.source})`;
+    }
+    
+    // ASHRAE 62.2 requirement and the system providing it
+    const ventilationSummary = document.getElementById('ventilation-summary');
+    if (ventilationSummary) {
+        const ventilation = results.heating.ventilation;
+        ventilationSummary.textContent = ventilation.system === 'none' ?
+            `none (62.2 requires ${ventilation.requiredCFM} CFM)` :
+            `${ventilation.label}, ${ventilation.fanCFM} CFM of ${ventilation.requiredCFM} CFM required`;
+    }
+    
+    // Sensible/latent split from the humidity model
+    const coolingSplit = document.getElementById('cooling-split');
+    if (coolingSplit) {
+        coolingSplit.textContent = `${results.cooling.sensible.toLocaleString()} / ${results.cooling.latent.toLocaleString()}`;
+    }
+    
+    const sensibleHeatRatio = document.getElementById('sensible-heat-ratio');
+    if (sensibleHeatRatio) {
+        const moisture = results.cooling.moisture;
+        sensibleHeatRatio.textContent = `${results.cooling.sensibleHeatRatio.toFixed(2)} ` +
+            `(outdoor ${moisture.outdoorGrains} gr/lb, indoor ${moisture.indoorGrains} gr/lb at ${moisture.indoorRH}% RH)`;
+    }
+}
+
+// Room-by-room entry
+function addRoomRow(room = {}) {
+    const roomList = document.getElementById('room-list');
+    if (!roomList) return;
+    
+    const windows = room.windows || {};
+    const row = document.createElement('div');
+    row.className = 'room-row';
+    row.innerHTML = `
+        <div class="room-row-header">
+            <input type="text" data-room-field="name" placeholder="Room name" value="${escapeHTML(room.name)}">
+            <input type="text" data-room-field="zone" placeholder="Zone (optional)" value="${escapeHTML(room.zone)}">
+            <button type="button" class="room-remove" aria-label="Remove room">&times;</button>
+        </div>
+        <div class="room-row-fields">
+            <label>Area (sq ft)<input type="number" data-room-field="area" min="1" step="1" required value="${escapeHTML(room.area)}"></label>
+            <label>Exposed Wall (ft)<input type="number" data-room-field="exposedWallLength" min="0" step="1" value="${escapeHTML(room.exposedWallLength)}"></label>
+            <label>Ceiling (ft)<input type="number" data-room-field="ceilingHeight" min="6" max="20" step="0.5" value="${escapeHTML(room.ceilingHeight)}"></label>
+            <label>N Windows<input type="number" data-room-window="north" min="0" step="1" value="${escapeHTML(windows.north ?? 0)}"></label>
+            <label>E Windows<input type="number" data-room-window="east" min="0" step="1" value="${escapeHTML(windows.east ?? 0)}"></label>
+            <label>S Windows<input type="number" data-room-window="south" min="0" step="1" value="${escapeHTML(windows.south ?? 0)}"></label>
+            <label>W Windows<input type="number" data-room-window="west" min="0" step="1" value="${escapeHTML(windows.west ?? 0)}"></label>
+        </div>
+        <div class="room-row-options">
+            <label><input type="checkbox" data-room-field="exposedCeiling" ${room.exposedCeiling ? 'checked' : ''}> Ceiling below attic/roof</label>
+            <label><input type="checkbox" data-room-field="exposedFloor" ${room.exposedFloor ? 'checked' : ''}> Floor over foundation</label>
+        </div>
+    `;
+    
+    row.querySelector('.room-remove').addEventListener('click', () => {
+        row.remove();
+        saveFormData();
+    });
+    
+    roomList.appendChild(row);
+}
+
+function collectRoomData() {
+    const rooms = [];
+    
+    document.querySelectorAll('#room-list .room-row').forEach(row => {
+        const room = { windows: {} };
+        
+        row.querySelectorAll('[data-room-field]').forEach(input => {
+            const field = input.dataset.roomField;
+            if (input.type === 'checkbox') {
+                room[field] = input.checked;
+            } else if (input.type === 'number') {
+                room[field] = input.value === '' ? undefined : parseFloat(input.value);
+            } else {
+                room[field] = input.value.trim();
+            }
+        });
+        
+        row.querySelectorAll('[data-room-window]').forEach(input => {
+            room.windows[input.dataset.roomWindow] = parseFloat(input.value) || 0;
+        });
+        
+        // Skip rows that were added but never filled in
+        if (room.area > 0) {
+            rooms.push(room);
+        }
+    });
+    
+    return rooms;
+}
+
+function updateRoomLoadTable() {
+    const section = document.getElementById('room-loads');
+    const container = document.getElementById('room-loads-table');
+    if (!section || !container) return;
+    
+    const rooms = calculationResults.rooms;
+    if (!rooms || rooms.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    const heatingTotal = calculationResults.heating.total;
+    const coolingTotal = calculationResults.cooling.total;
+    const roomArea = rooms.reduce((sum, room) => sum + room.area, 0);
+    
+    let html = `
+        <table class="room-load-table">
+            <thead>
+                <tr>
+                    <th>Room</th>
+                    <th>Area (sq ft)</th>
+                    <th>Heating (Btu/h)</th>
+                    <th>Cooling (Btu/h)</th>
+                    <th>Heating Share</th>
+                    <th>Cooling Share</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+    
+    rooms.forEach(room => {
+        html += `
+                <tr>
+                    <td>${escapeHTML(room.name)}</td>
+                    <td>${room.area.toLocaleString()}</td>
+                    <td>${room.heating.total.toLocaleString()}</td>
+                    <td>${room.cooling.total.toLocaleString()}</td>
+                    <td>${((room.heating.total / heatingTotal) * 100).toFixed(1)}%</td>
+                    <td>${((room.cooling.total / coolingTotal) * 100).toFixed(1)}%</td>
+                </tr>
+        `;
+    });
+    
+    html += `
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td>Whole House</td>
+                    <td>${roomArea.toLocaleString()}</td>
+                    <td>${heatingTotal.toLocaleString()}</td>
+                    <td>${coolingTotal.toLocaleString()}</td>
+                    <td>100%</td>
+                    <td>100%</td>
+                </tr>
+            </tfoot>
+        </table>
+    `;
+    
+    // Flag room areas that don't add up to the conditioned area entered in step 1
+    if (Math.abs(roomArea - buildingData.totalArea) > buildingData.totalArea * 0.05) {
+        html += `<p class="room-load-note">Room areas total ${roomArea.toLocaleString()} sq ft, but the conditioned area is ${buildingData.totalArea.toLocaleString()} sq ft. Add any missing rooms for accurate zone sizing.</p>`;
+    }
+    
+    container.innerHTML = html;
+    section.style.display = 'block';
+}
+
+// Tornado chart of the inputs that move the design loads most, and the P10/P90 band on the totals
+function updateSensitivityAnalysis() {
+    const section = document.getElementById('sensitivity-analysis');
+    if (!section || !calculationResults.heating) return;
+    
+    // Assessments saved before the sensitivity analysis was added
+    if (!calculationResults.sensitivity) {
+        try {
+            calculationResults.sensitivity = calculator.calculateSensitivity(buildingData, calculationResults);
+        } catch (error) {
+            console.warn('Could not run the sensitivity analysis:', error);
+            return;
+        }
+    }
+    
+    const sensitivity = calculationResults.sensitivity;
+    const range = band => `${band.p10.toLocaleString()} – ${band.p90.toLocaleString()}`;
+    const heatingBand = document.getElementById('heating-band');
+    if (heatingBand) heatingBand.textContent = range(sensitivity.band.heating);
+    const coolingBand = document.getElementById('cooling-band');
+    if (coolingBand) coolingBand.textContent = range(sensitivity.band.cooling);
+    
+    createSensitivityChart();
+    
+    const container = document.getElementById('sensitivity-table');
+    if (container) {
+        container.innerHTML = `
+            <table class="room-load-table">
+                <thead>
+                    <tr>
+                        <th>Input</th>
+                        <th>Entered</th>
+                        <th>Range</th>
+                        <th>Heating Load</th>
+                        <th>Cooling Load</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sensitivity.inputs.map(input => `
+                        <tr>
+                            <td>${escapeHTML(input.label)}</td>
+                            <td>${escapeHTML(input.base)}</td>
+                            <td>${escapeHTML(input.low.value)} – ${escapeHTML(input.high.value)}</td>
+                            <td>${escapeHTML(input.low.heating.toLocaleString())} – ${escapeHTML(input.high.heating.toLocaleString())}</td>
+                            <td>${escapeHTML(input.low.cooling.toLocaleString())} – ${escapeHTML(input.high.cooling.toLocaleString())}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="bill-note">Each input is moved to the ends of its range with the others as entered. The P10–P90 range
+                varies all of them together over ${sensitivity.samples} runs: the design load falls inside it 80% of the time.
+                A blower door test and measured areas narrow the range most.</p>
+        `;
+    }
+    section.style.display = 'block';
+}
+
+// Horizontal bars from each input's low to high end, as a change from the calculated loads
+function createSensitivityChart() {
+    const ctx = document.getElementById('sensitivityChart');
+    const sensitivity = calculationResults.sensitivity;
+    if (!ctx || !sensitivity || typeof Chart === 'undefined') return;
+    
+    const existing = Chart.getChart ? Chart.getChart(ctx) : null;
+    if (existing) existing.destroy();
+    
+    const percent = (value, base) => base > 0 ? Math.round((value - base) / base * 1000) / 10 : 0;
+    const bar = (input, load) => {
+        const ends = [percent(input.low[load], sensitivity.base[load]), percent(input.high[load], sensitivity.base[load])];
+        return [Math.min(...ends), Math.max(...ends)];
+    };
+    
+    new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: sensitivity.inputs.map(input => input.label),
+            datasets: [{
+                label: 'Heating Load',
+                data: sensitivity.inputs.map(input => bar(input, 'heating')),
+                backgroundColor: '#FF6384'
+            }, {
+                label: 'Cooling Load',
+                data: sensitivity.inputs.map(input => bar(input, 'cooling')),
+                backgroundColor: '#36A2EB'
+            }]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Change in Design Load Across Each Input\'s Range'
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: '% change from calculated load'
+                    }
+                }
+            }
+        }
+    });
+}
+
+function updateDuctSchedule() {
+    const section = document.getElementById('duct-design');
+    const container = document.getElementById('duct-design-table');
+    const design = calculationResults.ductDesign;
+    if (!section || !container || !design) return;
+    
+    container.innerHTML = `
+        <p class="duct-strategy"><strong>${design.strategy.label}.</strong> ${design.strategy.reason}.</p>
+        <table class="room-load-table">
+            <thead>
+                <tr>
+                    <th>Run</th>
+                    <th>Outlets</th>
+                    <th>CFM Each</th>
+                    <th>Round (in)</th>
+                    <th>Rectangular (in)</th>
+                    <th>Velocity (fpm)</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${design.schedule.map(run => `
+                    <tr>
+                        <td>${escapeHTML(run.section === 'Branch' ? run.name : run.section)}</td>
+                        <td>${run.section === 'Branch' ? run.count : '—'}</td>
+                        <td>${run.cfm.toLocaleString()}</td>
+                        <td>${run.round}</td>
+                        <td>${run.rectangular}</td>
+                        <td>${run.velocity.toLocaleString()}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="bill-note">${design.systemCFM.toLocaleString()} CFM system airflow. ${design.staticPressure} in. w.c. blower static pressure less
+            ${design.componentLosses} in. w.c. for the filter, grilles and dampers leaves ${design.availableStatic} in. w.c. over
+            ${design.totalEffectiveLength} ft of effective length: a friction rate of ${design.frictionRate} in. w.c. per 100 ft.
+            Sizes are for sheet metal; go one size up for flex duct.</p>
+        ${design.warnings.map(warning => `<p class="room-load-note">${warning}</p>`).join('')}
+    `;
+    section.style.display = 'block';
 }
 
 function createLoadBreakdownChart() {
@@ -385,7 +1223,9 @@ function createLoadBreakdownChart() {
                     '#36A2EB',
                     '#FFCE56',
                     '#4BC0C0',
-                    '#9966FF'
+                    '#9966FF',
+                    '#C9CBCF',
+                    '#FF9F40'
                 ],
                 borderWidth: 2
             }]
@@ -415,13 +1255,13 @@ function createMonthlyEnergyChart() {
         data: {
             labels: calculationResults.monthly.labels,
             datasets: [{
-                label: 'Heating Energy (MBtu)',
+                label: 'Heating (kWh)',
                 data: calculationResults.monthly.heating,
                 borderColor: '#FF6384',
                 backgroundColor: 'rgba(255, 99, 132, 0.1)',
                 fill: true
             }, {
-                label: 'Cooling Energy (MBtu)',
+                label: 'Cooling (kWh)',
                 data: calculationResults.monthly.cooling,
                 borderColor: '#36A2EB',
                 backgroundColor: 'rgba(54, 162, 235, 0.1)',
@@ -442,7 +1282,364 @@ function createMonthlyEnergyChart() {
                     beginAtZero: true,
                     title: {
                         display: true,
-                        text: 'Energy (MBtu)'
+                        text: 'Electricity (kWh)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Summarize the annual bin-hour simulation under the monthly chart
+function createBalancePointChart() {
+    const section = document.getElementById('balance-point-analysis');
+    const ctx = document.getElementById('balancePointChart');
+    const analysis = calculationResults.balancePoint;
+    if (!section || !ctx || !analysis) return;
+    
+    section.style.display = 'block';
+    
+    new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: analysis.curve.map(point => `${point.temp}°F`),
+            datasets: [{
+                label: 'Heat Loss (Btu/h)',
+                data: analysis.curve.map(point => point.load),
+                borderColor: '#FF6384',
+                backgroundColor: 'rgba(255, 99, 132, 0.1)',
+                fill: false
+            }, {
+                label: 'Heat Pump Capacity (Btu/h)',
+                data: analysis.curve.map(point => point.capacity),
+                borderColor: '#4BC0C0',
+                backgroundColor: 'rgba(75, 192, 192, 0.1)',
+                fill: false
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: analysis.balancePoint !== null ?
+                        `Thermal Balance Point ${analysis.balancePoint}°F` :
+                        'Heat Pump Covers the Load at All Temperatures'
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Outdoor Temperature'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Btu/h'
+                    }
+                }
+            }
+        }
+    });
+    
+    const summary = document.getElementById('balance-point-summary');
+    if (!summary) return;
+    
+    summary.innerHTML = `
+        <div class="energy-summary-item">
+            <span class="energy-summary-label">Balance Point</span>
+            <span class="energy-summary-value">${analysis.balancePoint !== null ? `${analysis.balancePoint}°F` : 'None'}</span>
+            <small>Design temperature ${analysis.designTemp}°F</small>
+        </div>
+        <div class="energy-summary-item">
+            <span class="energy-summary-label">Hours Below Balance Point</span>
+            <span class="energy-summary-value">${analysis.hoursBelowBalance.toLocaleString()} h/yr</span>
+        </div>
+        <div class="energy-summary-item">
+            <span class="energy-summary-label">Backup Heat Needed</span>
+            <span class="energy-summary-value">${analysis.backupHeatKW > 0 ? `${analysis.backupHeatKW} kW` : 'None'}</span>
+            ${analysis.stripHeatKW > 0 ? `<small>${analysis.stripHeatKW} kW electric strip heat</small>` : ''}
+        </div>
+        <p class="energy-summary-note">${analysis.heatPump} against the design heat loss line${analysis.station ? `, with typical-year hours for station ${analysis.station}` : ''}.
+            ${analysis.backupHeatKW > 0 ?
+                'The heat pump falls short at the design temperature, so strip heat or a dual-fuel furnace is needed on the coldest nights.' :
+                'The heat pump covers the design load on its own; strip heat is optional.'}</p>
+    `;
+}
+
+function updateEnergySummary() {
+    const container = document.getElementById('energy-summary');
+    if (!container || !calculationResults.monthly) return;
+    
+    const annual = calculationResults.monthly.annual;
+    container.innerHTML = `
+        <div class="energy-summary-item">
+            <span class="energy-summary-label">Annual Heat Pump Use</span>
+            <span class="energy-summary-value">${annual.totalKWh.toLocaleString()} kWh</span>
+            <small>Heating ${annual.heatingKWh.toLocaleString()} / Cooling ${annual.coolingKWh.toLocaleString()}</small>
+        </div>
+        <div class="energy-summary-item">
+            <span class="energy-summary-label">Gas Avoided</span>
+            <span class="energy-summary-value">${annual.thermsAvoided.toLocaleString()} therms</span>
+        </div>
+        <div class="energy-summary-item">
+            <span class="energy-summary-label">Peak Demand</span>
+            <span class="energy-summary-value">${annual.peakDemandKW} kW</span>
+            ${annual.backupHeatingKWh > 0 ? `<small>Includes ${annual.backupHeatingKWh.toLocaleString()} kWh backup heat</small>` : ''}
+        </div>
+        <p class="energy-summary-note">Bin-hour simulation of the ${calculationResults.monthly.heatPump} using typical weather for station ${calculationResults.monthly.station}.</p>
+    `;
+}
+
+// Before/after annual utility costs from the PG&E tariff model
+function updateBillComparison() {
+    const section = document.getElementById('bill-comparison');
+    const container = document.getElementById('bill-comparison-table');
+    const bills = calculationResults.bills;
+    if (!section || !container || !bills) return;
+    
+    const money = value => `$${Math.round(value).toLocaleString()}`;
+    const calibrated = bills.calibration.gas < 1 || bills.calibration.electric < 1;
+    
+    container.innerHTML = `
+        <table class="room-load-table">
+            <thead>
+                <tr><th></th><th>Electric</th><th>Gas</th><th>Total</th></tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td>Today (${bills.before.tariff})</td>
+                    <td>${money(bills.before.electric)}</td>
+                    <td>${money(bills.before.gas)}</td>
+                    <td>${money(bills.before.total)}</td>
+                </tr>
+                <tr>
+                    <td>With Heat Pump (${bills.after.tariff})</td>
+                    <td>${money(bills.after.electric)}</td>
+                    <td>${money(bills.after.gas)}</td>
+                    <td>${money(bills.after.total)}</td>
+                </tr>
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td colspan="3">Estimated Annual Savings</td>
+                    <td>${money(bills.annualSavings)}</td>
+                </tr>
+            </tfoot>
+        </table>
+        <p class="bill-note">PG&E baseline territory ${bills.territory}, rates ${bills.rateVersion}.
+        ${bills.tariffOptions.map(option => `${option.tariff}: ${money(option.annual)}/yr`).join(' · ')}
+        ${calibrated ? '<br>Simulated heating/cooling use was scaled down to match your bills.' : ''}</p>
+    `;
+    section.style.display = 'block';
+}
+
+// Field pickers for custom what-if scenarios, built from the matching step 2 and 3 selects
+function initializeScenarioBuilder() {
+    const builder = document.getElementById('scenario-builder');
+    const fields = builder && builder.querySelector('[data-scenario-fields]');
+    if (!fields || typeof ScenarioComparison === 'undefined') return;
+    
+    // No ids here: getFormState saves every element with one as an assessment input
+    fields.innerHTML = new ScenarioComparison().editableFields.map(([field, inputId, label]) => {
+        const source = document.getElementById(inputId);
+        const options = source ? Array.from(source.options).filter(option => option.value !== '') : [];
+        return `
+            <label>${label}
+                <select data-scenario-field="${field}">
+                    <option value="">No change</option>
+                    ${options.map(option => `<option value="${escapeHTML(option.value)}">${escapeHTML(option.textContent)}</option>`).join('')}
+                </select>
+            </label>
+        `;
+    }).join('');
+    
+    builder.querySelector('[data-scenario-add]')?.addEventListener('click', addCustomScenario);
+    document.getElementById('scenario-table')?.addEventListener('click', event => {
+        const button = event.target.closest('[data-scenario-remove]');
+        if (button) removeScenario(button.dataset.scenarioRemove);
+    });
+}
+
+// The scenario definitions in the current comparison, without the existing-home baseline
+function getScenarioDefinitions() {
+    const comparison = calculationResults.scenarios;
+    return comparison ? comparison.scenarios.slice(1).map(({ id, label, changes }) => ({ id, label, changes })) : [];
+}
+
+// Rerun the comparison for a new scenario list and save it with the assessment's results
+function setScenarios(scenarios) {
+    calculationResults.scenarios = calculator.compareScenarios(buildingData, scenarios);
+    updateScenarioComparison();
+    scheduleProjectSave({ results: calculationResults });
+}
+
+function addCustomScenario() {
+    const builder = document.getElementById('scenario-builder');
+    if (!builder || !calculationResults.heating) return;
+    
+    const comparison = new ScenarioComparison();
+    const changes = {};
+    builder.querySelectorAll('[data-scenario-field]').forEach(select => {
+        const field = select.dataset.scenarioField;
+        if (select.value !== '' && String(buildingData[field]) !== select.value) {
+            changes[field] = select.value;
+        }
+    });
+    if (!Object.keys(changes).length) {
+        showNotification('Pick at least one field that differs from the existing home.', 'error');
+        return;
+    }
+    
+    const nameInput = builder.querySelector('[data-scenario-name]');
+    const label = nameInput.value.trim() || Object.entries(changes).map(([field, value]) => {
+        const select = builder.querySelector(`[data-scenario-field="${field}"]`);
+        const option = Array.from(select.options).find(candidate => candidate.value === value);
+        return `${comparison.getFieldLabel(field)}: ${option ? option.textContent : value}`;
+    }).join(', ');
+    
+    try {
+        setScenarios([...getScenarioDefinitions(), { id: `custom-${Date.now().toString(36)}`, label, changes }]);
+    } catch (error) {
+        console.error('Scenario comparison error:', error);
+        showNotification('That scenario could not be calculated.', 'error');
+        return;
+    }
+    
+    builder.querySelectorAll('[data-scenario-field]').forEach(select => {
+        select.value = '';
+    });
+    nameInput.value = '';
+}
+
+function removeScenario(id) {
+    setScenarios(getScenarioDefinitions().filter(scenario => scenario.id !== id));
+}
+
+// Side-by-side what-if scenarios: load, heat pump size, cost and savings against the existing home
+function updateScenarioComparison() {
+    const section = document.getElementById('scenario-comparison');
+    const container = document.getElementById('scenario-table');
+    if (!section || !container || !calculationResults.heating) return;
+    
+    // Assessments saved before scenarios were added get the preset packages
+    if (!calculationResults.scenarios) {
+        try {
+            calculationResults.scenarios = calculator.compareScenarios(buildingData);
+        } catch (error) {
+            console.warn('Could not compare upgrade scenarios:', error);
+            return;
+        }
+    }
+    
+    const comparison = calculationResults.scenarios;
+    const money = value => `$${Math.round(value).toLocaleString()}`;
+    const signed = (value, format) => value === null ? '—' :
+        value === 0 ? '—' : `${value > 0 ? '+' : '−'}${format(Math.abs(value))}`;
+    const btuh = value => `${Math.round(value).toLocaleString()} Btu/h`;
+    
+    container.innerHTML = `
+        <table class="room-load-table scenario-table">
+            <thead>
+                <tr>
+                    <th>Scenario</th>
+                    <th>Heating Load</th>
+                    <th>Cooling Load</th>
+                    <th>Heat Pump</th>
+                    <th>Upgrade Cost</th>
+                    <th>Net Cost</th>
+                    <th>Annual Bill</th>
+                    <th>Payback</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${comparison.scenarios.map((row, index) => `
+                    <tr${index === 0 ? ' class="scenario-baseline"' : ''}>
+                        <td>${escapeHTML(row.label)}</td>
+                        <td>${row.heatingLoad.toLocaleString()}<small>${signed(row.deltas.heatingLoad, btuh)}</small></td>
+                        <td>${row.coolingLoad.toLocaleString()}<small>${signed(row.deltas.coolingLoad, btuh)}</small></td>
+                        <td>${row.tons} tons<small>${escapeHTML(row.equipment)}</small></td>
+                        <td>${index === 0 ? '—' : money(row.upgradeCost)}${row.uncosted.length ? '<small>Some changes not priced</small>' : ''}</td>
+                        <td>${index === 0 ? '—' : signed(row.deltas.netCost, money)}${row.deltas.equipmentCost ? `<small>Heat pump ${signed(row.deltas.equipmentCost, money)}</small>` : ''}</td>
+                        <td>${row.annualBill !== null ? money(row.annualBill) : '—'}<small>${index === 0 ? 'With heat pump' : `${signed(row.annualSavings === null ? null : -row.annualSavings, money)}/yr`}</small></td>
+                        <td>${row.paybackYears !== null ? `${row.paybackYears} yrs` : '—'}</td>
+                        <td>${index === 0 ? '' : `<button type="button" class="room-remove" data-scenario-remove="${escapeHTML(row.id)}" aria-label="Remove ${escapeHTML(row.label)}">×</button>`}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="bill-note">Each scenario reruns the Manual J loads on a copy of this house with the listed changes and sizes a heat pump
+            for the result. Net cost is the upgrade cost plus any change in heat pump cost; bills are with the heat pump installed.
+            ${escapeHTML(comparison.costBasis)}.</p>
+    `;
+    
+    createScenarioComparisonChart();
+    section.style.display = 'block';
+}
+
+function createScenarioComparisonChart() {
+    const ctx = document.getElementById('scenarioComparisonChart');
+    const comparison = calculationResults.scenarios;
+    if (!ctx || !comparison || typeof Chart === 'undefined') return;
+    
+    const existing = Chart.getChart ? Chart.getChart(ctx) : null;
+    if (existing) existing.destroy();
+    
+    const rows = comparison.scenarios;
+    new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: rows.map(row => row.label),
+            datasets: [{
+                label: 'Heating Load (Btu/h)',
+                data: rows.map(row => row.heatingLoad),
+                backgroundColor: '#FF6384',
+                yAxisID: 'y'
+            }, {
+                label: 'Cooling Load (Btu/h)',
+                data: rows.map(row => row.coolingLoad),
+                backgroundColor: '#36A2EB',
+                yAxisID: 'y'
+            }, {
+                label: 'Annual Bill ($)',
+                data: rows.map(row => row.annualBill),
+                type: 'line',
+                borderColor: '#4BC0C0',
+                backgroundColor: '#4BC0C0',
+                yAxisID: 'cost'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Design Loads and Annual Bill by Scenario'
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Btu/h'
+                    }
+                },
+                cost: {
+                    position: 'right',
+                    beginAtZero: true,
+                    grid: {
+                        drawOnChartArea: false
+                    },
+                    title: {
+                        display: true,
+                        text: 'Annual Bill ($)'
                     }
                 }
             }
@@ -450,6 +1647,197 @@ function createMonthlyEnergyChart() {
     });
 }
 
+function updateWaterHeating() {
+    const section = document.getElementById('water-heating');
+    const container = document.getElementById('water-heating-content');
+    const water = calculationResults.waterHeating;
+    if (!section || !container || !water) return;
+    
+    const money = value => `$${Math.round(value).toLocaleString()}`;
+    const annual = water.annual;
+    const cost = water.annualCost;
+    const existingUse = water.existing.fuel === 'gas' ?
+        `${annual.existingTherms.toLocaleString()} therms` : `${annual.existingKWh.toLocaleString()} kWh`;
+    
+    if (!water.recommended) {
+        container.innerHTML = `<p class="recommendation-empty">The home already has a heat pump water heater
+            (${water.demand.dailyGallons} gal/day estimated use, ${annual.existingKWh.toLocaleString()} kWh/yr).</p>`;
+        section.style.display = 'block';
+        return;
+    }
+    
+    container.innerHTML = `
+        <div class="equipment-specs">
+            <div class="spec-item">
+                <div class="spec-label">Recommended Tank</div>
+                <div class="spec-value">${water.tank.size} gal HPWH</div>
+            </div>
+            <div class="spec-item">
+                <div class="spec-label">First-Hour Rating</div>
+                <div class="spec-value">${water.tank.firstHourRating} gal (need ${water.demand.peakHourGallons})</div>
+            </div>
+            <div class="spec-item">
+                <div class="spec-label">Daily Hot Water Use</div>
+                <div class="spec-value">${water.demand.dailyGallons} gal/day</div>
+            </div>
+            <div class="spec-item">
+                <div class="spec-label">Est. Cost Range</div>
+                <div class="spec-value">${money(water.tank.cost.low)} - ${money(water.tank.cost.high)}</div>
+            </div>
+        </div>
+        <table class="room-load-table">
+            <thead>
+                <tr><th></th><th>Annual Energy</th><th>Annual Cost</th></tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td>Existing ${water.existing.label.toLowerCase()}${water.existing.age ? ` (${water.existing.age} yrs)` : ''}</td>
+                    <td>${existingUse}</td>
+                    <td>${cost ? money(cost.existing) : '—'}</td>
+                </tr>
+                <tr>
+                    <td>${water.tank.size} gal HPWH (${water.location})</td>
+                    <td>${annual.netHpwhKWh.toLocaleString()} kWh</td>
+                    <td>${cost ? money(cost.hpwh) : '—'}</td>
+                </tr>
+            </tbody>
+            ${cost ? `<tfoot>
+                <tr>
+                    <td colspan="2">Estimated Annual Savings</td>
+                    <td>${money(cost.savings)}</td>
+                </tr>
+            </tfoot>` : ''}
+        </table>
+        <p class="bill-note">Inlet water ${water.inletTemp}°F, setpoint 120°F, HPWH efficiency ${water.hpwhCOP} at this location.
+        ${annual.heatExtractedKBtu > 0 ? `<br>Space conditioning effect: the unit removes ${annual.heatExtractedKBtu.toLocaleString()} kBtu/yr from the house,
+        adding ${annual.heatingPenaltyKWh.toLocaleString()} kWh of winter heating and saving ${annual.coolingCreditKWh.toLocaleString()} kWh of summer cooling (included above).` : ''}
+        ${water.existing.endOfLife ? '<br>The existing water heater is at or past its typical service life: replace it before it fails.' : ''}</p>
+    `;
+    section.style.display = 'block';
+}
+
+function updatePanelAssessment() {
+    const section = document.getElementById('panel-assessment');
+    const container = document.getElementById('panel-assessment-content');
+    const panel = calculationResults.panel;
+    if (!section || !container || !panel) return;
+    
+    const statusLabels = {
+        'ok': 'Existing service is adequate',
+        'load-management': 'Load management needed',
+        'upgrade': 'Service upgrade needed'
+    };
+    const lineRows = lines => lines.map(line => `
+        <tr${line.proposed ? ' class="panel-proposed"' : ''}>
+            <td>${line.label}</td>
+            <td>${line.va.toLocaleString()} VA</td>
+        </tr>
+    `).join('');
+    const rebateHint = panel.status === 'upgrade' && buildingData.panelUpgrade !== 'yes' ?
+        '<p class="bill-note">Panel upgrades can qualify for HEEHRA and federal 25C incentives: set "Electrical Panel Upgrade Planned" to Yes to include them.</p>' : '';
+    
+    container.innerHTML = `
+        <div class="panel-status panel-status-${panel.status}">
+            <strong>${statusLabels[panel.status]}</strong>
+            <span>${panel.calculatedAmps} A calculated on a ${panel.panelAmps} A service (${panel.utilization}%)</span>
+        </div>
+        <p>${panel.recommendation}</p>
+        ${panel.options.length ? `<ul class="panel-options">${panel.options.map(option => `<li>${option}</li>`).join('')}</ul>` : ''}
+        <table class="room-load-table">
+            <thead>
+                <tr><th>Load (${panel.method})</th><th>Nameplate</th></tr>
+            </thead>
+            <tbody>
+                ${lineRows(panel.general)}
+                <tr>
+                    <td><strong>Other loads: first 8 kVA at 100%, remainder at 40%</strong></td>
+                    <td><strong>${panel.generalDemandVA.toLocaleString()} VA</strong></td>
+                </tr>
+                ${lineRows(panel.hvac)}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td>Calculated Load (${panel.totalVA.toLocaleString()} VA ÷ ${panel.voltage} V)</td>
+                    <td>${panel.calculatedAmps} A</td>
+                </tr>
+            </tfoot>
+        </table>
+        <p class="bill-note">Heating and cooling equipment counted at 100% of nameplate. Typical nameplate ratings are used;
+        confirm with the equipment submittals and existing panel schedule.</p>
+        ${rebateHint}
+    `;
+    section.style.display = 'block';
+}
+
+// Weatherization measures to do before the heat pump, in payback order
+function updateLoadingOrder() {
+    const section = document.getElementById('loading-order');
+    const container = document.getElementById('loading-order-table');
+    if (!section || !container || !calculationResults.heating) return;
+    
+    // Assessments saved before the loading order was added
+    if (!calculationResults.loadingOrder) {
+        try {
+            calculationResults.loadingOrder = calculator.calculateLoadingOrder(buildingData, calculationResults);
+        } catch (error) {
+            console.warn('Could not rank weatherization measures:', error);
+            return;
+        }
+    }
+    
+    const plan = calculationResults.loadingOrder;
+    if (!plan.measures.length) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    const money = value => `$${Math.round(value).toLocaleString()}`;
+    const tons = btuh => `${Math.round(btuh / 1200) / 10} tons`;
+    
+    container.innerHTML = `
+        <table class="room-load-table loading-order-table">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>Measure</th>
+                    <th>Cost</th>
+                    <th>Heating Load</th>
+                    <th>Cooling Load</th>
+                    <th>Heat Pump</th>
+                    <th>Annual Savings</th>
+                    <th>Payback</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${plan.measures.map(measure => `
+                    <tr>
+                        <td>${measure.rank}</td>
+                        <td>${escapeHTML(measure.label)}<small>${measure.share.heating}% of heat loss, ${measure.share.cooling}% of heat gain today</small></td>
+                        <td>${money(measure.cost)}</td>
+                        <td>−${measure.heatingReduction.toLocaleString()}<small>${measure.heatingPercent}%</small></td>
+                        <td>−${measure.coolingReduction.toLocaleString()}<small>${measure.coolingPercent}%</small></td>
+                        <td>${measure.capacityReduction > 0 ? `−${tons(measure.capacityReduction)}` : 'Same size'}${measure.equipmentSavings ? `<small>${money(measure.equipmentSavings)} less</small>` : ''}</td>
+                        <td>${money(measure.annualSavings)}/yr</td>
+                        <td>${measure.paybackYears === null ? '—' : measure.paybackYears === 0 ? 'Immediate' : `${measure.paybackYears} yrs`}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td colspan="2">All measures</td>
+                    <td>${money(plan.totals.cost)}</td>
+                    <td colspan="3"></td>
+                    <td>${money(plan.totals.annualSavings)}/yr</td>
+                    <td></td>
+                </tr>
+            </tfoot>
+        </table>
+        ${plan.notes.map(note => `<p class="room-load-note">${note}</p>`).join('')}
+        <p class="bill-note">${plan.basis}. Load reductions are design Btu/h; savings from separate measures overlap, so the total is an upper bound.</p>
+    `;
+    section.style.display = 'block';
+}
+
 function generateRecommendationsDisplay() {
     const recommendations = calculator.generateRecommendations(calculationResults, buildingData);
     const container = document.getElementById('recommendations-summary');
@@ -458,6 +1846,13 @@ function generateRecommendationsDisplay() {
     
     let html = '<h3>Equipment Recommendations</h3>';
     
+    if (recommendations.length === 0) {
+        html += `
+            <p class="recommendation-empty">No catalog equipment meets these loads within sizing limits.
+            We will size a custom system during your on-site consultation.</p>
+        `;
+    }
+    
     recommendations.forEach((rec, index) => {
         const badgeClass = rec.recommended ? 'recommended' : '';
         const badgeText = rec.recommended ? 'RECOMMENDED' : 'ALTERNATIVE';
@@ -468,19 +1863,25 @@ function generateRecommendationsDisplay() {
                     <h4>${rec.type}</h4>
                     ${rec.recommended ? `<span class="recommendation-badge">${badgeText}</span>` : ''}
                 </div>
+                <p class="recommendation-model">${rec.manufacturer} ${rec.series} — ${rec.model}</p>
+                ${rec.selection.warnings.map(warning => `<p class="recommendation-warning">${warning}</p>`).join('')}
                 
                 <div class="equipment-specs">
                     <div class="spec-item">
                         <div class="spec-label">Recommended Size</div>
-                        <div class="spec-value">${(rec.sizingCapacity / 1000).toFixed(1)} Tons</div>
+                        <div class="spec-value">${(rec.sizingCapacity / 12000).toFixed(1)} Tons</div>
+                    </div>
+                    <div class="spec-item">
+                        <div class="spec-label">Heating at ${calculationResults.climate.winterDesignTemp}°F</div>
+                        <div class="spec-value">${rec.selection.heatingCapacity.toLocaleString()} Btu/h</div>
                     </div>
                     <div class="spec-item">
                         <div class="spec-label">Heating Efficiency</div>
-                        <div class="spec-value">${rec.heatingEfficiency.hspf} HSPF</div>
+                        <div class="spec-value">${rec.heatingEfficiency.hspf2} HSPF2</div>
                     </div>
                     <div class="spec-item">
                         <div class="spec-label">Cooling Efficiency</div>
-                        <div class="spec-value">${rec.coolingEfficiency.seer} SEER</div>
+                        <div class="spec-value">${rec.coolingEfficiency.seer2} SEER2</div>
                     </div>
                     <div class="spec-item">
                         <div class="spec-label">Est. Annual Savings</div>
@@ -496,13 +1897,26 @@ function generateRecommendationsDisplay() {
                     </div>
                 </div>
                 
+                ${renderVerification(rec.verification)}
+                
+                ${rec.zoneDesign ? renderZoneLayout(rec.zoneDesign) : ''}
+                
                 <div class="rebate-breakdown">
-                    <h5>Available Rebates & Incentives:</h5>
+                    <h5>Eligible Rebates & Incentives:</h5>
                     <ul>
-                        ${rec.rebatesAvailable.breakdown.map(rebate => 
-                            `<li>${rebate.program}: $${rebate.amount.toLocaleString()}</li>`
+                        ${rec.rebatesAvailable.eligible.map(program => 
+                            `<li><strong>${program.name}: $${program.amount.toLocaleString()}</strong>
+                                <span class="rebate-reason">${program.reason}${program.notes.length ? ` (${program.notes.join('; ')})` : ''}</span></li>`
                         ).join('')}
                     </ul>
+                    ${rec.rebatesAvailable.ineligible.length ? `
+                        <h5>Not Eligible:</h5>
+                        <ul class="rebate-ineligible">
+                            ${rec.rebatesAvailable.ineligible.map(program => 
+                                `<li>${program.name} <span class="rebate-reason">${program.reason}</span></li>`
+                            ).join('')}
+                        </ul>
+                    ` : ''}
                 </div>
             </div>
         `;
@@ -511,6 +1925,92 @@ function generateRecommendationsDisplay() {
     container.innerHTML = html;
 }
 
+// Manual S pass/fail table for a recommendation at the local design temperatures
+function renderVerification(verification) {
+    return `
+        <div class="manual-s-verification">
+            <h5>${verification.method} Verification:
+                <span class="${verification.passes ? 'verification-pass' : 'verification-fail'}">${verification.passes ? 'PASS' : 'FAIL'}</span></h5>
+            <table class="room-load-table">
+                <thead>
+                    <tr>
+                        <th>Check</th>
+                        <th>Equipment (Btu/h)</th>
+                        <th>Load (Btu/h)</th>
+                        <th>Capacity / Load</th>
+                        <th>Requirement</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${verification.checks.map(check => `
+                        <tr>
+                            <td>${check.label}</td>
+                            <td>${check.capacity.toLocaleString()}</td>
+                            <td>${check.load.toLocaleString()}</td>
+                            <td>${Math.round(check.ratio * 100)}%</td>
+                            <td>${check.requirement}</td>
+                            <td class="${check.pass ? 'verification-pass' : 'verification-fail'}">${check.pass ? 'Pass' : 'Fail'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${verification.backupHeatKW > 0 ? `<p class="room-load-note">Heating falls short at the design temperature; about ${verification.backupHeatKW} kW of backup heat would cover the difference.</p>` : ''}
+        </div>
+    `;
+}
+
+// Zone layout for a multi-zone recommendation: indoor unit per zone and outdoor unit limits
+function renderZoneLayout(zoneDesign) {
+    const estimated = zoneDesign.zones.some(zone => zone.rooms.length === 0);
+    const describeUnit = unit => `${unit.count > 1 ? `${unit.count} × ` : ''}${(unit.size / 1000).toLocaleString()}k ${unit.label}`;
+    
+    return `
+        <div class="zone-layout">
+            <h5>Zone Layout</h5>
+            <table class="room-load-table">
+                <thead>
+                    <tr>
+                        <th>Zone</th>
+                        <th>Rooms</th>
+                        <th>Heating (Btu/h)</th>
+                        <th>Cooling (Btu/h)</th>
+                        <th>Indoor Unit</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${zoneDesign.zones.map(zone => `
+                        <tr>
+                            <td>${escapeHTML(zone.name)}</td>
+                            <td>${escapeHTML(zone.rooms.join(', ')) || '—'}</td>
+                            <td>${zone.heating.toLocaleString()}${zone.heatingShort ? ` <span class="zone-short">(${zone.heatingDelivered.toLocaleString()} delivered)</span>` : ''}</td>
+                            <td>${zone.cooling.toLocaleString()}${zone.coolingShort ? ` <span class="zone-short">(${zone.coolingDelivered.toLocaleString()} delivered)</span>` : ''}</td>
+                            <td>${describeUnit(zone.unit)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="bill-note">Outdoor unit ${zoneDesign.outdoorUnit.model}: ${zoneDesign.indoorUnitCount} of ${zoneDesign.maxIndoorUnits} indoor unit connections,
+                ${zoneDesign.connectedCapacity.toLocaleString()} Btu/h connected (${Math.round(zoneDesign.connectedRatio * 100)}%;
+                allowed ${Math.round(zoneDesign.connectedLimits.min * 100)}–${Math.round(zoneDesign.connectedLimits.max * 100)}%).</p>
+            ${zoneDesign.issues.map(issue => `<p class="recommendation-warning">${issue}</p>`).join('')}
+            ${estimated ? '<p class="room-load-note">Zones are estimated from floor area. Enter rooms with zone names in step 2 for a room-based layout.</p>' : ''}
+        </div>
+    `;
+}
+
+// Describe where the design conditions came from
+function describeClimateSource(climate) {
+    if (!climate.station) {
+        return 'Location not recognized: using typical Bay Area design conditions. Add a ZIP code to the address for local values.';
+    }
+    
+    const place = [climate.location.city, climate.location.zip].filter(Boolean).join(' ');
+    const zone = climate.climateZone ? `California Climate Zone ${climate.climateZone}` : `IECC Zone ${climate.zone}`;
+    return `${place} (${zone}): design conditions from ${climate.station.name} (${climate.station.id}), ` +
+        `${climate.station.distance} mi away, elevation ${climate.elevation} ft.`;
+}
+
 function showCalculationError() {
     const statusDiv = document.getElementById('calculation-status');
     if (statusDiv) {
@@ -586,11 +2086,12 @@ function createReportHTML() {
                     </div>
                     <div class="result-box">
                         <h4>Design Conditions</h4>
-                        <p>Climate Zone: ${climate.zone}</p>
+                        <p>Climate Zone: ${climate.climateZone ? `CZ ${climate.climateZone} / ` : ''}${climate.zone}</p>
+                        <p>Weather Station: ${climate.station ? `${climate.station.name} (${climate.station.id})` : 'Bay Area default'}</p>
                         <p>Winter Design: ${climate.winterDesignTemp}°F</p>
                         <p>Summer Design: ${climate.summerDesignTemp}°F</p>
-                        <p>Indoor Heating: ${buildingData.heatingTemp}°F</p>
-                        <p>Indoor Cooling: ${buildingData.coolingTemp}°F</p>
+                        <p>Indoor Heating: ${calculationResults.heating.designConditions.indoor}°F</p>
+                        <p>Indoor Cooling: ${calculationResults.cooling.designConditions.indoor}°F</p>
                     </div>
                 </div>
             </div>
@@ -621,15 +2122,39 @@ function createReportHTML() {
                 </table>
             </div>
             
+            ${results.waterHeating.recommended ? `
+            <div class="section">
+                <h3>Heat Pump Water Heater</h3>
+                <p>Recommended: ${results.waterHeating.tank.size} gal HPWH, first-hour rating ${results.waterHeating.tank.firstHourRating} gal
+                (peak hour demand ${results.waterHeating.demand.peakHourGallons} gal, ${results.waterHeating.demand.dailyGallons} gal/day)</p>
+                <p>Annual energy: ${results.waterHeating.annual.netHpwhKWh.toLocaleString()} kWh
+                ${results.waterHeating.annualCost ? `· Est. annual savings: $${results.waterHeating.annualCost.savings.toLocaleString()}` : ''}</p>
+            </div>
+            ` : ''}
+            
+            <div class="section">
+                <h3>Electrical Panel Capacity (${results.panel.method})</h3>
+                <p>Calculated load: ${results.panel.calculatedAmps} A on a ${results.panel.panelAmps} A service (${results.panel.utilization}%)</p>
+                <p>${results.panel.recommendation}</p>
+                ${results.panel.options.map(option => `<p>• ${option}</p>`).join('')}
+            </div>
+            
             <div class="section">
                 <h3>Equipment Recommendations</h3>
                 ${calculator.generateRecommendations(results, buildingData).map(rec => `
                     <div class="result-box">
                         <h4>${rec.type} ${rec.recommended ? '(RECOMMENDED)' : ''}</h4>
-                        <p>Size: ${(rec.sizingCapacity / 1000).toFixed(1)} Tons (${rec.sizingCapacity.toLocaleString()} Btu/h)</p>
-                        <p>Efficiency: ${rec.heatingEfficiency.hspf} HSPF / ${rec.coolingEfficiency.seer} SEER</p>
+                        <p>Model: ${rec.manufacturer} ${rec.model}</p>
+                        <p>Size: ${(rec.sizingCapacity / 12000).toFixed(1)} Tons (${rec.sizingCapacity.toLocaleString()} Btu/h)</p>
+                        <p>Heating at ${climate.winterDesignTemp}°F: ${rec.selection.heatingCapacity.toLocaleString()} Btu/h</p>
+                        <p>Efficiency: ${rec.heatingEfficiency.hspf2} HSPF2 / ${rec.coolingEfficiency.seer2} SEER2</p>
+                        <p>${rec.verification.method}: ${rec.verification.passes ? 'PASS' : 'FAIL'} (${rec.verification.checks.map(check => `${check.label} ${Math.round(check.ratio * 100)}% ${check.pass ? 'pass' : 'fail'}`).join('; ')})</p>
+                        ${rec.zoneDesign ? rec.zoneDesign.zones.map(zone =>
+                            `<p>• ${escapeHTML(zone.name)}: ${zone.unit.count > 1 ? `${zone.unit.count} × ` : ''}${zone.unit.size.toLocaleString()} Btu/h ${zone.unit.label} (${zone.heating.toLocaleString()} heating / ${zone.cooling.toLocaleString()} cooling Btu/h)</p>`
+                        ).join('') : ''}
                         <p>Est. Annual Savings: $${rec.annualSavings.toLocaleString()}</p>
                         <p>Available Rebates: $${rec.rebatesAvailable.total.toLocaleString()}</p>
+                        <p>Eligible Programs: ${rec.rebatesAvailable.eligible.map(program => `${program.name} ($${program.amount.toLocaleString()})`).join(', ') || 'None'}</p>
                         <p>Est. Cost: $${rec.costRange.low.toLocaleString()} - $${rec.costRange.high.toLocaleString()}</p>
                     </div>
                 `).join('')}
@@ -845,6 +2370,20 @@ function updateWindowTotal() {
     totalDisplay.textContent = `Total Window Area: ${total} sq ft`;
 }
 
+// Label the window inputs with the direction each wall faces; a house whose front door
+// faces a diagonal has its walls turned 45°
+function updateWindowLabels() {
+    const orientation = document.getElementById('orientation')?.value || 'north';
+    const facings = calculator.getWindowFacings({ orientation });
+    
+    Object.entries(facings).forEach(([side, facing]) => {
+        const label = document.querySelector(`label[for="window-area-${side}"]`);
+        if (label) {
+            label.textContent = `${facing.charAt(0).toUpperCase() + facing.slice(1)} Windows (sq ft)`;
+        }
+    });
+}
+
 // Add event listeners for window area inputs
 document.addEventListener('DOMContentLoaded', function() {
     const windowInputs = ['window-area-north', 'window-area-east', 'window-area-south', 'window-area-west'];
@@ -854,4 +2393,10 @@ document.addEventListener('DOMContentLoaded', function() {
             input.addEventListener('input', updateWindowTotal);
         }
     });
+    
+    const orientation = document.getElementById('orientation');
+    if (orientation) {
+        orientation.addEventListener('change', updateWindowLabels);
+        updateWindowLabels();
+    }
 });
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Multi-Zone Heat Pump Layout
+ * Assigns wall heads or slim ducted air handlers to each zone by capacity and checks the
+ * outdoor unit's indoor unit count and connected capacity limits
+ */
+
+class MultiZoneDesigner {
+    constructor(indoorUnits) {
+        // [{ type, label, sizes }] from the equipment catalog
+        this.indoorUnits = indoorUnits;
+    }
+
+    getUnitType(type) {
+        return this.indoorUnits.find(unit => unit.type === type) || this.indoorUnits[0];
+    }
+
+    /**
+     * Indoor units for one zone: the smallest size that covers the zone's cooling load and, at the
+     * outdoor unit's heating-to-cooling ratio, its heating load. Zones larger than the biggest
+     * unit are split across several identical units.
+     */
+    sizeZone(zone, heatingRatio) {
+        const unitType = this.getUnitType(zone.distribution);
+        const largest = unitType.sizes[unitType.sizes.length - 1];
+        const needed = Math.max(zone.cooling, zone.heating / heatingRatio);
+        const count = Math.max(1, Math.ceil(needed / largest));
+        const size = unitType.sizes.find(option => option >= needed / count) || largest;
+
+        return { type: unitType.type, label: unitType.label, size, count, capacity: size * count };
+    }
+
+    /**
+     * Lay out indoor units for the zones on one outdoor unit.
+     * zones: [{ name, rooms, heating, cooling, distribution }] with design loads in Btu/h
+     * heatingAtDesign: outdoor unit heating capacity at the winter design temperature
+     */
+    design(zones, outdoorUnit, heatingAtDesign) {
+        const limits = outdoorUnit.multiZone;
+        const nominal = outdoorUnit.cooling.capacity95;
+        const heatingRatio = heatingAtDesign / nominal;
+
+        const sized = zones.map(zone => ({ ...zone, unit: this.sizeZone(zone, heatingRatio) }));
+        const indoorUnitCount = sized.reduce((sum, zone) => sum + zone.unit.count, 0);
+        const connectedCapacity = sized.reduce((sum, zone) => sum + zone.unit.capacity, 0);
+        const connectedRatio = connectedCapacity / nominal;
+
+        // The outdoor unit's output is shared across the heads in proportion to their size
+        const sharedBy = Math.max(connectedCapacity, nominal);
+        const layout = sized.map(zone => {
+            const heatingDelivered = Math.round(heatingAtDesign * zone.unit.capacity / sharedBy);
+            const coolingDelivered = Math.round(nominal * zone.unit.capacity / sharedBy);
+            return {
+                name: zone.name,
+                rooms: zone.rooms,
+                heating: Math.round(zone.heating),
+                cooling: Math.round(zone.cooling),
+                unit: zone.unit,
+                heatingDelivered,
+                coolingDelivered,
+                heatingShort: heatingDelivered < zone.heating,
+                coolingShort: coolingDelivered < zone.cooling
+            };
+        });
+
+        const issues = [];
+        if (indoorUnitCount > limits.maxIndoorUnits) {
+            issues.push(`Needs ${indoorUnitCount} indoor units; the ${outdoorUnit.model} supports ${limits.maxIndoorUnits}`);
+        }
+        if (connectedRatio > limits.connectedRatio.max) {
+            issues.push(`Connected capacity is ${Math.round(connectedRatio * 100)}% of the outdoor unit; the limit is ${Math.round(limits.connectedRatio.max * 100)}%`);
+        }
+        if (connectedRatio < limits.connectedRatio.min) {
+            issues.push(`Connected capacity is only ${Math.round(connectedRatio * 100)}% of the outdoor unit; the minimum is ${Math.round(limits.connectedRatio.min * 100)}%`);
+        }
+
+        return {
+            outdoorUnit: {
+                id: outdoorUnit.id,
+                manufacturer: outdoorUnit.manufacturer,
+                model: outdoorUnit.model,
+                capacity: nominal,
+                heatingAtDesign: heatingAtDesign
+            },
+            zones: layout,
+            indoorUnitCount,
+            maxIndoorUnits: limits.maxIndoorUnits,
+            connectedCapacity,
+            connectedRatio: Math.round(connectedRatio * 100) / 100,
+            connectedLimits: limits.connectedRatio,
+            feasible: issues.length === 0,
+            issues
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiZoneDesigner;
+} else {
+    window.MultiZoneDesigner = MultiZoneDesigner;
+}
@@ -0,0 +1,155 @@
+/**
+ * Electrical Panel Capacity Assessment
+ * NEC 220.83(B) optional calculation for an existing dwelling adding heat pump, HPWH and EV loads,
+ * with load management (smart panel / circuit sharing) and service upgrade recommendations
+ */
+
+class PanelAssessment {
+    constructor() {
+        this.voltage = 240;
+        this.standardServiceSizes = [100, 125, 150, 200, 225, 400];
+
+        // Typical nameplate ratings (VA) used when the actual nameplate is not known
+        this.applianceVA = {
+            smallApplianceCircuits: 3000,
+            laundryCircuit: 1500,
+            kitchenFixed: 2100,
+            range: 12000,
+            dryer: 5000,
+            'electric-tank': 4500,
+            'electric-tankless': 18000,
+            'heat-pump-wh': 4500,
+            hotTub: 6000,
+            poolPump: 1500,
+            evCharger: 7680,
+            heatPumpPerTon: 1800,
+            airHandler: 600,
+            ductlessHeads: 300
+        };
+    }
+
+    // NEC 220.83(B): first 8 kVA of other loads at 100%, the remainder at 40%
+    applyDemandFactor(generalVA) {
+        return Math.min(generalVA, 8000) + Math.max(0, generalVA - 8000) * 0.4;
+    }
+
+    // Smallest standard service size above the existing one that carries the calculated load
+    getUpgradeSize(amps, panelAmps) {
+        return this.standardServiceSizes.find(size => size > panelAmps && size >= amps) ||
+            this.standardServiceSizes[this.standardServiceSizes.length - 1];
+    }
+
+    /**
+     * Calculate the service load after electrification.
+     * existing: { range, dryer, waterHeater, hotTub, poolPump, ev, otherVA, centralAC }
+     * proposed: { heatPumpTons, ducted, supplementalHeatKW, hpwh, ev }
+     */
+    assess({ floorArea, panelAmps = 100, openSpaces = null, existing, proposed }) {
+        const va = this.applianceVA;
+        const general = [
+            { label: `General lighting and receptacles (3 VA × ${Math.round(floorArea).toLocaleString()} sq ft)`, va: 3 * floorArea },
+            { label: 'Small-appliance circuits (2 × 1,500 VA)', va: va.smallApplianceCircuits },
+            { label: 'Laundry circuit', va: va.laundryCircuit },
+            { label: 'Dishwasher and disposal', va: va.kitchenFixed }
+        ];
+
+        if (existing.range) general.push({ label: 'Electric range/cooktop', va: va.range });
+        if (existing.dryer) general.push({ label: 'Electric dryer', va: va.dryer });
+
+        // A heat pump water heater replaces whatever water heater is there now
+        if (proposed.hpwh) {
+            general.push({ label: 'Heat pump water heater (proposed)', va: va['heat-pump-wh'], proposed: true, manageable: true });
+        } else if (va[existing.waterHeater]) {
+            general.push({ label: existing.waterHeater === 'heat-pump-wh' ? 'Heat pump water heater' : 'Electric water heater', va: va[existing.waterHeater] });
+        }
+
+        if (existing.hotTub) general.push({ label: 'Hot tub/spa', va: va.hotTub });
+        if (existing.poolPump) general.push({ label: 'Pool pump', va: va.poolPump });
+        if (existing.ev || proposed.ev) {
+            general.push({ label: `EV charger, 32 A Level 2${existing.ev ? '' : ' (proposed)'}`, va: va.evCharger, proposed: !existing.ev, manageable: true });
+        }
+        if (existing.otherVA > 0) general.push({ label: 'Other fixed 240 V loads', va: existing.otherVA });
+
+        // Heating and cooling equipment at 100% of nameplate
+        const hvac = [
+            { label: `Heat pump outdoor unit (${proposed.heatPumpTons} tons, proposed)`, va: proposed.heatPumpTons * va.heatPumpPerTon, proposed: true },
+            { label: proposed.ducted ? 'Air handler blower (proposed)' : 'Ductless indoor heads (proposed)', va: proposed.ducted ? va.airHandler : va.ductlessHeads, proposed: true }
+        ];
+        if (proposed.supplementalHeatKW > 0) {
+            hvac.push({ label: `Supplemental electric heat (${proposed.supplementalHeatKW} kW, proposed)`, va: proposed.supplementalHeatKW * 1000, proposed: true });
+        }
+
+        const sum = lines => lines.reduce((total, line) => total + line.va, 0);
+        const generalVA = sum(general);
+        const generalDemandVA = this.applyDemandFactor(generalVA);
+        const hvacVA = sum(hvac);
+        const totalVA = generalDemandVA + hvacVA;
+        const calculatedAmps = totalVA / this.voltage;
+
+        // Same calculation with the EV charger on load management and a 120 V shared-circuit HPWH
+        const managedVA = this.applyDemandFactor(sum(general.filter(line => !line.manageable))) + hvacVA;
+        const managedAmps = managedVA / this.voltage;
+
+        let status;
+        let recommendation;
+        const options = [];
+        if (calculatedAmps <= panelAmps) {
+            status = 'ok';
+            recommendation = `The existing ${panelAmps} A service can carry the proposed loads.`;
+            if (calculatedAmps > panelAmps * 0.8) {
+                options.push('Headroom is limited: future additions will likely need load management or an upgrade.');
+            }
+        } else if (managedAmps <= panelAmps) {
+            status = 'load-management';
+            recommendation = `The ${panelAmps} A service is over capacity as planned, but a smart panel or circuit sharing avoids a service upgrade.`;
+            if (existing.ev || proposed.ev) {
+                options.push('EV charger on an energy management system or circuit sharing (NEC 220.70, 625.42)');
+            }
+            if (proposed.hpwh) {
+                options.push('120 V shared-circuit heat pump water heater instead of a 240 V unit');
+            }
+            options.push('Smart panel to shed noncritical loads during peak demand');
+        } else {
+            status = 'upgrade';
+            recommendation = `Service upgrade needed: the calculated load exceeds the ${panelAmps} A rating even with load management. ` +
+                `Plan for a ${this.getUpgradeSize(calculatedAmps, panelAmps)} A service.`;
+            options.push('Confirm service conductor and meter capacity with PG&E before scheduling');
+        }
+
+        // New 240 V circuits need two breaker spaces; existing A/C and water heater circuits can be reused
+        let spacesNeeded = 4 + (proposed.supplementalHeatKW > 0 ? 2 : 0) + (proposed.hpwh ? 2 : 0) + (proposed.ev && !existing.ev ? 2 : 0);
+        if (existing.centralAC) spacesNeeded -= 2;
+        if (proposed.hpwh && ['electric-tank', 'electric-tankless', 'heat-pump-wh'].includes(existing.waterHeater)) spacesNeeded -= 2;
+        if (openSpaces !== null && spacesNeeded > openSpaces) {
+            options.push(`Needs ${spacesNeeded} breaker spaces but only ${openSpaces} are open: use tandem breakers where listed, a subpanel, or a smart panel`);
+        }
+
+        const round = value => Math.round(value);
+        return {
+            method: 'NEC 220.83(B)',
+            voltage: this.voltage,
+            panelAmps: panelAmps,
+            general: general.map(line => ({ ...line, va: round(line.va) })),
+            hvac: hvac.map(line => ({ ...line, va: round(line.va) })),
+            generalVA: round(generalVA),
+            generalDemandVA: round(generalDemandVA),
+            hvacVA: round(hvacVA),
+            totalVA: round(totalVA),
+            calculatedAmps: Math.round(calculatedAmps * 10) / 10,
+            managedAmps: Math.round(managedAmps * 10) / 10,
+            utilization: Math.round(calculatedAmps / panelAmps * 100),
+            spacesNeeded: Math.max(0, spacesNeeded),
+            openSpaces: openSpaces,
+            status: status,
+            recommendation: recommendation,
+            options: options
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PanelAssessment;
+} else {
+    window.PanelAssessment = PanelAssessment;
+}
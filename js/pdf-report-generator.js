@@ -4,7 +4,10 @@
  */
 
 class PDFReportGenerator {
-    constructor() {
+    // options.jsPDF and options.calculator let Node callers supply the PDF library and calculator directly
+    constructor(options = {}) {
+        this.jsPDF = options.jsPDF || null;
+        this.calculator = options.calculator || null;
         this.doc = null;
         this.pageWidth = 210; // A4 width in mm
         this.pageHeight = 297; // A4 height in mm
@@ -24,6 +27,9 @@ class PDFReportGenerator {
     }
     
     async loadJsPDF() {
+        if (this.jsPDF) {
+            return;
+        }
         if (typeof window.jsPDF === 'undefined') {
             // Load jsPDF from CDN
             const script = document.createElement('script');
@@ -48,12 +54,20 @@ class PDFReportGenerator {
         this.currentY = this.margin;
         
         // Generate report sections
+        const recommendations = this.getRecommendations(calculationResults, buildingData);
         this.addHeader();
-        this.addExecutiveSummary(calculationResults, buildingData);
+        this.addExecutiveSummary(calculationResults, buildingData, recommendations);
         this.addBuildingSummary(buildingData);
         this.addLoadCalculationResults(calculationResults);
-        this.addEquipmentRecommendations(calculationResults, buildingData);
-        this.addRebatesAndIncentives(calculationResults, buildingData);
+        this.addDuctDesign(calculationResults);
+        this.addEnergySimulation(calculationResults);
+        this.addBalancePoint(calculationResults);
+        this.addWaterHeating(calculationResults);
+        this.addPanelAssessment(calculationResults);
+        this.addLoadingOrder(calculationResults, buildingData);
+        this.addEquipmentRecommendations(calculationResults, recommendations);
+        this.addScenarioComparison(calculationResults, buildingData);
+        this.addRebatesAndIncentives(recommendations);
         this.addMethodologyNotes();
         this.addFooter();
         
@@ -103,7 +117,7 @@ class PDFReportGenerator {
         this.addHorizontalLine();
     }
     
-    addExecutiveSummary(results, building) {
+    addExecutiveSummary(results, building, recommendations) {
         this.addSectionHeader('Executive Summary');
         
         const propertyAddress = building['property-address'] || building.address || 'Property Address Not Provided';
@@ -114,7 +128,8 @@ class PDFReportGenerator {
             `Total Area: ${building.totalArea || building['total-area'] || 'N/A'} sq ft`,
             `Year Built: ${building.yearBuilt || building['year-built'] || 'N/A'}`,
             `Stories: ${building.stories || 'N/A'}`,
-            `Climate Zone: ${results.climate?.zone || '3C (Bay Area)'}`
+            `Climate Zone: ${results.climate?.climateZone ? `CA CZ ${results.climate.climateZone} / ` : ''}${results.climate?.zone || '3C (Bay Area)'}`,
+            `Weather Station: ${results.climate?.station ? `${results.climate.station.name} (${results.climate.station.id}), ${results.climate.station.distance} mi` : 'Bay Area default'}`
         ]);
         
         this.currentY += 5;
@@ -125,7 +140,7 @@ class PDFReportGenerator {
             `Cooling Load: ${results.cooling.total.toLocaleString()} Btu/h`,
             `Load Density (Heating): ${results.loadDensity.heating} Btu/h/sq ft`,
             `Load Density (Cooling): ${results.loadDensity.cooling} Btu/h/sq ft`,
-            `Design Conditions: ${results.climate.winterDesignTemp}°F / ${results.climate.summerDesignTemp}°F`
+            `Design Conditions: ${results.climate.winterDesignTemp}°F / ${results.climate.summerDesignTemp}°F (${results.climate.summerWetBulb}°F wet bulb)`
         ]);
         
         this.currentY += 10;
@@ -137,7 +152,7 @@ class PDFReportGenerator {
         this.doc.text('Key Findings:', this.margin, this.currentY);
         this.currentY += 7;
         
-        const findings = this.generateKeyFindings(results, building);
+        const findings = this.generateKeyFindings(results, building, recommendations);
         findings.forEach(finding => {
             this.addBulletPoint(finding);
         });
@@ -145,7 +160,8 @@ class PDFReportGenerator {
         this.currentY += 5;
     }
     
-    generateKeyFindings(results, building) {
+    // Summary points; the system size and rebates are those of the recommended catalog model
+    generateKeyFindings(results, building, recommendations) {
         const findings = [];
         
         // Load density analysis
@@ -159,13 +175,17 @@ class PDFReportGenerator {
         }
         
         // Equipment recommendations
-        findings.push(`Recommended system capacity: ${Math.ceil(Math.max(results.heating.total, results.cooling.total) / 6000) * 0.5} tons`);
+        const recommended = recommendations.find(rec => rec.recommended) || recommendations[0];
+        findings.push(`Recommended system: ${recommended.manufacturer} ${recommended.model} ${recommended.type}, ` +
+            `${(recommended.sizingCapacity / 12000).toFixed(1)} tons (${recommended.sizingCapacity.toLocaleString()} Btu/h)`);
         
         // Energy efficiency opportunity
         findings.push('Heat pump technology recommended for maximum efficiency and electrification benefits');
         
         // Rebate opportunity
-        findings.push(`Estimated available rebates and incentives: $8,000 - $12,000`);
+        if (recommended.rebatesAvailable.total > 0) {
+            findings.push(`Estimated available rebates and incentives for this system: $${recommended.rebatesAvailable.total.toLocaleString()}`);
+        }
         
         return findings;
     }
@@ -174,13 +194,20 @@ class PDFReportGenerator {
         this.checkPageBreak(80);
         this.addSectionHeader('Building Characteristics');
         
+        const model = this.getCalculator();
+        
+        // Calculator field, or the form input id for buildings straight from the assessment form
+        const value = (field, inputId) => building[field] ?? building[inputId];
+        const windowType = value('windowType', 'window-type');
+        
         // Building envelope table
         const envelopeData = [
             ['Component', 'Description', 'R-Value/U-Value'],
-            ['Walls', building['wall-type'] || 'Not specified', `R-${building['wall-insulation'] || 'N/A'}`],
-            ['Roof/Attic', building['attic-type'] || 'Not specified', `R-${building['attic-insulation'] || 'N/A'}`],
-            ['Foundation', building['foundation-type'] || 'Not specified', `R-${building['foundation-insulation'] || '0'}`],
-            ['Windows', building['window-type'] || 'Not specified', this.getWindowUValue(building['window-type'])],
+            ['Walls', value('wallType', 'wall-type') || 'Not specified', `R-${value('wallInsulation', 'wall-insulation') || 'N/A'}`],
+            ['Roof/Attic', value('atticType', 'attic-type') || 'Not specified', `R-${value('atticInsulation', 'attic-insulation') || 'N/A'}`],
+            ['Foundation', value('foundationType', 'foundation-type') || 'Not specified', `R-${value('foundationInsulation', 'foundation-insulation') || '0'}`],
+            ['Windows', windowType || 'Not specified', model ?
+                `U-${model.getWindowUValue({ ...building, windowType }).toFixed(2)}` : this.getWindowUValue(windowType)],
         ];
         
         this.addTable(envelopeData, [50, 80, 40]);
@@ -189,10 +216,10 @@ class PDFReportGenerator {
         
         // Window areas (if specified)
         const windowAreas = [
-            parseFloat(building['window-area-north']) || 0,
-            parseFloat(building['window-area-east']) || 0,
-            parseFloat(building['window-area-south']) || 0,
-            parseFloat(building['window-area-west']) || 0
+            parseFloat(value('windowAreaNorth', 'window-area-north')) || 0,
+            parseFloat(value('windowAreaEast', 'window-area-east')) || 0,
+            parseFloat(value('windowAreaSouth', 'window-area-south')) || 0,
+            parseFloat(value('windowAreaWest', 'window-area-west')) || 0
         ];
         
         const totalWindowArea = windowAreas.reduce((sum, area) => sum + area, 0);
@@ -203,12 +230,16 @@ class PDFReportGenerator {
             this.doc.text('Window Areas by Orientation:', this.margin, this.currentY);
             this.currentY += 6;
             
+            // Walls are turned 45° when the front of the house faces a diagonal
+            const facings = model ? model.getWindowFacings(building) :
+                { north: 'north', east: 'east', south: 'south', west: 'west' };
             const windowData = [
                 ['Orientation', 'Area (sq ft)', 'Percentage'],
-                ['North', windowAreas[0].toString(), `${((windowAreas[0] / totalWindowArea) * 100).toFixed(1)}%`],
-                ['East', windowAreas[1].toString(), `${((windowAreas[1] / totalWindowArea) * 100).toFixed(1)}%`],
-                ['South', windowAreas[2].toString(), `${((windowAreas[2] / totalWindowArea) * 100).toFixed(1)}%`],
-                ['West', windowAreas[3].toString(), `${((windowAreas[3] / totalWindowArea) * 100).toFixed(1)}%`],
+                ...['north', 'east', 'south', 'west'].map((side, index) => [
+                    facings[side].charAt(0).toUpperCase() + facings[side].slice(1),
+                    windowAreas[index].toString(),
+                    `${((windowAreas[index] / totalWindowArea) * 100).toFixed(1)}%`
+                ]),
                 ['Total', totalWindowArea.toString(), '100%']
             ];
             
@@ -227,19 +258,41 @@ class PDFReportGenerator {
         this.doc.text('Heating Load Analysis', this.margin, this.currentY);
         this.currentY += 7;
         
+        // Untested houses use a leakage estimate from the year built
+        const infiltration = results.heating.infiltration;
+        const infiltrationLabel = infiltration?.source === 'estimated' ? 'Air Infiltration (estimated)' : 'Air Infiltration';
+        
         const heatingData = [
             ['Component', 'Load (Btu/h)', 'Percentage'],
             ['Walls', results.heating.components.walls.toLocaleString(), `${((results.heating.components.walls / results.heating.total) * 100).toFixed(1)}%`],
             ['Windows', results.heating.components.windows.toLocaleString(), `${((results.heating.components.windows / results.heating.total) * 100).toFixed(1)}%`],
             ['Roof/Ceiling', results.heating.components.roof.toLocaleString(), `${((results.heating.components.roof / results.heating.total) * 100).toFixed(1)}%`],
             ['Foundation', results.heating.components.foundation.toLocaleString(), `${((results.heating.components.foundation / results.heating.total) * 100).toFixed(1)}%`],
-            ['Air Infiltration', results.heating.components.infiltration.toLocaleString(), `${((results.heating.components.infiltration / results.heating.total) * 100).toFixed(1)}%`],
+            [infiltrationLabel, results.heating.components.infiltration.toLocaleString(), `${((results.heating.components.infiltration / results.heating.total) * 100).toFixed(1)}%`],
+            ['Ventilation', results.heating.components.ventilation.toLocaleString(), `${((results.heating.components.ventilation / results.heating.total) * 100).toFixed(1)}%`],
+            ['Ducts', results.heating.components.ducts.toLocaleString(), `${((results.heating.components.ducts / results.heating.total) * 100).toFixed(1)}%`],
             ['Total', results.heating.total.toLocaleString(), '100%']
         ];
         
         this.addTable(heatingData, [60, 40, 30]);
+        this.currentY += 5;
         
-        this.currentY += 10;
+        if (infiltration) {
+            const leakageSource = infiltration.source === 'measured' ? 'measured by blower door' : 'estimated from the year built (not tested)';
+            this.addBulletPoint(`Air leakage ${infiltration.ach50} ACH50 / ${infiltration.cfm50.toLocaleString()} CFM50, ${leakageSource}; ` +
+                `LBL N-factor ${infiltration.nFactor} gives ${infiltration.naturalACH.toFixed(2)} natural ACH (${Math.round(infiltration.cfm)} CFM)`);
+        }
+        
+        const ventilation = results.heating.ventilation;
+        if (ventilation) {
+            this.addBulletPoint(ventilation.system === 'none' ?
+                `No whole-house ventilation; ${ventilation.method} requires ${ventilation.requiredCFM} CFM` :
+                `${ventilation.label}: ${ventilation.fanCFM} CFM (${ventilation.method} requires ${ventilation.requiredCFM} CFM), ` +
+                `${Math.round(ventilation.outdoorAirCFM)} CFM net outdoor air, ${Math.round(ventilation.sensibleRecovery * 100)}% sensible / ` +
+                `${Math.round(ventilation.latentRecovery * 100)}% latent recovery`);
+        }
+        
+        this.currentY += 5;
         
         // Cooling load breakdown
         this.doc.setFontSize(12);
@@ -252,7 +305,9 @@ class PDFReportGenerator {
             ['Walls', results.cooling.components.walls.toLocaleString(), `${((results.cooling.components.walls / results.cooling.total) * 100).toFixed(1)}%`],
             ['Windows', results.cooling.components.windows.toLocaleString(), `${((results.cooling.components.windows / results.cooling.total) * 100).toFixed(1)}%`],
             ['Roof/Ceiling', results.cooling.components.roof.toLocaleString(), `${((results.cooling.components.roof / results.cooling.total) * 100).toFixed(1)}%`],
-            ['Air Infiltration', results.cooling.components.infiltration.toLocaleString(), `${((results.cooling.components.infiltration / results.cooling.total) * 100).toFixed(1)}%`],
+            [infiltrationLabel, results.cooling.components.infiltration.toLocaleString(), `${((results.cooling.components.infiltration / results.cooling.total) * 100).toFixed(1)}%`],
+            ['Ventilation', results.cooling.components.ventilation.toLocaleString(), `${((results.cooling.components.ventilation / results.cooling.total) * 100).toFixed(1)}%`],
+            ['Ducts', results.cooling.components.ducts.toLocaleString(), `${((results.cooling.components.ducts / results.cooling.total) * 100).toFixed(1)}%`],
             ['Internal Gains', results.cooling.components.internal.toLocaleString(), `${((results.cooling.components.internal / results.cooling.total) * 100).toFixed(1)}%`],
             ['Total Sensible', results.cooling.sensible.toLocaleString(), `${((results.cooling.sensible / results.cooling.total) * 100).toFixed(1)}%`],
             ['Total Latent', results.cooling.latent.toLocaleString(), `${((results.cooling.latent / results.cooling.total) * 100).toFixed(1)}%`],
@@ -261,22 +316,250 @@ class PDFReportGenerator {
         
         this.addTable(coolingData, [60, 40, 30]);
         this.currentY += 5;
+        
+        const moisture = results.cooling.moisture;
+        if (moisture) {
+            this.addBulletPoint(`Sensible heat ratio ${results.cooling.sensibleHeatRatio.toFixed(2)}: outdoor ${moisture.outdoorGrains} gr/lb ` +
+                `at ${results.climate.summerDesignTemp}°F / ${results.climate.summerWetBulb}°F wet bulb, indoor ${moisture.indoorGrains} gr/lb at ${moisture.indoorRH}% RH`);
+            this.addBulletPoint(`Latent: ${moisture.internalLatent.toLocaleString()} Btu/h occupants, ` +
+                `${moisture.infiltrationLatent.toLocaleString()} Btu/h infiltration (${moisture.infiltrationCFM} CFM), ` +
+                `${moisture.ventilationLatent.toLocaleString()} Btu/h ventilation (${moisture.ventilationCFM} CFM), ` +
+                `${moisture.ductLatent.toLocaleString()} Btu/h duct leakage (${moisture.ductLeakageCFM} CFM)`);
+            this.currentY += 3;
+        }
+        
+        // Spread of the totals when the estimated inputs are varied together
+        const sensitivity = results.sensitivity;
+        if (sensitivity && sensitivity.inputs.length) {
+            const range = band => `${band.p10.toLocaleString()}-${band.p90.toLocaleString()}`;
+            this.addBulletPoint(`Likely range (P10-P90): heating ${range(sensitivity.band.heating)} Btu/h, ` +
+                `cooling ${range(sensitivity.band.cooling)} Btu/h. Largest driver: ${sensitivity.inputs[0].label.toLowerCase()}`);
+            this.currentY += 3;
+        }
     }
     
-    addEquipmentRecommendations(results, building) {
+    addDuctDesign(results) {
+        const design = results.ductDesign;
+        if (!design) return;
+        
         this.checkPageBreak(80);
-        this.addSectionHeader('Equipment Recommendations');
+        this.addSectionHeader('Duct Schedule (Manual D)');
+        
+        const ductData = [
+            ['Run', 'Outlets', 'CFM Each', 'Round (in)', 'Rect. (in)', 'Velocity (fpm)'],
+            ...design.schedule.map(run => [
+                run.section === 'Branch' ? run.name : run.section,
+                run.section === 'Branch' ? run.count.toString() : '-',
+                run.cfm.toLocaleString(),
+                run.round.toString(),
+                run.rectangular,
+                run.velocity.toLocaleString()
+            ])
+        ];
+        this.addTable(ductData, [40, 20, 25, 25, 30, 30]);
+        
+        this.addBulletPoint(`${design.strategy.label}: ${design.strategy.reason}`);
+        this.addBulletPoint(`${design.systemCFM.toLocaleString()} CFM system airflow; ${design.availableStatic} in. w.c. available after ` +
+            `${design.componentLosses} in. w.c. of component losses over ${design.totalEffectiveLength} ft effective length ` +
+            `(friction rate ${design.frictionRate} in. w.c./100 ft)`);
+        design.warnings.forEach(warning => this.addBulletPoint(`Warning: ${warning}`));
+        this.currentY += 5;
+    }
+    
+    addEnergySimulation(results) {
+        if (!results.monthly?.annual) return;
+        
+        this.checkPageBreak(120);
+        this.addSectionHeader('Annual Energy Simulation');
+        
+        const monthly = results.monthly;
+        const annual = monthly.annual;
+        
+        const energyData = [['Month', 'Heating kWh', 'Cooling kWh', 'Therms Avoided', 'Peak kW']];
+        monthly.labels.forEach((label, index) => {
+            energyData.push([
+                label,
+                monthly.heating[index].toLocaleString(),
+                monthly.cooling[index].toLocaleString(),
+                monthly.thermsAvoided[index].toLocaleString(),
+                monthly.peakDemand[index].toString()
+            ]);
+        });
+        energyData.push([
+            'Annual',
+            annual.heatingKWh.toLocaleString(),
+            annual.coolingKWh.toLocaleString(),
+            annual.thermsAvoided.toLocaleString(),
+            annual.peakDemandKW.toString()
+        ]);
+        
+        this.addTable(energyData, [30, 35, 35, 35, 30]);
+        
+        if (results.bills) {
+            this.addBillComparison(results.bills);
+        }
+        
+        this.addInfoBox('Simulation Basis', [
+            `Equipment modeled: ${monthly.heatPump}`,
+            `Weather: typical-year temperature bins for station ${monthly.station}`,
+            `Heating begins below ${monthly.balancePoints.heating}°F, cooling above ${monthly.balancePoints.cooling}°F outdoors`,
+            `Backup resistance heat: ${annual.backupHeatingKWh.toLocaleString()} kWh per year`
+        ]);
+    }
+    
+    addBalancePoint(results) {
+        const analysis = results.balancePoint;
+        if (!analysis) return;
+        
+        this.checkPageBreak(100);
+        this.addSectionHeader('Balance Point & Backup Heat');
+        
+        const balanceData = [['Outdoor Temp', 'Heat Loss (Btu/h)', 'Heat Pump (Btu/h)', 'Backup (kW)']];
+        analysis.curve.forEach(point => {
+            const shortfall = Math.max(point.load - point.capacity, 0);
+            balanceData.push([
+                `${point.temp}°F`,
+                point.load.toLocaleString(),
+                point.capacity.toLocaleString(),
+                shortfall > 0 ? (shortfall / 3412).toFixed(1) : '-'
+            ]);
+        });
+        this.addTable(balanceData, [35, 45, 45, 35]);
+        
+        this.addInfoBox('Backup Heat Analysis', [
+            `Equipment: ${analysis.heatPump}`,
+            analysis.balancePoint !== null ?
+                `Thermal balance point: ${analysis.balancePoint}°F (design temperature ${analysis.designTemp}°F)` :
+                'The heat pump covers the heat loss at all outdoor temperatures',
+            `Typical-year hours below the balance point: ${analysis.hoursBelowBalance.toLocaleString()}`,
+            analysis.backupHeatKW > 0 ?
+                `Backup heat needed at design: ${analysis.backupHeatKW} kW (${analysis.stripHeatKW} kW electric strip heat)` :
+                'No backup heat needed at the design temperature'
+        ]);
+    }
+    
+    addWaterHeating(results) {
+        const water = results.waterHeating;
+        if (!water || !water.recommended) return;
+        
+        this.checkPageBreak(80);
+        this.addSectionHeader('Heat Pump Water Heater');
+        
+        const money = value => `$${Math.round(value).toLocaleString()}`;
+        const annual = water.annual;
+        const cost = water.annualCost;
+        const existingUse = water.existing.fuel === 'gas' ?
+            `${annual.existingTherms.toLocaleString()} therms` : `${annual.existingKWh.toLocaleString()} kWh`;
+        
+        const waterData = [
+            ['Water Heater', 'Annual Energy', 'Annual Cost'],
+            [`Existing ${water.existing.label.toLowerCase()}`, existingUse, cost ? money(cost.existing) : 'N/A'],
+            [`${water.tank.size} gal HPWH (${water.location})`, `${annual.netHpwhKWh.toLocaleString()} kWh`, cost ? money(cost.hpwh) : 'N/A']
+        ];
+        if (cost) {
+            waterData.push(['Annual Savings', '', money(cost.savings)]);
+        }
+        this.addTable(waterData, [80, 40, 40]);
+        
+        const basis = [
+            `Demand: ${water.demand.dailyGallons} gal/day; peak hour ${water.demand.peakHourGallons} gal (${water.demand.peakHourShowers} showers)`,
+            `Recommended: ${water.tank.size} gal, first-hour rating ${water.tank.firstHourRating} gal, UEF ${water.tank.uef}`,
+            `Inlet water ${water.inletTemp}°F, setpoint 120°F`
+        ];
+        if (annual.heatExtractedKBtu > 0) {
+            basis.push(`Space effect: +${annual.heatingPenaltyKWh} kWh heating, -${annual.coolingCreditKWh} kWh cooling per year`);
+        }
+        this.addInfoBox('Sizing Basis', basis);
+        
+        if (water.existing.endOfLife) {
+            this.addBulletPoint('The existing water heater is at or past its typical service life.');
+            this.currentY += 3;
+        }
+    }
+    
+    addPanelAssessment(results) {
+        const panel = results.panel;
+        if (!panel) return;
+        
+        this.checkPageBreak(100);
+        this.addSectionHeader('Electrical Panel Capacity');
+        
+        const statusColors = {
+            'ok': this.colors.success,
+            'load-management': this.colors.warning,
+            'upgrade': this.colors.danger
+        };
+        
+        const panelData = [
+            [`Load (${panel.method})`, 'Nameplate VA'],
+            ...panel.general.map(line => [line.label, line.va.toLocaleString()]),
+            ['Other loads after demand factor (8 kVA at 100%, rest at 40%)', panel.generalDemandVA.toLocaleString()],
+            ...panel.hvac.map(line => [line.label, line.va.toLocaleString()]),
+            [`Calculated load at ${panel.voltage} V`, `${panel.totalVA.toLocaleString()} (${panel.calculatedAmps} A)`]
+        ];
+        this.addTable(panelData, [125, 35]);
+        
+        const statusLabels = {
+            'ok': 'Existing service is adequate',
+            'load-management': 'Load management needed',
+            'upgrade': 'Service upgrade needed'
+        };
+        this.addInfoBox(statusLabels[panel.status], [
+            `${panel.calculatedAmps} A calculated on a ${panel.panelAmps} A service (${panel.utilization}% of rating)`,
+            `New 240 V breaker spaces needed: ${panel.spacesNeeded}${panel.openSpaces !== null ? ` (${panel.openSpaces} open)` : ''}`
+        ], statusColors[panel.status]);
+        
+        [panel.recommendation, ...panel.options].forEach(item => this.addBulletPoint(item));
+        this.currentY += 3;
+    }
+    
+    addBillComparison(bills) {
+        this.checkPageBreak(60);
+        this.doc.setFontSize(12);
+        this.doc.setFont('helvetica', 'bold');
+        this.doc.setTextColor(...this.colors.text);
+        this.doc.text('Annual Utility Costs (PG&E)', this.margin, this.currentY);
+        this.currentY += 7;
+        
+        const money = value => `$${Math.round(value).toLocaleString()}`;
+        const billData = [
+            ['Scenario', 'Electric', 'Gas', 'Total'],
+            [`Today (${bills.before.tariff})`, money(bills.before.electric), money(bills.before.gas), money(bills.before.total)],
+            [`Heat Pump (${bills.after.tariff})`, money(bills.after.electric), money(bills.after.gas), money(bills.after.total)],
+            ['Annual Savings', '', '', money(bills.annualSavings)]
+        ];
         
-        // Generate recommendations using the calculator
-        const recommendations = window.calculator ? 
-            window.calculator.generateRecommendations(results, building) : 
-            this.getDefaultRecommendations(results);
+        this.addTable(billData, [60, 35, 35, 35]);
+        
+        this.addBulletPoint(`Baseline territory ${bills.territory}; rate table ${bills.rateVersion}. ` +
+            `Rate options with heat pump: ${bills.tariffOptions.map(option => `${option.tariff} ${money(option.annual)}`).join(', ')}`);
+        this.currentY += 3;
+    }
+    
+    // Calculator passed to the constructor, or the assessment page's calculator
+    getCalculator() {
+        if (this.calculator) {
+            return this.calculator;
+        }
+        return typeof calculator !== 'undefined' && calculator ? calculator : null;
+    }
+    
+    // Recommendations from the assessment page's calculator, or a generic placeholder
+    getRecommendations(results, building) {
+        const model = this.getCalculator();
+        const recommendations = model ? model.generateRecommendations(results, building) : [];
+        return recommendations.length > 0 ? recommendations : this.getDefaultRecommendations(results);
+    }
+    
+    addEquipmentRecommendations(results, recommendations) {
+        this.checkPageBreak(80);
+        this.addSectionHeader('Equipment Recommendations');
         
         recommendations.forEach((rec, index) => {
             this.checkPageBreak(60);
             
             // Recommendation header
-            this.doc.setFillColor(rec.recommended ? ...this.colors.success : ...this.colors.light);
+            this.doc.setFillColor(...(rec.recommended ? this.colors.success : this.colors.light));
             this.doc.rect(this.margin, this.currentY, this.pageWidth - 2 * this.margin, 8, 'F');
             
             this.doc.setTextColor(255, 255, 255);
@@ -296,9 +579,11 @@ class PDFReportGenerator {
             this.doc.setFont('helvetica', 'normal');
             
             const details = [
-                `Recommended Size: ${(rec.sizingCapacity / 1000).toFixed(1)} tons (${rec.sizingCapacity.toLocaleString()} Btu/h)`,
-                `Heating Efficiency: ${rec.heatingEfficiency.hspf} HSPF`,
-                `Cooling Efficiency: ${rec.coolingEfficiency.seer} SEER`,
+                `Model: ${rec.manufacturer} ${rec.model}`,
+                `Recommended Size: ${(rec.sizingCapacity / 12000).toFixed(1)} tons (${rec.sizingCapacity.toLocaleString()} Btu/h)`,
+                `Heating Capacity at ${results.climate.winterDesignTemp}°F: ${rec.selection.heatingCapacity.toLocaleString()} Btu/h`,
+                `Heating Efficiency: ${rec.heatingEfficiency.hspf2} HSPF2`,
+                `Cooling Efficiency: ${rec.coolingEfficiency.seer2} SEER2`,
                 `Estimated Annual Savings: $${rec.annualSavings.toLocaleString()}`,
                 `Available Rebates: $${rec.rebatesAvailable.total.toLocaleString()}`,
                 `Estimated Cost Range: $${rec.costRange.low.toLocaleString()} - $${rec.costRange.high.toLocaleString()}`
@@ -309,25 +594,221 @@ class PDFReportGenerator {
                 this.currentY += 5;
             });
             
+            (rec.selection.warnings || []).forEach(warning => this.addBulletPoint(`Warning: ${warning}`));
+            
+            if (rec.verification) {
+                this.addBulletPoint(`${rec.verification.method} verification: ${rec.verification.passes ? 'PASS' : 'FAIL'}`);
+                rec.verification.checks.forEach(check => this.addBulletPoint(
+                    `${check.pass ? 'Pass' : 'Fail'} - ${check.label}: ${check.capacity.toLocaleString()} of ${check.load.toLocaleString()} Btu/h ` +
+                    `(${Math.round(check.ratio * 100)}%; requires ${check.requirement.replace('–', '-')})`
+                ));
+            }
+            
+            if (rec.zoneDesign) {
+                this.addZoneLayout(rec.zoneDesign);
+            }
+            
             this.currentY += 5;
         });
     }
     
-    addRebatesAndIncentives(results, building) {
+    addZoneLayout(zoneDesign) {
+        this.checkPageBreak(zoneDesign.zones.length * 7 + 30);
+        this.currentY += 3;
+        this.doc.setTextColor(...this.colors.text);
+        this.doc.setFontSize(11);
+        this.doc.setFont('helvetica', 'bold');
+        this.doc.text('Zone Layout:', this.margin, this.currentY);
+        this.currentY += 6;
+        
+        const describeUnit = unit => `${unit.count > 1 ? `${unit.count} x ` : ''}${(unit.size / 1000).toLocaleString()}k ${unit.label}`;
+        const zoneData = [
+            ['Zone', 'Indoor Unit', 'Heating (Btu/h)', 'Cooling (Btu/h)'],
+            ...zoneDesign.zones.map(zone => [
+                zone.name,
+                describeUnit(zone.unit),
+                zone.heating.toLocaleString(),
+                zone.cooling.toLocaleString()
+            ])
+        ];
+        this.addTable(zoneData, [40, 60, 35, 35]);
+        
+        zoneDesign.zones
+            .filter(zone => zone.rooms.length > 1)
+            .forEach(zone => this.addBulletPoint(`${zone.name}: ${zone.rooms.join(', ')}`));
+        zoneDesign.zones
+            .filter(zone => zone.heatingShort || zone.coolingShort)
+            .forEach(zone => this.addBulletPoint(`${zone.name} receives ${zone.heatingDelivered.toLocaleString()} Btu/h heating and ` +
+                `${zone.coolingDelivered.toLocaleString()} Btu/h cooling at design when the outdoor unit output is shared`));
+        
+        this.addBulletPoint(`Outdoor unit ${zoneDesign.outdoorUnit.model}: ${zoneDesign.indoorUnitCount} of ${zoneDesign.maxIndoorUnits} indoor unit connections, ` +
+            `${zoneDesign.connectedCapacity.toLocaleString()} Btu/h connected (${Math.round(zoneDesign.connectedRatio * 100)}%, ` +
+            `allowed ${Math.round(zoneDesign.connectedLimits.min * 100)}-${Math.round(zoneDesign.connectedLimits.max * 100)}%)`);
+        zoneDesign.issues.forEach(issue => this.addBulletPoint(`Warning: ${issue}`));
+        
+        if (zoneDesign.zones.some(zone => zone.rooms.length === 0)) {
+            this.addBulletPoint('Zones are estimated from floor area; confirm the layout room by room during the site visit');
+        }
+    }
+    
+    // Weatherization measures ranked by payback, to do before the heat pump is sized
+    addLoadingOrder(results, building) {
+        const model = this.getCalculator();
+        let plan = results.loadingOrder;
+        if (!plan && model && model.calculateLoadingOrder && building) {
+            plan = model.calculateLoadingOrder(building, results);
+        }
+        if (!plan || !plan.measures.length) return;
+        
+        this.checkPageBreak(plan.measures.length * 7 + 60);
+        this.addSectionHeader('Loading Order: Weatherize First');
+        
+        const money = value => `$${Math.round(value).toLocaleString()}`;
+        const orderData = [['#', 'Measure', 'Cost', 'Heating', 'Cooling', 'Savings/yr', 'Payback']];
+        plan.measures.forEach(measure => {
+            orderData.push([
+                String(measure.rank),
+                measure.label,
+                money(measure.cost),
+                `-${measure.heatingPercent}%`,
+                `-${measure.coolingPercent}%`,
+                money(measure.annualSavings),
+                measure.paybackYears === null ? '-' : measure.paybackYears === 0 ? 'Immediate' : `${measure.paybackYears} yrs`
+            ]);
+        });
+        orderData.push(['', 'All measures', money(plan.totals.cost), '', '', money(plan.totals.annualSavings), '']);
+        this.addTable(orderData, [8, 62, 20, 18, 18, 22, 22]);
+        
+        const downsized = plan.measures.filter(measure => measure.capacityReduction > 0);
+        this.addInfoBox('Sequencing', [
+            ...plan.notes,
+            ...(downsized.length ? [`Smaller heat pump after: ${downsized.map(measure =>
+                `${measure.label.toLowerCase()} (-${Math.round(measure.capacityReduction / 1200) / 10} tons)`).join(', ')}`] : []),
+            `${plan.basis}; savings from separate measures overlap`
+        ]);
+    }
+    
+    // What-if upgrade scenarios on their own page: comparison table and load bars
+    addScenarioComparison(results, building) {
+        const model = this.getCalculator();
+        let comparison = results.scenarios;
+        if (!comparison && model && model.compareScenarios && building) {
+            comparison = model.compareScenarios(building);
+        }
+        if (!comparison || comparison.scenarios.length < 2) return;
+        
+        this.doc.addPage();
+        this.currentY = this.margin;
+        this.addSectionHeader('What-If Upgrade Scenarios');
+        
+        const money = value => `$${Math.round(value).toLocaleString()}`;
+        const signed = (value, format) => value === null || value === 0 ? '-' :
+            `${value > 0 ? '+' : '-'}${format(Math.abs(value))}`;
+        const thousands = value => `${(value / 1000).toFixed(1)}k`;
+        
+        const rows = comparison.scenarios;
+        const scenarioData = [['Scenario', 'Heating', 'Cooling', 'Heat Pump', 'Net Cost', 'Annual Bill', 'Payback']];
+        rows.forEach((row, index) => {
+            scenarioData.push([
+                row.label,
+                index === 0 ? thousands(row.heatingLoad) : signed(row.deltas.heatingLoad, thousands),
+                index === 0 ? thousands(row.coolingLoad) : signed(row.deltas.coolingLoad, thousands),
+                index === 0 ? `${row.tons} tons` : signed(Math.round(row.deltas.capacity / 1200) / 10, value => `${value} t`),
+                index === 0 ? '-' : signed(row.deltas.netCost, money),
+                row.annualBill === null ? 'N/A' : index === 0 ? money(row.annualBill) :
+                    signed(row.annualSavings === null ? null : -row.annualSavings, money),
+                row.paybackYears !== null ? `${row.paybackYears} yrs` : '-'
+            ]);
+        });
+        this.addTable(scenarioData, [50, 20, 20, 20, 22, 22, 16]);
+        
+        this.doc.setFontSize(8);
+        this.doc.setFont('helvetica', 'normal');
+        this.doc.setTextColor(...this.colors.text);
+        this.doc.text('Loads in Btu/h; scenario rows show the change from the existing home. Bills are with the heat pump installed.',
+            this.margin, this.currentY, { maxWidth: this.pageWidth - 2 * this.margin });
+        this.currentY += 10;
+        
+        // Heating and cooling bars per scenario, scaled to the largest load
+        this.checkPageBreak(rows.length * 14 + 20);
+        this.doc.setFontSize(12);
+        this.doc.setFont('helvetica', 'bold');
+        this.doc.text('Design Loads by Scenario', this.margin, this.currentY);
+        this.currentY += 7;
+        
+        const labelWidth = 50;
+        const barWidth = this.pageWidth - 2 * this.margin - labelWidth - 20;
+        const largest = Math.max(...rows.map(row => Math.max(row.heatingLoad, row.coolingLoad)), 1);
+        this.doc.setFontSize(8);
+        rows.forEach(row => {
+            this.doc.setFont('helvetica', 'normal');
+            this.doc.setTextColor(...this.colors.text);
+            this.doc.text(row.label, this.margin, this.currentY + 4, { maxWidth: labelWidth - 4 });
+            
+            [[row.heatingLoad, this.colors.danger], [row.coolingLoad, this.colors.primary]].forEach(([load, color], index) => {
+                const y = this.currentY + index * 5;
+                this.doc.setFillColor(...color);
+                this.doc.rect(this.margin + labelWidth, y, barWidth * load / largest, 4, 'F');
+                this.doc.text(thousands(load), this.margin + labelWidth + barWidth * load / largest + 2, y + 3);
+            });
+            this.currentY += 13;
+        });
+        this.doc.setTextColor(...this.colors.light);
+        this.doc.text('Red: heating load. Blue: cooling load (Btu/h).', this.margin + labelWidth, this.currentY);
+        this.currentY += 8;
+        
+        const changes = rows.slice(1).map(row => `${row.label}: ${row.costItems.length ?
+            row.costItems.map(item => `${item.label} ${money(item.cost)}`).join(', ') : 'no priced work'}`);
+        this.addInfoBox('Upgrade Costs', [...changes, comparison.costBasis]);
+    }
+    
+    addRebatesAndIncentives(recommendations) {
         this.checkPageBreak(60);
         this.addSectionHeader('Available Rebates & Incentives');
         
-        // Create a comprehensive rebate table
-        const rebateData = [
-            ['Program', 'Eligibility', 'Amount', 'Notes'],
-            ['PG&E Heat Pump Rebate', 'HSPF ≥ 8.5', 'Up to $3,000', 'Ducted systems'],
-            ['TECH Clean California', 'HSPF ≥ 9.0', 'Up to $3,000', 'Income qualified'],
-            ['Federal Tax Credit', 'All heat pumps', '30% of cost', 'Max varies by system'],
-            ['BAAQMD Incentive', 'Bay Area residents', 'Up to $1,500', 'Air quality program'],
-            ['Local Utility Programs', 'Varies by utility', '$500 - $2,000', 'Check with provider']
-        ];
+        const recommended = recommendations.find(rec => rec.recommended) || recommendations[0];
+        const rebates = recommended.rebatesAvailable;
+        const money = value => `$${Math.round(value).toLocaleString()}`;
         
-        this.addTable(rebateData, [45, 35, 25, 55]);
+        if (!rebates.eligible) {
+            this.addBulletPoint('Program eligibility will be confirmed once equipment is selected.');
+        } else {
+            this.addBulletPoint(`Evaluated for ${recommended.manufacturer} ${recommended.model} ` +
+                `(${rebates.utility} service area, program data ${rebates.version})`);
+            this.currentY += 2;
+            
+            if (rebates.eligible.length > 0) {
+                const rebateData = [
+                    ['Eligible Program', 'Type', 'Amount'],
+                    ...rebates.eligible.map(program => [
+                        program.name,
+                        program.type === 'rebate' ? 'Rebate' : 'Tax credit',
+                        money(program.amount)
+                    ]),
+                    ['Total', '', money(rebates.total)]
+                ];
+                this.addTable(rebateData, [100, 35, 25]);
+                
+                rebates.eligible.forEach(program => {
+                    const notes = program.notes.length > 0 ? ` (${program.notes.join('; ')})` : '';
+                    this.addBulletPoint(`${program.name} (${program.administrator}): ${program.reason}${notes}`);
+                });
+                this.currentY += 3;
+            }
+            
+            if (rebates.ineligible.length > 0) {
+                this.checkPageBreak(20);
+                this.doc.setFontSize(12);
+                this.doc.setFont('helvetica', 'bold');
+                this.doc.setTextColor(...this.colors.text);
+                this.doc.text('Programs Not Available', this.margin, this.currentY);
+                this.currentY += 7;
+                
+                rebates.ineligible.forEach(program => {
+                    this.addBulletPoint(`${program.name}: ${program.reason}`);
+                });
+            }
+        }
         
         this.currentY += 10;
         
@@ -353,13 +834,26 @@ class PDFReportGenerator {
         
         const methodology = [
             'This load calculation follows ACCA Manual J 8th Edition procedures for residential applications.',
-            'Design conditions based on ASHRAE climatic data for the Bay Area (Climate Zone 3C).',
+            'Design conditions use ASHRAE 99% heating and 1% cooling values from the weather station assigned to the property ZIP code or city, or the nearest station.',
             'Building envelope heat transfer calculated using thermal resistance (R-value) and conductance (U-value) methods.',
-            'Solar heat gains calculated based on window orientation, glazing properties, and shading conditions.',
-            'Air infiltration estimated based on building age, construction type, and envelope tightness.',
+            'Solar heat gains use the direction each wall faces given the house orientation, glazing and frame properties, and shading conditions.',
+            'Wall and roof gains use sol-air temperatures adjusted for finish color, cladding mass and roof material.',
+            'Air infiltration uses blower door results when available, otherwise an ACH50 estimated from building age, converted to natural air changes with LBL N-factors for climate, height and wind shielding.',
+            'Latent loads use 0.68 × CFM × grains difference between design outdoor air (dry bulb and coincident wet bulb) and indoor air at 50% RH.',
+            'Mechanical ventilation follows the ASHRAE 62.2 whole-house rate; unbalanced fans combine with infiltration in quadrature and HRV/ERV recovery reduces the load.',
+            'Duct conduction and leakage losses included for ducts outside conditioned space, based on location, insulation and condition.',
             'Internal heat gains include occupants, lighting, and equipment based on standard assumptions.',
+            'Utility costs apply PG&E E-1, E-TOU-C, E-ELEC and G-1 rates with baseline allowances, calibrated to the customer bills when provided.',
+            'The balance point is where heat pump capacity meets the heat loss line drawn from zero at the indoor setpoint to the design load.',
+            'Duct sizes follow a simplified Manual D: the friction rate is the blower static pressure left after filter, grille and damper losses per 100 ft of total effective length, with velocity limits for trunks and branches.',
+            'Annual energy use is a bin-hour simulation of heat pump capacity and efficiency against typical-year temperature bins for the design weather station.',
+            'Water heater sizing compares peak-hour hot water demand to first-hour ratings; energy uses uniform energy factors and station mains temperature.',
+            'The weatherization loading order ranks envelope and duct measures by payback, pricing each measure\'s energy savings on the existing system and crediting any smaller heat pump it allows.',
+            'Upgrade scenarios rerun the load calculation on a copy of the home with the listed changes, size a heat pump for each result and compare annual bills with that heat pump installed.',
+            'Electrical service capacity uses the NEC 220.83(B) optional calculation for existing dwellings with typical appliance nameplate ratings.',
             'Safety factors applied per ACCA guidelines: 15% for heating loads, 10% for cooling loads.',
-            'Equipment recommendations based on calculated loads with consideration for local climate conditions.'
+            'Equipment recommendations based on calculated loads with consideration for local climate conditions.',
+            'Selected equipment is verified per ACCA Manual S at the local design temperatures: cooling capacity at 90-115% of the total load with full sensible capacity, and heating capacity at the winter design temperature.'
         ];
         
         methodology.forEach((note, index) => {
@@ -442,12 +936,15 @@ class PDFReportGenerator {
     }
     
     addBulletPoint(text) {
-        this.checkPageBreak(8);
         this.doc.setFontSize(10);
         this.doc.setFont('helvetica', 'normal');
         this.doc.setTextColor(...this.colors.text);
-        this.doc.text('• ' + text, this.margin + 5, this.currentY, { maxWidth: this.pageWidth - 2 * this.margin - 10 });
-        this.currentY += 6;
+        
+        // Advance past every wrapped line so long bullets don't overlap the next one
+        const lines = this.doc.splitTextToSize('• ' + text, this.pageWidth - 2 * this.margin - 10);
+        this.checkPageBreak(lines.length * 5 + 3);
+        this.doc.text(lines, this.margin + 5, this.currentY);
+        this.currentY += lines.length * 5 + 1;
     }
     
     addTable(data, columnWidths) {
@@ -522,22 +1019,31 @@ class PDFReportGenerator {
     getDefaultRecommendations(results) {
         const maxLoad = Math.max(results.heating.total, results.cooling.total);
         
+        const sizingCapacity = Math.ceil(maxLoad / 6000) * 6000;
+        
         return [{
             type: 'Heat Pump System',
+            manufacturer: 'To be selected',
+            model: 'on-site',
             recommended: true,
-            sizingCapacity: Math.ceil(maxLoad / 6000) * 6000,
-            heatingEfficiency: { hspf: 9.0 },
-            coolingEfficiency: { seer: 16 },
+            sizingCapacity: sizingCapacity,
+            selection: { heatingCapacity: sizingCapacity },
+            heatingEfficiency: { hspf: 9.0, hspf2: 7.7 },
+            coolingEfficiency: { seer: 16, seer2: 15.2 },
             annualSavings: 1500,
-            rebatesAvailable: { total: 8000 },
+            rebatesAvailable: { total: 0 },
             costRange: { low: 12000, high: 18000 }
         }];
     }
 }
 
 // Enhanced PDF generation function for the interface
-async function generatePDFReport() {
-    if (!window.calculationResults || !window.buildingData) {
+// (named separately so manual-j-interface.js's generatePDFReport declaration doesn't shadow it)
+async function generateDetailedPDFReport() {
+    // Assessment state lives in top-level variables of manual-j-interface.js
+    const results = typeof calculationResults !== 'undefined' ? calculationResults : null;
+    const building = typeof buildingData !== 'undefined' ? buildingData : null;
+    if (!results?.heating || !building) {
         alert('Please complete the assessment before generating a report.');
         return;
     }
@@ -554,11 +1060,11 @@ async function generatePDFReport() {
         }
         
         // Generate the PDF
-        const doc = await generator.generateReport(window.calculationResults, window.buildingData);
+        const doc = await generator.generateReport(results, building);
         
         // Create filename with timestamp
         const timestamp = new Date().toISOString().slice(0, 10);
-        const address = window.buildingData['property-address'] || 'Property';
+        const address = building.address || 'Property';
         const cleanAddress = address.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30);
         const filename = `Manual_J_Report_${cleanAddress}_${timestamp}.pdf`;
         
@@ -588,24 +1094,28 @@ async function generatePDFReport() {
     }
 }
 
-// Override the existing PDF generation function
-document.addEventListener('DOMContentLoaded', function() {
-    // Replace the existing generatePDFReport function
-    if (typeof window.generatePDFReport !== 'undefined') {
-        window.originalGeneratePDFReport = window.generatePDFReport;
-    }
-    window.generatePDFReport = generatePDFReport;
-    
-    // Also replace the function in manual-j-interface.js if it exists
-    setTimeout(() => {
-        if (typeof window.generateSummaryReport !== 'undefined') {
-            window.originalGenerateSummaryReport = window.generateSummaryReport;
-            window.generateSummaryReport = generatePDFReport;
+// Override the existing PDF generation function (browser only; Node callers use the class directly)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        // Replace the existing generatePDFReport function
+        if (typeof window.generatePDFReport !== 'undefined') {
+            window.originalGeneratePDFReport = window.generatePDFReport;
         }
-    }, 1000);
-});
+        window.generatePDFReport = generateDetailedPDFReport;
+    
+        // Also replace the function in manual-j-interface.js if it exists
+        setTimeout(() => {
+            if (typeof window.generateSummaryReport !== 'undefined') {
+                window.originalGenerateSummaryReport = window.generateSummaryReport;
+                window.generateSummaryReport = generateDetailedPDFReport;
+            }
+        }, 1000);
+    });
+}
 
 // Export for external use
-if (typeof window !== 'undefined') {
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFReportGenerator;
+} else {
     window.PDFReportGenerator = PDFReportGenerator;
 }
\ No newline at end of file
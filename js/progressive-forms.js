@@ -96,6 +96,15 @@ class ProgressiveForms {
             }
         });
         
+        this.conditionalFields.set('duct-insulation', {
+            dependsOn: 'ductwork',
+            conditions: {
+                'none': { show: false, reason: 'No ductwork present' },
+                '': { show: false }
+            },
+            defaultShow: true
+        });
+        
         // Water heater age conditional on type
         this.conditionalFields.set('wh-age', {
             dependsOn: 'water-heater',
@@ -305,7 +314,7 @@ class ProgressiveForms {
         ], 'Basic Building Information');
         
         this.createSection('occupancy-preferences', [
-            'occupants', 'usage-type', 'heating-temp', 'cooling-temp'
+            'occupants', 'bedrooms', 'usage-type', 'heating-temp', 'cooling-temp'
         ], 'Occupancy & Comfort Preferences');
         
         this.createSection('envelope-construction', [
@@ -320,6 +329,10 @@ class ProgressiveForms {
             'foundation-type', 'foundation-insulation', 'basement-depth'
         ], 'Foundation Details');
         
+        this.createSection('air-leakage', [
+            'blower-door-cfm50', 'blower-door-ach50', 'site-shielding'
+        ], 'Air Leakage');
+        
         this.createSection('window-details', [
             'window-type', 'window-frame', 'window-area-north', 'window-area-east', 
             'window-area-south', 'window-area-west', 'shading'
@@ -327,11 +340,12 @@ class ProgressiveForms {
         
         this.createSection('hvac-systems', [
             'heating-system', 'heating-age', 'cooling-system', 'cooling-age', 
-            'ductwork', 'duct-location'
+            'ductwork', 'duct-location', 'duct-static-pressure', 'duct-supply-length', 'duct-return-length',
+            'ventilation-system', 'ventilation-cfm'
         ], 'Existing HVAC Systems');
         
         this.createSection('other-systems', [
-            'water-heater', 'wh-age', 'pool-pump', 'electric-vehicle', 
+            'water-heater', 'wh-age', 'wh-location', 'bathrooms', 'pool-pump', 'electric-vehicle', 
             'hot-tub', 'electric-range', 'electric-dryer'
         ], 'Water Heating & Other Systems');
     }
@@ -0,0 +1,132 @@
+/**
+ * Assessment Project Library
+ * Keeps every assessment in IndexedDB with its form inputs, building data, calculation results,
+ * wizard step, status and timestamps, so several houses can be worked on and reopened
+ */
+
+class ProjectStore {
+    // options.indexedDB lets callers supply the IndexedDB factory (defaults to the browser's)
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbName = options.dbName || 'precision-hvac';
+        this.storeName = 'assessments';
+        this.version = 1;
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return Boolean(this.indexedDB);
+    }
+
+    // Open the database once, creating the assessments store and its indexes on first use
+    open() {
+        if (!this.isAvailable()) {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.dbName, this.version);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                        store.createIndex('updatedAt', 'updatedAt');
+                        store.createIndex('status', 'status');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call retry after a failed open
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run one request against the assessments store and resolve with its result
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Saved assessments, most recently updated first.
+     * query matches the name, address or status label; status limits the list to one status
+     */
+    async list({ query = '', status = '' } = {}) {
+        const projects = await this.run('readonly', store => store.getAll());
+        return projects
+            .filter(project => (!status || project.status === status) && ProjectStore.matches(project, query))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    async get(id) {
+        return (await this.run('readonly', store => store.get(id))) || null;
+    }
+
+    // Insert or update an assessment, stamping its timestamps
+    async save(project) {
+        const now = new Date().toISOString();
+        const record = {
+            ...project,
+            id: project.id || ProjectStore.createId(),
+            status: project.status || 'draft',
+            createdAt: project.createdAt || now,
+            updatedAt: now
+        };
+        await this.run('readwrite', store => store.put(record));
+        return record;
+    }
+
+    // Copy an assessment under a new id, e.g. for a neighbouring house with the same floor plan
+    async duplicate(id) {
+        const project = await this.get(id);
+        if (!project) {
+            throw new Error(`No saved assessment with id ${id}`);
+        }
+        return this.save({
+            ...project,
+            id: null,
+            name: `${project.name} (copy)`,
+            createdAt: null
+        });
+    }
+
+    async delete(id) {
+        await this.run('readwrite', store => store.delete(id));
+    }
+}
+
+// Assessment statuses in workflow order
+ProjectStore.statuses = {
+    draft: 'In progress',
+    calculated: 'Calculated'
+};
+
+ProjectStore.createId = function() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+// Case-insensitive match of every search word against the name, address and status label
+ProjectStore.matches = function(project, query) {
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const text = [project.name, project.address, ProjectStore.statuses[project.status]]
+        .filter(Boolean).join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectStore;
+} else {
+    window.ProjectStore = ProjectStore;
+}
@@ -0,0 +1,287 @@
+/**
+ * Rebate Eligibility Rules Engine
+ * Evaluates incentive programs from the versioned program data file against a project:
+ * location, income tier, fuel being replaced, equipment efficiency and panel work
+ */
+
+class RebateEngine {
+    constructor(programData) {
+        this.data = programData;
+        this.fuelLabels = {
+            'gas': 'gas',
+            'propane': 'propane',
+            'resistance': 'electric resistance',
+            'heat-pump': 'heat pump',
+            'solar': 'solar',
+            'none': 'no existing'
+        };
+    }
+
+    // Electric utility serving a county
+    getUtility(county) {
+        const utilities = this.data.utilities;
+        return utilities.counties[county] || utilities.default;
+    }
+
+    getDistribution(equipment) {
+        return equipment.type === 'Ducted Heat Pump' ? 'ducted' : 'ductless';
+    }
+
+    // Equipment whose ratings a program's minimums apply to, and the minimums key
+    getRatedEquipment(program, context) {
+        if (program.measure === 'hpwh') {
+            return { key: 'hpwh', label: 'HPWH', ratings: context.hpwh };
+        }
+        const distribution = this.getDistribution(context.equipment);
+        return { key: distribution, label: distribution, ratings: context.equipment };
+    }
+
+    formatMoney(value) {
+        return `$${Math.round(value).toLocaleString()}`;
+    }
+
+    // Human-readable maximum for a program's amount rule
+    describeMaximum(program) {
+        const amount = program.amount;
+        if (amount.type === 'flat') {
+            return `Up to ${this.formatMoney(amount.value)}`;
+        }
+        if (amount.type === 'percent') {
+            return `${Math.round(amount.rate * 100)}% up to ${this.formatMoney(amount.cap)}`;
+        }
+        const cap = Math.max(...Object.values(amount.tiers).map(tier => tier.cap));
+        return `Up to ${this.formatMoney(cap)} (income-qualified)`;
+    }
+
+    // Location rules only: ZIP, county and electric utility
+    checkLocation(program, location) {
+        const rules = program.eligibility;
+        const utility = this.getUtility(location.county);
+
+        if (rules.zips && !rules.zips.includes(location.zip)) {
+            return { eligible: false, reason: location.zip ? `Not offered in ZIP ${location.zip}` : 'ZIP code needed to confirm the program area' };
+        }
+        if (rules.counties && !rules.counties.includes(location.county)) {
+            return { eligible: false, reason: location.county ? `Not offered in ${location.county} County` : 'Address needed to confirm the program area' };
+        }
+        if (rules.utilities && !rules.utilities.includes(utility)) {
+            return { eligible: false, reason: `Requires ${rules.utilities.join(' or ')} electric service; this address is served by ${utility}` };
+        }
+
+        const reasons = [];
+        if (rules.counties || rules.zips) reasons.push(`available in ${location.county} County`);
+        if (rules.utilities) reasons.push(`${utility} customer`);
+        return { eligible: true, reasons };
+    }
+
+    // Full program rules for a project; returns the first failing reason or the rules that were met
+    checkEligibility(program, context, qualifiedIds) {
+        const rules = program.eligibility;
+        const location = this.checkLocation(program, context.location);
+        if (!location.eligible) return location;
+
+        const reasons = location.reasons;
+
+        if (program.measure === 'hpwh' && !context.hpwh) {
+            return { eligible: false, reason: 'No heat pump water heater in this project' };
+        }
+
+        if (rules.incomeTiers) {
+            if (!context.incomeTier || context.incomeTier === 'unknown') {
+                return { eligible: false, reason: 'Household income range needed to confirm eligibility' };
+            }
+            if (!rules.incomeTiers.includes(context.incomeTier)) {
+                return { eligible: false, reason: `Income limit: household is ${this.data.incomeTiers[context.incomeTier].toLowerCase()}` };
+            }
+            reasons.push(`income ${this.data.incomeTiers[context.incomeTier].toLowerCase()}`);
+        }
+
+        if (rules.replacing) {
+            if (!rules.replacing.includes(context.replacing)) {
+                const allowed = rules.replacing.map(fuel => this.fuelLabels[fuel]).join(' or ');
+                return { eligible: false, reason: `Requires replacing ${allowed} heating; existing system is ${this.fuelLabels[context.replacing]} heat` };
+            }
+            reasons.push(`replaces ${this.fuelLabels[context.replacing]} heating`);
+        }
+
+        if (rules.replacingWaterHeater) {
+            if (!rules.replacingWaterHeater.includes(context.replacingWaterHeater)) {
+                const allowed = rules.replacingWaterHeater.map(fuel => this.fuelLabels[fuel]).join(' or ');
+                return { eligible: false, reason: `Requires replacing a ${allowed} water heater; existing unit is ${this.fuelLabels[context.replacingWaterHeater]}` };
+            }
+            reasons.push(`replaces a ${this.fuelLabels[context.replacingWaterHeater]} water heater`);
+        }
+
+        if (rules.panelUpgrade && !context.panelUpgrade) {
+            return { eligible: false, reason: 'No electrical panel upgrade in this project' };
+        }
+        if (rules.panelUpgrade) reasons.push('includes a panel upgrade');
+
+        if (rules.minimums) {
+            const rated = this.getRatedEquipment(program, context);
+            const minimums = rules.minimums[rated.key] || {};
+            for (const [rating, minimum] of Object.entries(minimums)) {
+                const value = rated.ratings[rating];
+                if (!(value >= minimum)) {
+                    return { eligible: false, reason: `${rating.toUpperCase()} ${value ?? 'unknown'} is below the ${minimum} ${rated.label} minimum` };
+                }
+            }
+            const met = Object.entries(minimums).map(([rating, minimum]) => `${rating.toUpperCase()} ${minimum}`);
+            if (met.length > 0) reasons.push(`meets minimum ${met.join(', ')}`);
+        }
+
+        for (const required of rules.requiresPrograms || []) {
+            if (!qualifiedIds.includes(required)) {
+                return { eligible: false, reason: `Requires eligibility for ${this.getProgramName(required)}` };
+            }
+            reasons.push(`qualifies for ${this.getProgramName(required)}`);
+        }
+
+        for (const excluded of program.stacking?.excludes || []) {
+            if (qualifiedIds.includes(excluded)) {
+                return { eligible: false, reason: `Cannot be combined with ${this.getProgramName(excluded)}` };
+            }
+        }
+
+        return { eligible: true, reasons };
+    }
+
+    getProgramName(id) {
+        return this.data.programs.find(program => program.id === id)?.name || id;
+    }
+
+    // Incentive amount before stacking caps
+    calculateAmount(program, context, cost, basis) {
+        const amount = program.amount;
+        if (amount.type === 'flat') {
+            return amount.value;
+        }
+        if (amount.type === 'percent') {
+            return Math.min(basis * amount.rate, amount.cap);
+        }
+        const tier = amount.tiers[context.incomeTier];
+        return Math.min(cost * tier.rate, tier.cap);
+    }
+
+    /**
+     * Evaluate every program for a project.
+     * context: { location: { zip, county }, equipment: { type, hspf2, seer2, eer2 }, projectCost,
+     *            hpwh: { uef, cost } | null, replacing, replacingWaterHeater, incomeTier,
+     *            panelUpgrade, panelUpgradeCost }
+     */
+    evaluate(context) {
+        const measureCosts = {
+            'heat-pump': context.projectCost,
+            'hpwh': context.hpwh ? context.hpwh.cost : 0,
+            'panel-upgrade': context.panelUpgrade ? (context.panelUpgradeCost || 3500) : 0
+        };
+        const rebatesByMeasure = { 'heat-pump': 0, 'hpwh': 0, 'panel-upgrade': 0 };
+        const groupTotals = {};
+        const eligible = [];
+        const ineligible = [];
+        // Programs whose rules are met, even when other incentives leave nothing to pay
+        const qualified = [];
+
+        // Rebates first so tax credits can be figured on the cost after rebates
+        const ordered = [
+            ...this.data.programs.filter(program => program.type === 'rebate'),
+            ...this.data.programs.filter(program => program.type !== 'rebate')
+        ];
+
+        ordered.forEach(program => {
+            const summary = {
+                id: program.id,
+                name: program.name,
+                administrator: program.administrator,
+                type: program.type
+            };
+            const result = this.checkEligibility(program, context, qualified);
+            if (!result.eligible) {
+                ineligible.push({ ...summary, reason: result.reason });
+                return;
+            }
+            qualified.push(program.id);
+
+            const cost = measureCosts[program.measure];
+            const rebated = rebatesByMeasure[program.measure];
+            const basis = program.stacking?.reducesBasis ? cost - rebated : cost;
+            const notes = [];
+
+            let amount = this.calculateAmount(program, context, cost, basis);
+            if (program.stacking?.reducesBasis && rebated > 0) {
+                notes.push(`figured on ${this.formatMoney(basis)} cost after rebates`);
+            }
+
+            // Rebates for a measure cannot exceed what the measure costs
+            if (program.type === 'rebate' && amount > cost - rebated) {
+                amount = cost - rebated;
+                notes.push('limited to the remaining project cost');
+            }
+
+            const groupCap = program.group ? this.data.groupCaps?.[program.group] : null;
+            const groupUsed = groupTotals[program.group] || 0;
+            if (groupCap && amount > groupCap - groupUsed) {
+                amount = groupCap - groupUsed;
+                notes.push(`limited by the ${this.formatMoney(groupCap)} combined cap`);
+            }
+
+            amount = Math.round(amount);
+            if (amount <= 0) {
+                const reason = groupCap && groupUsed >= groupCap ?
+                    `Eligible, but the ${this.formatMoney(groupCap)} combined cap is already used by other programs` :
+                    'Eligible, but no cost remains after other incentives';
+                ineligible.push({ ...summary, reason });
+                return;
+            }
+
+            if (program.type === 'rebate') {
+                rebatesByMeasure[program.measure] += amount;
+            }
+            if (program.group) {
+                groupTotals[program.group] = (groupTotals[program.group] || 0) + amount;
+            }
+
+            const reason = result.reasons.length > 0 ? result.reasons.join('; ') : 'open to all customers';
+            eligible.push({ ...summary, measure: program.measure, amount, reason, notes });
+        });
+
+        const sumByType = type => eligible
+            .filter(entry => (type === 'rebate') === (entry.type === 'rebate'))
+            .reduce((sum, entry) => sum + entry.amount, 0);
+
+        return {
+            version: this.data.version,
+            utility: this.getUtility(context.location.county),
+            eligible: eligible,
+            ineligible: ineligible,
+            rebateTotal: sumByType('rebate'),
+            taxCreditTotal: sumByType('tax-credit'),
+            total: eligible.reduce((sum, entry) => sum + entry.amount, 0),
+            breakdown: eligible.map(entry => ({ program: entry.name, amount: entry.amount }))
+        };
+    }
+
+    // Programs offered at a location before equipment and income are known
+    listPrograms(location) {
+        const available = [];
+        const unavailable = [];
+
+        this.data.programs.forEach(program => {
+            const result = this.checkLocation(program, location);
+            if (result.eligible) {
+                available.push({ id: program.id, name: program.name, maximum: this.describeMaximum(program) });
+            } else {
+                unavailable.push({ id: program.id, name: program.name, reason: result.reason });
+            }
+        });
+
+        return { version: this.data.version, utility: this.getUtility(location.county), available, unavailable };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RebateEngine;
+} else {
+    window.RebateEngine = RebateEngine;
+}
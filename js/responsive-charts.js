@@ -435,14 +435,14 @@ document.addEventListener('DOMContentLoaded', function() {
                 const data = {
                     labels: calculationResults.monthly.labels,
                     datasets: [{
-                        label: 'Heating Energy (MBtu)',
+                        label: 'Heating (kWh)',
                         data: calculationResults.monthly.heating,
                         borderColor: '#FF6384',
                         backgroundColor: 'rgba(255, 99, 132, 0.1)',
                         fill: true,
                         tension: 0.4
                     }, {
-                        label: 'Cooling Energy (MBtu)',
+                        label: 'Cooling (kWh)',
                         data: calculationResults.monthly.cooling,
                         borderColor: '#36A2EB',
                         backgroundColor: 'rgba(54, 162, 235, 0.1)',
@@ -457,7 +457,7 @@ document.addEventListener('DOMContentLoaded', function() {
                             beginAtZero: true,
                             title: {
                                 display: true,
-                                text: 'Energy (MBtu)'
+                                text: 'Electricity (kWh)'
                             }
                         }
                     },
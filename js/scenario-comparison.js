@@ -0,0 +1,208 @@
+/**
+ * Upgrade Scenario Comparison
+ * What-if packages for envelope and duct upgrades: applies each package to a copy of the
+ * building, prices the work and lines the results up against the existing home
+ */
+
+class ScenarioComparison {
+    constructor() {
+        // Representative Bay Area installed costs for retrofit work (2024 dollars)
+        this.costs = {
+            // Blown insulation, per R-value added per sq ft of attic floor
+            atticPerRPerSqFt: 0.07,
+            // Dense-pack cavity fill, per sq ft of net wall
+            wallPerSqFt: 2.75,
+            // Replacement windows, per sq ft of glass
+            windowPerSqFt: {
+                'double-pane': 55,
+                'double-pane-lowE': 65,
+                'triple-pane': 80,
+                'triple-pane-lowE': 90
+            },
+            // Mastic sealing with a leakage test, or aerosol sealing for the tightest result
+            ductSealing: { good: 1200, excellent: 2400 },
+            // Duct wrap or replacement insulation, per sq ft of conditioned floor
+            ductInsulationPerSqFt: 0.6,
+            // Blower-door-guided air sealing of the attic floor and rim, per sq ft of conditioned floor
+            airSealingPerSqFt: 0.9
+        };
+
+        // Fields a what-if scenario can change: [calculator field, form input id, label]
+        this.editableFields = [
+            ['atticInsulation', 'attic-insulation', 'Attic insulation'],
+            ['wallInsulation', 'wall-insulation', 'Wall insulation'],
+            ['windowType', 'window-type', 'Windows'],
+            ['ductwork', 'ductwork', 'Duct condition'],
+            ['ductInsulation', 'duct-insulation', 'Duct insulation']
+        ];
+
+        // Worst-to-best order for the fields that are not R-values
+        this.rankings = {
+            windowType: ['single-pane', 'double-pane', 'double-pane-lowE', 'triple-pane', 'triple-pane-lowE'],
+            ductwork: ['poor', 'fair', 'good', 'excellent']
+        };
+
+        this.packages = [
+            { id: 'attic-r60', label: 'Attic insulation to R-60', changes: { atticInsulation: '60' } },
+            { id: 'low-e-windows', label: 'Low-E windows', changes: { windowType: 'double-pane-lowE' } },
+            { id: 'duct-sealing', label: 'Duct sealing & R-8 insulation', changes: { ductwork: 'excellent', ductInsulation: '8' } }
+        ];
+    }
+
+    // Whether a new value for a field is better than the existing one
+    isImprovement(field, from, to) {
+        const ranking = this.rankings[field];
+        if (ranking) {
+            // Values outside the ranking, like "No Ductwork", have nothing to upgrade
+            return ranking.includes(from) && ranking.indexOf(to) > ranking.indexOf(from);
+        }
+        return (parseFloat(to) || 0) > (parseFloat(from) || 0);
+    }
+
+    /**
+     * The preset packages that would improve this house, keeping only the changes that are upgrades,
+     * plus an "all upgrades" package when more than one applies
+     */
+    getPackages(building) {
+        const applicable = this.packages
+            .map(pkg => ({
+                ...pkg,
+                changes: Object.fromEntries(Object.entries(pkg.changes)
+                    .filter(([field, value]) => this.isImprovement(field, building[field], value))
+                    // Houses without ducts have no duct insulation to replace
+                    .filter(([field]) => !field.startsWith('duct') || building.ductwork !== 'none'))
+            }))
+            .filter(pkg => Object.keys(pkg.changes).length > 0);
+
+        if (applicable.length > 1) {
+            applicable.push({
+                id: 'all-upgrades',
+                label: 'All upgrades',
+                changes: Object.assign({}, ...applicable.map(pkg => pkg.changes))
+            });
+        }
+        return applicable;
+    }
+
+    // A copy of the building with the scenario's changes; the original is left untouched
+    applyScenario(building, changes) {
+        return { ...JSON.parse(JSON.stringify(building)), ...changes };
+    }
+
+    getFieldLabel(field) {
+        return (this.editableFields.find(([name]) => name === field) || [])[2] || field;
+    }
+
+    /**
+     * Installed cost of a scenario's changes.
+     * quantities: { atticArea, wallArea, windowArea, floorArea } in sq ft; changes without a cost model are listed in uncosted
+     */
+    estimateCost(building, changes, quantities) {
+        const items = [];
+        const uncosted = [];
+        const add = (field, cost, label = this.getFieldLabel(field)) => items.push({ field, label, cost: Math.round(cost) });
+
+        Object.entries(changes).forEach(([field, value]) => {
+            if (String(building[field]) === String(value)) return;
+
+            if (field === 'atticInsulation') {
+                const added = Math.max((parseFloat(value) || 0) - (parseFloat(building.atticInsulation) || 0), 0);
+                add(field, quantities.atticArea * added * this.costs.atticPerRPerSqFt);
+            } else if (field === 'wallInsulation') {
+                add(field, this.isImprovement(field, building[field], value) ? quantities.wallArea * this.costs.wallPerSqFt : 0);
+            } else if (field === 'windowType' && this.costs.windowPerSqFt[value]) {
+                add(field, quantities.windowArea * this.costs.windowPerSqFt[value]);
+            } else if (field === 'ductwork' && this.costs.ductSealing[value] !== undefined) {
+                add(field, this.isImprovement(field, building[field], value) ? this.costs.ductSealing[value] : 0);
+            } else if (field === 'ductInsulation') {
+                add(field, this.isImprovement(field, building[field], value) ? quantities.floorArea * this.costs.ductInsulationPerSqFt : 0);
+            } else if (field === 'blowerDoorACH50' || field === 'blowerDoorCFM50') {
+                // A lower blower door target is air sealing work
+                add(field, quantities.floorArea * this.costs.airSealingPerSqFt, 'Air sealing');
+            } else {
+                uncosted.push(field);
+            }
+        });
+
+        return { total: items.reduce((sum, item) => sum + item.cost, 0), items, uncosted };
+    }
+
+    /**
+     * A scenario's uncalibrated bills carried onto the customer's calibration: the existing home's calibrated
+     * bills plus the scenario's change from the uncalibrated existing home, scaled by the calibration factors
+     */
+    calibrateBills(bills, uncalibrated, calibrated) {
+        const factors = calibrated.calibration;
+        const adjust = period => {
+            const gas = calibrated[period].gas + (bills[period].gas - uncalibrated[period].gas) * factors.gas;
+            const electric = calibrated[period].electric + (bills[period].electric - uncalibrated[period].electric) * factors.electric;
+            return { ...bills[period], gas, electric, total: gas + electric };
+        };
+        const before = adjust('before');
+        const after = adjust('after');
+        return { ...bills, calibration: factors, before, after, annualSavings: before.total - after.total };
+    }
+
+    // The values shown for one scenario: design loads, the heat pump they call for, its cost and the yearly bill
+    summarize(scenario, results, heatPump, cost) {
+        const equipment = heatPump.equipment;
+        return {
+            id: scenario.id,
+            label: scenario.label,
+            changes: scenario.changes,
+            heatingLoad: results.heating.total,
+            coolingLoad: results.cooling.total,
+            capacity: heatPump.coolingCapacity,
+            tons: Math.round(heatPump.coolingCapacity / 12000 * 10) / 10,
+            equipment: heatPump.label,
+            equipmentCost: equipment.costRange ? Math.round((equipment.costRange.low + equipment.costRange.high) / 2) : null,
+            upgradeCost: cost.total,
+            costItems: cost.items,
+            uncosted: cost.uncosted,
+            todayBill: results.bills ? results.bills.before.total : null,
+            annualBill: results.bills ? results.bills.after.total : null,
+            balancePoint: results.balancePoint ? results.balancePoint.balancePoint : null
+        };
+    }
+
+    /**
+     * Line the scenarios up against the existing home. Net cost is the upgrade cost plus the change in
+     * heat pump cost; savings compare heat pump bills, so they are what the upgrade adds on top of the heat pump
+     */
+    compare(baseline, scenarios) {
+        const difference = (value, reference) => value === null || reference === null ? null : value - reference;
+
+        const rows = [baseline, ...scenarios].map(scenario => {
+            const equipmentCost = difference(scenario.equipmentCost, baseline.equipmentCost);
+            const netCost = scenario.upgradeCost + (equipmentCost || 0);
+            const annualSavings = difference(baseline.annualBill, scenario.annualBill);
+
+            return {
+                ...scenario,
+                deltas: {
+                    heatingLoad: scenario.heatingLoad - baseline.heatingLoad,
+                    coolingLoad: scenario.coolingLoad - baseline.coolingLoad,
+                    capacity: scenario.capacity - baseline.capacity,
+                    equipmentCost,
+                    netCost
+                },
+                annualSavings,
+                savingsVsToday: difference(baseline.todayBill, scenario.annualBill),
+                paybackYears: annualSavings > 0 && netCost > 0 ? Math.round(netCost / annualSavings * 10) / 10 : null
+            };
+        });
+
+        return {
+            baseline: rows[0],
+            scenarios: rows,
+            costBasis: 'Representative Bay Area installed costs; confirm with contractor bids'
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioComparison;
+} else {
+    window.ScenarioComparison = ScenarioComparison;
+}
@@ -105,20 +105,62 @@ function checkAddressEligibility(address) {
     updateEligibilityResults(isEligible, address);
 }
 
-function updateEligibilityResults(isEligible, address) {
+// Shared calculator for the homepage tools
+let homeCalculator = null;
+let homeDataReady = null;
+
+// Share the assessment's climate, tariff and rebate engines so both pages agree
+function getHomeCalculator() {
+    if (!homeCalculator) {
+        homeCalculator = new ManualJCalculator();
+        homeDataReady = homeCalculator.loadReferenceData();
+        // Let a later call retry after the reference data fails to load
+        homeDataReady.catch(() => {
+            homeCalculator = null;
+            homeDataReady = null;
+        });
+    }
+    return homeDataReady.then(() => homeCalculator);
+}
+
+// Incentive programs offered at an address, from the rebate program rules
+async function getLocalPrograms(address) {
+    try {
+        const calculator = await getHomeCalculator();
+        const location = calculator.getClimateData(address).location;
+        return new RebateEngine(calculator.rebateData).listPrograms(location);
+    } catch (error) {
+        console.error('Rebate program lookup failed:', error);
+        return null;
+    }
+}
+
+async function updateEligibilityResults(isEligible, address) {
     const statusElement = document.getElementById('eligibility-status');
     const rebateInfo = document.getElementById('rebate-info');
 
     if (isEligible) {
         statusElement.innerHTML = `<span style="color: #28a745; font-weight: bold;">✓ ELIGIBLE</span> - We serve your area!`;
+        rebateInfo.innerHTML = `<p style="color: #666; font-size: 14px;">Checking local rebate programs...</p>`;
+
+        const programs = await getLocalPrograms(address);
+        const programList = programs ? programs.available.map(program =>
+            `<li>${program.name}: ${program.maximum}</li>`
+        ).join('') : '<li>Rebate programs could not be loaded. Ask us about current incentives.</li>';
+        const unavailableNote = programs && programs.unavailable.length > 0 ? `
+            <p style="color: #666; font-size: 12px; margin: 0;">
+                Not available here: ${programs.unavailable.map(program => `${program.name} (${program.reason})`).join('; ')}
+            </p>` : '';
+
         rebateInfo.innerHTML = `
-            <h5>Available Rebates & Incentives:</h5>
+            <h5>Available Rebates & Incentives${programs ? ` (${programs.utility} service area)` : ''}:</h5>
             <ul style="margin: 10px 0; padding-left: 20px; font-size: 14px;">
-                <li>PG&E Heat Pump Rebate: Up to $3,000</li>
-                <li>TECH Clean California: Up to $3,000</li>
-                <li>Federal Tax Credit: Up to 30%</li>
-                <li>BAAQMD Incentives: Up to $1,500</li>
+                ${programList}
             </ul>
+            ${unavailableNote}
+            <p style="color: #666; font-size: 12px; margin: 6px 0 0;">
+                Final amounts depend on equipment efficiency, the system being replaced and household income.
+            </p>
             <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-top: 12px;">
                 <button class="cta-button" style="font-size: 14px; padding: 8px 16px;" onclick="window.location.href='manual-j-assessment.html'">Get Full Assessment</button>
                 <button class="cta-button" style="font-size: 14px; padding: 8px 16px; background: #28a745;" onclick="document.getElementById('contact').scrollIntoView({behavior: 'smooth'})">Quick Quote</button>
@@ -128,7 +170,7 @@ function updateEligibilityResults(isEligible, address) {
             <div style="text-align: center;">
                 <strong>${address}</strong><br>
                 <span style="color: #28a745;">✓ Eligible for Service</span><br>
-                <small>Estimated rebates: $5,000+</small><br>
+                <small>${programs ? `${programs.available.length} incentive programs available` : 'Ask about local rebates'}</small><br>
                 <button onclick="window.location.href='manual-j-assessment.html'" style="margin-top: 8px; padding: 4px 8px; background: #2c5282; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">Full Manual J Assessment</button>
             </div>
         `).openPopup();
@@ -160,38 +202,42 @@ function initializeSavingsCalculator() {
         const homeSize = parseInt(document.getElementById('home-size').value) || 0;
         const gasBill = parseInt(document.getElementById('gas-bill').value) || 0;
         const electricBill = parseInt(document.getElementById('electric-bill').value) || 0;
+        const zip = document.getElementById('savings-zip').value.trim();
 
         if (homeSize > 0 && gasBill > 0) {
-            calculateSavings(homeSize, gasBill, electricBill);
+            calculateSavings(homeSize, gasBill, electricBill, zip);
         } else {
             alert('Please fill in all fields to calculate savings.');
         }
     });
 }
 
-function calculateSavings(homeSize, gasBill, electricBill) {
-    // Simplified savings calculation
-    // In reality, this would use more sophisticated algorithms
-    
-    // Estimate annual gas costs
-    const annualGasCost = gasBill * 12;
-    
-    // Estimate heat pump efficiency savings (30-50% typical)
-    const efficiencySavings = annualGasCost * 0.4; // 40% savings
+async function calculateSavings(homeSize, gasBill, electricBill, zip) {
+    const savingsDisplay = document.getElementById('annual-savings');
+    savingsDisplay.textContent = 'Calculating...';
     
-    // Estimate available rebates based on home size
-    let totalRebates = 3000; // Base PG&E rebate
-    if (homeSize > 1500) totalRebates += 2000; // Additional for larger homes
-    if (homeSize > 2500) totalRebates += 1500; // Even more for very large homes
-    
-    // Add federal tax credit (30% of system cost, estimated)
-    const estimatedSystemCost = homeSize * 8; // Rough estimate: $8/sq ft
-    const federalTaxCredit = Math.min(estimatedSystemCost * 0.3, 6000); // Cap at $6k
-    totalRebates += federalTaxCredit;
+    // Bill savings from the PG&E tariff model, rebates from the program rules
+    let bills;
+    try {
+        const calculator = await getHomeCalculator();
+        bills = calculator.estimateBillSavings({
+            homeSize: homeSize,
+            zip: zip,
+            gasBill: gasBill,
+            electricBill: electricBill || null
+        });
+    } catch (error) {
+        console.error('Savings calculation failed:', error);
+        savingsDisplay.textContent = 'Unavailable';
+        return;
+    }
 
     // Update display
-    document.getElementById('annual-savings').textContent = `$${efficiencySavings.toLocaleString()}`;
-    document.getElementById('available-rebates').textContent = `$${totalRebates.toLocaleString()}`;
+    const annualSavings = bills.annualSavings;
+    const savingsText = `$${Math.abs(annualSavings).toLocaleString()}`;
+    savingsDisplay.textContent = annualSavings < 0 ? `-${savingsText}` : savingsText;
+    document.getElementById('available-rebates').textContent = bills.rebates ?
+        `$${bills.rebates.total.toLocaleString()}` : '--';
 }
 
 // Testimonials Carousel
@@ -0,0 +1,248 @@
+/**
+ * Load Sensitivity and Uncertainty
+ * Varies the inputs that are usually estimated over a plausible range: one at a time for a tornado
+ * chart of what drives the design loads, and all together for a P10/P90 band on the totals
+ */
+
+class SensitivityAnalysis {
+    // options.samples: Monte Carlo runs for the confidence band; options.seed keeps the band repeatable
+    constructor(options = {}) {
+        this.samples = options.samples || 200;
+        this.seed = options.seed || 1;
+
+        // Ducts from leakiest to tightest
+        this.ductConditions = ['poor', 'fair', 'good', 'excellent'];
+    }
+
+    /**
+     * The uncertain inputs for this house, each as { id, label, base, low, high, format, apply }:
+     * apply(value) returns the building changes for a value between low and high.
+     * context: { infiltration, ductsOutside, roomMode, windowArea, defaultArea, safetyFactors }
+     */
+    getInputs(building, context) {
+        const inputs = [];
+        const round = (value, places = 0) => Math.round(value * 10 ** places) / 10 ** places;
+
+        // Leakage estimated from the year built is far less certain than a blower door test
+        const ach50 = context.infiltration.ach50;
+        const estimated = context.infiltration.source === 'estimated';
+        inputs.push({
+            id: 'leakage',
+            label: estimated ? 'Air leakage (estimated from year built)' : 'Air leakage (blower door)',
+            base: ach50,
+            low: ach50 * (estimated ? 0.6 : 0.85),
+            high: ach50 * (estimated ? 1.5 : 1.15),
+            format: value => `${round(value, 1)} ACH50`,
+            apply: value => ({ blowerDoorACH50: value, blowerDoorCFM50: null })
+        });
+
+        // Room-by-room houses take their areas from the rooms
+        if (!context.roomMode) {
+            const area = parseFloat(building.totalArea) || context.defaultArea;
+            const spread = area === context.defaultArea ? 0.25 : 0.1;
+            inputs.push({
+                id: 'area',
+                label: area === context.defaultArea ? 'Conditioned area (default value)' : 'Conditioned area',
+                base: area,
+                low: area * (1 - spread),
+                high: area * (1 + spread),
+                format: value => `${Math.round(value).toLocaleString()} sq ft`,
+                apply: value => ({ totalArea: value })
+            });
+        }
+
+        const ceiling = parseFloat(building.ceilingHeight) || 9;
+        inputs.push({
+            id: 'ceiling',
+            label: 'Ceiling height',
+            base: ceiling,
+            low: ceiling - 1,
+            high: ceiling + 1,
+            format: value => `${round(value, 1)} ft`,
+            apply: value => ({ ceilingHeight: value })
+        });
+
+        if (context.windowArea > 0) {
+            inputs.push({
+                id: 'windows',
+                label: 'Window area',
+                base: 1,
+                low: 0.8,
+                high: 1.2,
+                format: value => `${Math.round(context.windowArea * value).toLocaleString()} sq ft`,
+                apply: value => this.scaleWindows(building, value)
+            });
+        }
+
+        // Settled or unevenly blown insulation performs below its nominal R-value
+        const atticR = parseFloat(building.atticInsulation) || 0;
+        if (atticR > 0) {
+            inputs.push({
+                id: 'attic',
+                label: 'Attic insulation (effective R-value)',
+                base: atticR,
+                low: atticR * 0.75,
+                high: atticR,
+                format: value => `R-${Math.round(value)}`,
+                apply: value => ({ atticInsulation: String(value) })
+            });
+        }
+
+        // Duct condition one grade either side of the one entered
+        const ductIndex = this.ductConditions.indexOf(building.ductwork);
+        if (context.ductsOutside && ductIndex >= 0) {
+            inputs.push({
+                id: 'ducts',
+                label: 'Duct leakage',
+                base: ductIndex,
+                low: Math.max(ductIndex - 1, 0),
+                high: Math.min(ductIndex + 1, this.ductConditions.length - 1),
+                format: value => this.ductConditions[Math.round(value)],
+                apply: value => ({ ductwork: this.ductConditions[Math.round(value)] })
+            });
+        }
+
+        // ACCA allows some margin; the fixed factors are a judgment call
+        const factors = context.safetyFactors;
+        inputs.push({
+            id: 'heatingSafety',
+            label: 'Heating safety factor',
+            base: factors.heating,
+            low: 1,
+            high: factors.heating + 0.1,
+            format: value => `${round(value, 2)}×`,
+            apply: value => ({ heatingSafetyFactor: value })
+        }, {
+            id: 'coolingSafety',
+            label: 'Cooling safety factor',
+            base: factors.cooling,
+            low: 1,
+            high: factors.cooling + 0.1,
+            format: value => `${round(value, 2)}×`,
+            apply: value => ({ coolingSafetyFactor: value })
+        });
+
+        return inputs;
+    }
+
+    // Window areas scaled on the whole-house inputs and in every room
+    scaleWindows(building, factor) {
+        const changes = {};
+        ['windowAreaNorth', 'windowAreaEast', 'windowAreaSouth', 'windowAreaWest'].forEach(field => {
+            changes[field] = (parseFloat(building[field]) || 0) * factor;
+        });
+        if (Array.isArray(building.rooms)) {
+            changes.rooms = building.rooms.map(room => ({
+                ...room,
+                windows: Object.fromEntries(Object.entries(room.windows || {})
+                    .map(([facing, area]) => [facing, (parseFloat(area) || 0) * factor]))
+            }));
+        }
+        return changes;
+    }
+
+    // Input value at t between -1 (low) and 1 (high), with the entered value at 0
+    valueAt(input, t) {
+        return t < 0 ? input.base + (input.base - input.low) * t : input.base + (input.high - input.base) * t;
+    }
+
+    /**
+     * Tornado: heating and cooling totals with each input at its low and high end, the others as entered,
+     * ordered by the larger relative swing
+     */
+    getTornado(inputs, evaluate, base) {
+        return inputs
+            .map(input => {
+                const end = value => ({ value: input.format(value), ...evaluate(input.apply(value)) });
+                const low = end(input.low);
+                const high = end(input.high);
+                return {
+                    id: input.id,
+                    label: input.label,
+                    base: input.format(input.base),
+                    low,
+                    high,
+                    swing: {
+                        heating: Math.abs(high.heating - low.heating),
+                        cooling: Math.abs(high.cooling - low.cooling)
+                    }
+                };
+            })
+            .sort((a, b) => SensitivityAnalysis.relativeSwing(b, base) - SensitivityAnalysis.relativeSwing(a, base));
+    }
+
+    /**
+     * P10/P50/P90 of the totals with every input drawn at once from a triangular distribution
+     * peaking at the entered value
+     */
+    getBand(inputs, evaluate) {
+        const random = SensitivityAnalysis.random(this.seed);
+        const heating = [];
+        const cooling = [];
+
+        for (let i = 0; i < this.samples; i++) {
+            const changes = Object.assign({}, ...inputs.map(input => input.apply(this.valueAt(input, random() + random() - 1))));
+            const loads = evaluate(changes);
+            heating.push(loads.heating);
+            cooling.push(loads.cooling);
+        }
+
+        const band = values => {
+            const sorted = values.slice().sort((a, b) => a - b);
+            return {
+                p10: Math.round(SensitivityAnalysis.percentile(sorted, 0.1)),
+                p50: Math.round(SensitivityAnalysis.percentile(sorted, 0.5)),
+                p90: Math.round(SensitivityAnalysis.percentile(sorted, 0.9))
+            };
+        };
+        return { heating: band(heating), cooling: band(cooling) };
+    }
+
+    // evaluate(changes) returns the { heating, cooling } design totals for the building with the changes
+    analyze(building, context, evaluate) {
+        const inputs = this.getInputs(building, context);
+        const base = evaluate({});
+
+        return {
+            base,
+            inputs: this.getTornado(inputs, evaluate, base),
+            band: this.getBand(inputs, evaluate),
+            samples: this.samples
+        };
+    }
+}
+
+// The larger of an input's heating and cooling swings, as a fraction of the base loads
+SensitivityAnalysis.relativeSwing = function(input, base) {
+    return Math.max(
+        base.heating > 0 ? input.swing.heating / base.heating : 0,
+        base.cooling > 0 ? input.swing.cooling / base.cooling : 0
+    );
+};
+
+// Percentile of sorted values, interpolated between neighbours
+SensitivityAnalysis.percentile = function(sorted, fraction) {
+    const position = (sorted.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Seeded uniform random numbers (mulberry32), so a saved assessment shows the same band when reopened
+SensitivityAnalysis.random = function(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SensitivityAnalysis;
+} else {
+    window.SensitivityAnalysis = SensitivityAnalysis;
+}
@@ -0,0 +1,62 @@
+/**
+ * Whole-House Mechanical Ventilation
+ * ASHRAE 62.2 required airflow from floor area and bedrooms, and the outdoor air each system type
+ * adds to the heating and cooling loads after heat and moisture recovery
+ */
+
+class VentilationModel {
+    constructor() {
+        // Recovery effectiveness: share of the sensible and latent difference returned to the house
+        this.systems = {
+            'none': { label: 'No whole-house ventilation', balanced: false, sensibleRecovery: 0, latentRecovery: 0 },
+            'exhaust': { label: 'Exhaust only', balanced: false, sensibleRecovery: 0, latentRecovery: 0 },
+            'supply': { label: 'Supply only', balanced: false, sensibleRecovery: 0, latentRecovery: 0 },
+            'balanced': { label: 'Balanced (no recovery)', balanced: true, sensibleRecovery: 0, latentRecovery: 0 },
+            'hrv': { label: 'Heat recovery ventilator (HRV)', balanced: true, sensibleRecovery: 0.7, latentRecovery: 0 },
+            'erv': { label: 'Energy recovery ventilator (ERV)', balanced: true, sensibleRecovery: 0.65, latentRecovery: 0.5 }
+        };
+    }
+
+    // ASHRAE 62.2-2016 total ventilation rate: 0.03 CFM per sq ft plus 7.5 CFM per occupant (bedrooms + 1)
+    calculateRequiredCFM({ floorArea, bedrooms }) {
+        return Math.round(0.03 * floorArea + 7.5 * (Math.max(0, bedrooms) + 1));
+    }
+
+    /**
+     * Outdoor air the ventilation system adds on top of natural infiltration.
+     * Unbalanced fans combine with infiltration in quadrature (ASHRAE Fundamentals), so only the
+     * increase over infiltration is a new load; balanced systems add their full airflow.
+     */
+    calculate({ floorArea, bedrooms, system = 'none', fanCFM = null, infiltrationCFM = 0 }) {
+        const type = this.systems[system] ? system : 'none';
+        const profile = this.systems[type];
+        const requiredCFM = this.calculateRequiredCFM({ floorArea, bedrooms });
+        const airflow = type === 'none' ? 0 : (parseFloat(fanCFM) || requiredCFM);
+
+        const outdoorAirCFM = profile.balanced ?
+            airflow :
+            Math.sqrt(airflow * airflow + infiltrationCFM * infiltrationCFM) - infiltrationCFM;
+
+        return {
+            method: 'ASHRAE 62.2-2016',
+            system: type,
+            label: profile.label,
+            requiredCFM: requiredCFM,
+            fanCFM: Math.round(airflow),
+            meetsRequirement: airflow >= requiredCFM,
+            outdoorAirCFM: outdoorAirCFM,
+            sensibleRecovery: profile.sensibleRecovery,
+            latentRecovery: profile.latentRecovery,
+            // Airflow that still carries a load after recovery
+            sensibleCFM: outdoorAirCFM * (1 - profile.sensibleRecovery),
+            latentCFM: outdoorAirCFM * (1 - profile.latentRecovery)
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VentilationModel;
+} else {
+    window.VentilationModel = VentilationModel;
+}
@@ -0,0 +1,136 @@
+/**
+ * Heat Pump Water Heater Sizing
+ * Estimates household hot water demand, recommends a HPWH tank size by first-hour rating,
+ * and compares annual energy against the existing water heater, including the space
+ * heating/cooling effect of a unit installed in conditioned space
+ */
+
+class WaterHeatingModel {
+    constructor() {
+        this.setpoint = 120;
+
+        // Typical 240 V hybrid heat pump water heaters (first-hour rating in hybrid mode)
+        this.tankOptions = [
+            { size: 50, firstHourRating: 67, uef: 3.75, cost: { low: 4500, high: 6500 } },
+            { size: 65, firstHourRating: 79, uef: 3.8, cost: { low: 5000, high: 7200 } },
+            { size: 80, firstHourRating: 89, uef: 3.88, cost: { low: 5500, high: 8000 } }
+        ];
+
+        // Uniform energy factors of existing water heaters; older tank units have lost efficiency
+        this.existingTypes = {
+            'gas-tank': { label: 'Gas tank', fuel: 'gas', uef: 0.6, agedUEF: 0.55, lifespan: 12 },
+            'gas-tankless': { label: 'Gas tankless', fuel: 'gas', uef: 0.82, agedUEF: 0.78, lifespan: 20 },
+            'electric-tank': { label: 'Electric tank', fuel: 'electric', uef: 0.92, agedUEF: 0.88, lifespan: 12 },
+            'electric-tankless': { label: 'Electric tankless', fuel: 'electric', uef: 0.95, agedUEF: 0.95, lifespan: 20 },
+            'heat-pump-wh': { label: 'Heat pump water heater', fuel: 'electric', uef: 3.5, agedUEF: 3.2, lifespan: 13 },
+            'solar': { label: 'Solar with electric backup', fuel: 'electric', uef: 2.0, agedUEF: 1.8, lifespan: 20 }
+        };
+
+        // HPWH efficiency relative to its rating by installed location (ambient air temperature)
+        this.locationFactors = {
+            'conditioned': 1.0,
+            'garage': 0.9,
+            'basement': 0.95,
+            'crawlspace': 0.85,
+            'outdoor': 0.8
+        };
+    }
+
+    /**
+     * Daily and peak-hour hot water demand.
+     * Daily use: 12 gallons per person plus 10 for dishwashing and laundry. Peak hour: back-to-back
+     * showers (two per bathroom, at most one per occupant) plus a dishwasher and clothes washer load.
+     */
+    estimateDemand({ occupants, bathrooms }) {
+        const people = Math.max(1, occupants);
+        const showers = Math.min(people, Math.max(1, Math.ceil(bathrooms)) * 2);
+
+        return {
+            dailyGallons: Math.round(12 * people + 10),
+            peakHourGallons: Math.round(showers * 12 + 6 + 7),
+            peakHourShowers: showers
+        };
+    }
+
+    // Smallest tank whose first-hour rating covers the peak hour
+    recommendTank(peakHourGallons) {
+        return this.tankOptions.find(option => option.firstHourRating >= peakHourGallons) ||
+            this.tankOptions[this.tankOptions.length - 1];
+    }
+
+    // Cold water inlet temperature from the station's annual mean air temperature (RESNET: mean + 6°F)
+    getInletTemp(monthBins) {
+        let degreeHours = 0;
+        let hours = 0;
+        monthBins.forEach(bins => bins.forEach(([temp, binHours]) => {
+            degreeHours += temp * binHours;
+            hours += binHours;
+        }));
+        return hours > 0 ? Math.round((degreeHours / hours + 6) * 10) / 10 : 58;
+    }
+
+    /**
+     * Annual water heating energy before and after the HPWH.
+     * existing: { type, age }; location: where the HPWH is installed
+     * spaceConditioning: { heatingMonths, coolingMonths, hspf2, seer2 } for the interaction
+     */
+    compare({ occupants, bathrooms, inletTemp, existing, location = 'garage', spaceConditioning = null }) {
+        const demand = this.estimateDemand({ occupants, bathrooms });
+        const tank = this.recommendTank(demand.peakHourGallons);
+
+        // Heat delivered to the water per year (Btu)
+        const annualLoad = demand.dailyGallons * 365 * 8.34 * (this.setpoint - inletTemp);
+
+        const existingType = this.existingTypes[existing.type] || this.existingTypes['gas-tank'];
+        const age = parseFloat(existing.age) || 0;
+        const existingUEF = age > 10 ? existingType.agedUEF : existingType.uef;
+        const existingTherms = existingType.fuel === 'gas' ? annualLoad / existingUEF / 100000 : 0;
+        const existingKWh = existingType.fuel === 'electric' ? annualLoad / existingUEF / 3412 : 0;
+
+        const hpwhCOP = tank.uef * (this.locationFactors[location] || 1);
+        const hpwhKWh = annualLoad / hpwhCOP / 3412;
+
+        // In conditioned space the heat pump pulls heat from the house: free cooling in summer,
+        // extra heating in winter. Months with neither load are left alone.
+        const heatExtracted = annualLoad * (1 - 1 / hpwhCOP);
+        let heatingPenaltyKWh = 0;
+        let coolingCreditKWh = 0;
+        if (location === 'conditioned' && spaceConditioning) {
+            heatingPenaltyKWh = heatExtracted * spaceConditioning.heatingMonths / 12 / (spaceConditioning.hspf2 * 1000);
+            coolingCreditKWh = heatExtracted * spaceConditioning.coolingMonths / 12 / (spaceConditioning.seer2 * 1000);
+        }
+
+        return {
+            demand: demand,
+            tank: tank,
+            inletTemp: inletTemp,
+            location: location,
+            existing: {
+                type: existing.type,
+                label: existingType.label,
+                fuel: existingType.fuel,
+                age: age || null,
+                uef: existingUEF,
+                endOfLife: age >= existingType.lifespan
+            },
+            hpwhCOP: Math.round(hpwhCOP * 100) / 100,
+            annual: {
+                loadKBtu: Math.round(annualLoad / 1000),
+                existingTherms: Math.round(existingTherms),
+                existingKWh: Math.round(existingKWh),
+                hpwhKWh: Math.round(hpwhKWh),
+                heatExtractedKBtu: location === 'conditioned' ? Math.round(heatExtracted / 1000) : 0,
+                heatingPenaltyKWh: Math.round(heatingPenaltyKWh),
+                coolingCreditKWh: Math.round(coolingCreditKWh),
+                netHpwhKWh: Math.round(hpwhKWh + heatingPenaltyKWh - coolingCreditKWh)
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WaterHeatingModel;
+} else {
+    window.WaterHeatingModel = WaterHeatingModel;
+}
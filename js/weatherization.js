@@ -0,0 +1,161 @@
+/**
+ * Weatherization Loading Order
+ * Envelope and duct measures to do before sizing the heat pump, ranked by payback: each measure's
+ * installed cost, design load reduction, the smaller equipment it allows and its yearly savings
+ */
+
+class WeatherizationPlanner {
+    constructor() {
+        // Air sealing typically removes a quarter of the leakage, and rarely gets an existing house below 3 ACH50
+        this.airSealing = { reduction: 0.25, floorACH50: 3 };
+
+        // Each measure, the load breakdown components it works on and the calculator fields it changes
+        this.measures = [
+            { id: 'air-sealing', label: 'Air sealing', components: ['Air Infiltration'] },
+            { id: 'attic-insulation', label: 'Attic insulation to R-60', components: ['Roof/Ceiling'] },
+            { id: 'wall-insulation', label: 'Dense-pack wall insulation (R-13)', components: ['Walls'] },
+            { id: 'window-replacement', label: 'Low-E window replacement', components: ['Windows'] },
+            { id: 'duct-sealing', label: 'Duct sealing & R-8 insulation', components: ['Ducts'] }
+        ];
+    }
+
+    /**
+     * Calculator field changes for a measure, or null when the house does not need it.
+     * infiltration: the house's calculateInfiltration result; ductsOutside: ducts run through unconditioned space
+     */
+    getChanges(id, building, { infiltration, ductsOutside, windowArea }) {
+        switch (id) {
+            case 'air-sealing': {
+                if (infiltration.ach50 <= this.airSealing.floorACH50) return null;
+                const target = Math.max(infiltration.ach50 * (1 - this.airSealing.reduction), this.airSealing.floorACH50);
+                // Tested houses keep the blower door field they were measured with
+                return parseFloat(building.blowerDoorCFM50) > 0 ?
+                    { blowerDoorCFM50: Math.round(infiltration.cfm50 * target / infiltration.ach50) } :
+                    { blowerDoorACH50: Math.round(target * 10) / 10 };
+            }
+            case 'attic-insulation':
+                return (parseFloat(building.atticInsulation) || 0) < 60 ? { atticInsulation: '60' } : null;
+            case 'wall-insulation':
+                // Only empty cavities can be dense-packed from outside
+                return (parseFloat(building.wallInsulation) || 0) === 0 ? { wallInsulation: '13' } : null;
+            case 'window-replacement':
+                return windowArea > 0 && ['single-pane', 'double-pane'].includes(building.windowType) ?
+                    { windowType: 'double-pane-lowE' } : null;
+            case 'duct-sealing': {
+                if (!ductsOutside || !['poor', 'fair', 'good'].includes(building.ductwork)) return null;
+                const changes = { ductwork: 'excellent' };
+                if ((parseFloat(building.ductInsulation) || 0) < 8) changes.ductInsulation = '8';
+                return changes;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // The measures this house needs, with their field changes
+    getMeasures(building, context) {
+        return this.measures
+            .map(measure => ({ ...measure, changes: this.getChanges(measure.id, building, context) }))
+            .filter(measure => measure.changes);
+    }
+
+    // Share of the heating and cooling loads from the given breakdown components
+    getComponentShare(breakdown, components) {
+        const share = ({ labels, values }) => {
+            const total = values.reduce((sum, value) => sum + value, 0);
+            const part = labels.reduce((sum, label, index) => sum + (components.includes(label) ? values[index] : 0), 0);
+            return total > 0 ? Math.round(part / total * 100) : 0;
+        };
+        return { heating: share(breakdown.heating), cooling: share(breakdown.cooling) };
+    }
+
+    // Installed price of a heat pump from its catalog cost range, or null for the generic fallback
+    getEquipmentCost(heatPump) {
+        const range = heatPump.equipment.costRange;
+        return range ? Math.round((range.low + range.high) / 2) : null;
+    }
+
+    /**
+     * One measure against the existing house. baseline and upgraded: { heating, cooling, heatPump, bill },
+     * where bill is the existing system's uncalibrated annual cost; calibration scales the change to the customer's bills
+     */
+    evaluate(measure, { baseline, upgraded, cost, breakdown, calibration }) {
+        const baseCost = this.getEquipmentCost(baseline.heatPump);
+        const upgradedCost = this.getEquipmentCost(upgraded.heatPump);
+        const equipmentSavings = baseCost !== null && upgradedCost !== null ? baseCost - upgradedCost : null;
+        const netCost = cost.total - (equipmentSavings || 0);
+
+        const annualSavings = Math.round(
+            (baseline.bill.gas - upgraded.bill.gas) * calibration.gas +
+            (baseline.bill.electric - upgraded.bill.electric) * calibration.electric
+        );
+        const heatingReduction = baseline.heating.total - upgraded.heating.total;
+        const coolingReduction = baseline.cooling.total - upgraded.cooling.total;
+        const loadReduction = heatingReduction + coolingReduction;
+
+        let paybackYears = null;
+        if (netCost <= 0) {
+            paybackYears = 0;
+        } else if (annualSavings > 0) {
+            paybackYears = Math.round(netCost / annualSavings * 10) / 10;
+        }
+
+        return {
+            id: measure.id,
+            label: measure.label,
+            changes: measure.changes,
+            share: this.getComponentShare(breakdown, measure.components),
+            cost: cost.total,
+            heatingReduction,
+            coolingReduction,
+            heatingPercent: Math.round(heatingReduction / baseline.heating.total * 100),
+            coolingPercent: Math.round(coolingReduction / baseline.cooling.total * 100),
+            capacityReduction: baseline.heatPump.coolingCapacity - upgraded.heatPump.coolingCapacity,
+            equipmentSavings,
+            netCost,
+            annualSavings,
+            paybackYears,
+            costPerKBtuh: loadReduction > 0 ? Math.round(cost.total / loadReduction * 1000) : null
+        };
+    }
+
+    /**
+     * Loading order: shortest payback first, then measures that only pay back through load reduction by
+     * cost per 1,000 Btu/h removed. Sequencing notes cover work that has to happen in a set order
+     */
+    rank(evaluations) {
+        const order = (a, b) => {
+            if (a.paybackYears !== null && b.paybackYears !== null) return a.paybackYears - b.paybackYears;
+            if (a.paybackYears !== null || b.paybackYears !== null) return a.paybackYears === null ? 1 : -1;
+            return (a.costPerKBtuh ?? Infinity) - (b.costPerKBtuh ?? Infinity);
+        };
+        const measures = evaluations.slice().sort(order).map((measure, index) => ({ ...measure, rank: index + 1 }));
+
+        const ids = measures.map(measure => measure.id);
+        const notes = [];
+        if (ids.includes('air-sealing') && ids.includes('attic-insulation')) {
+            notes.push('Seal the attic floor before adding insulation; new insulation buries the leaks.');
+        }
+        if (ids.includes('duct-sealing') && ids.includes('attic-insulation')) {
+            notes.push('Seal and insulate attic ducts before blowing in insulation over them.');
+        }
+        notes.push('Size the heat pump after weatherization so it is not oversized for the improved house.');
+
+        return {
+            measures,
+            notes,
+            totals: {
+                cost: measures.reduce((sum, measure) => sum + measure.cost, 0),
+                annualSavings: measures.reduce((sum, measure) => sum + measure.annualSavings, 0)
+            },
+            basis: 'Savings are on the existing heating and cooling system at PG&E rates; each measure is evaluated on its own'
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WeatherizationPlanner;
+} else {
+    window.WeatherizationPlanner = WeatherizationPlanner;
+}
@@ -1,7 +1,7 @@
 // Service Worker for Precision HVAC NorCal Website
 // Provides caching for better performance and offline functionality
 
-const CACHE_NAME = 'precision-hvac-v1.1';
+const CACHE_NAME = 'precision-hvac-v1.17';
 const urlsToCache = [
     '/',
     '/index.html',
@@ -11,9 +11,29 @@ const urlsToCache = [
     '/css/manual-j.css',
     '/js/script.js',
     '/js/ui-fixes.js',
+    '/js/energy-simulation.js',
+    '/js/bill-savings.js',
+    '/js/rebate-engine.js',
+    '/js/panel-assessment.js',
+    '/js/water-heating.js',
+    '/js/ventilation.js',
+    '/js/multi-zone.js',
+    '/js/duct-design.js',
+    '/js/scenario-comparison.js',
+    '/js/weatherization.js',
+    '/js/sensitivity.js',
     '/js/manual-j-calculator.js',
+    '/js/manual-j-enhanced.js',
+    '/js/project-store.js',
+    '/js/assessment-schema.js',
     '/js/manual-j-interface.js',
     '/js/performance-optimizations.js',
+    '/data/heat-pump-catalog.json',
+    '/data/climate-stations.json',
+    '/data/weather-bins.json',
+    '/data/pge-rates.json',
+    '/data/rebate-programs.json',
+    '/data/assessment-schema.json',
     '/favicon.ico',
     // Cache some images
     '/images/heat-pump-exterior.jpg',
@@ -0,0 +1,113 @@
+/**
+ * Assessment import/export: schema validation, field-level errors and version migrations
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const AssessmentSchema = require('../js/assessment-schema.js');
+const ManualJCalculator = require('../js/manual-j-calculator.js');
+const referenceBuildings = require('./fixtures/reference-buildings.json');
+
+const calculator = new ManualJCalculator();
+const schema = new AssessmentSchema();
+
+test('exported reference buildings round-trip without errors', () => {
+    referenceBuildings.forEach(({ name, building }) => {
+        const buildingData = ManualJCalculator.mapFormValues(building);
+        const results = calculator.calculateLoads(buildingData);
+        const exported = schema.createDocument({ buildingData, results, project: { name, status: 'calculated', step: 5 } });
+        const imported = schema.migrate(JSON.parse(JSON.stringify(exported)));
+
+        assert.strictEqual(imported.fromVersion, schema.version, name);
+        assert.deepStrictEqual(schema.getFieldErrors(imported.document, calculator), [], name);
+        assert.strictEqual(imported.document.buildingData.totalArea, building.totalArea, name);
+    });
+});
+
+test('exported building data keeps calculator fields only', () => {
+    const exported = schema.createDocument({
+        buildingData: ManualJCalculator.mapFormValues({ 'property-address': 'Oakland, CA', 'total-area': '1800' })
+    });
+
+    assert.strictEqual(exported.buildingData.totalArea, 1800);
+    assert.strictEqual(exported.buildingData['total-area'], undefined);
+    assert.deepStrictEqual(exported.buildingData.rooms, []);
+    assert.strictEqual(exported.results, null);
+});
+
+test('field errors carry the form input id for highlighting', () => {
+    const exported = schema.createDocument({ buildingData: { address: 'Oakland, CA', totalArea: '1,800', stories: 9, wallType: 'straw' } });
+    const errors = schema.getFieldErrors(exported, calculator);
+
+    assert.deepStrictEqual(errors.map(error => [error.field, error.input]), [
+        ['totalArea', 'total-area'],
+        ['stories', 'stories'],
+        ['wallType', 'wall-type']
+    ]);
+    assert.match(errors[0].message, /totalArea must be a number/);
+    assert.match(errors[1].message, /Stories must be between 1 and 4/);
+});
+
+test('problems outside buildingData have no field', () => {
+    const errors = schema.getFieldErrors({ schema: 'something-else', schemaVersion: 2 }, calculator);
+
+    assert.ok(errors.length > 0);
+    assert.ok(errors.every(error => error.field === null));
+});
+
+test('version 1 form data migrates to the current schema', () => {
+    const { document, fromVersion } = schema.migrate({
+        'property-address': 'San Jose, CA',
+        'total-area': '1600',
+        'electric-range': true,
+        rooms: [{ name: 'Living', area: 400, windows: { south: 40 } }]
+    });
+
+    assert.strictEqual(fromVersion, 1);
+    assert.strictEqual(document.schemaVersion, schema.version);
+    assert.strictEqual(document.buildingData.address, 'San Jose, CA');
+    assert.strictEqual(document.buildingData.totalArea, 1600);
+    assert.strictEqual(document.buildingData.electricRange, true);
+    assert.strictEqual(document.buildingData.rooms.length, 1);
+    assert.deepStrictEqual(schema.getFieldErrors(document, calculator), []);
+});
+
+test('command-line runner output migrates with its results', () => {
+    const input = { address: 'Oakland, CA', totalArea: 1500 };
+    const results = calculator.calculateLoads(ManualJCalculator.mapFormValues(input));
+    const { document } = schema.migrate(JSON.parse(JSON.stringify({ input, results, recommendations: [] })));
+
+    assert.strictEqual(document.buildingData.totalArea, 1500);
+    assert.strictEqual(document.results.heating.total, results.heating.total);
+});
+
+test('files from a newer schema version are rejected', () => {
+    assert.throws(() => schema.migrate({ schema: AssessmentSchema.documentType, schemaVersion: schema.version + 1 }),
+        /reads versions up to/);
+    assert.throws(() => schema.migrate([]), /does not contain an assessment/);
+});
+
+test('imports drop the results in the file and recalculate from buildingData', () => {
+    const exported = schema.createDocument({
+        buildingData: { address: 'San Jose, CA 95125', totalArea: 1600 },
+        results: { heating: { total: 1 }, cooling: { total: 2 } },
+        project: { status: 'calculated', step: 5 }
+    });
+    const imported = schema.readImport(schema.migrate(JSON.parse(JSON.stringify(exported))).document, calculator);
+
+    assert.deepStrictEqual(imported.errors, []);
+    assert.strictEqual(imported.recalculate, true);
+    assert.strictEqual('results' in imported, false);
+
+    const results = calculator.calculateLoads(imported.buildingData);
+    assert.strictEqual(results.climate.winterDesignTemp, 36);
+    assert.ok(results.heating.total > 1000);
+});
+
+test('imports with field errors or no results are not recalculated', () => {
+    const invalid = schema.createDocument({ buildingData: { address: 'Oakland, CA', stories: 9 }, results: { heating: { total: 1 }, cooling: { total: 2 } } });
+    const draft = schema.createDocument({ buildingData: { address: 'Oakland, CA', totalArea: 1500 } });
+
+    assert.strictEqual(schema.readImport(invalid, calculator).recalculate, false);
+    assert.strictEqual(schema.readImport(draft, calculator).recalculate, false);
+});
@@ -0,0 +1,55 @@
+/**
+ * PG&E bill math: baseline territories, E-1 tiers and G-1 baseline/excess gas pricing
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BillSavingsEngine = require('../js/bill-savings.js');
+const rates = require('../data/pge-rates.json');
+
+const engine = new BillSavingsEngine(rates);
+
+// Twelve months of the same household use, no heating or cooling
+const flatUse = kWh => Array(12).fill({ household: kWh, heating: 0, cooling: 0 });
+
+test('design weather stations map to PG&E baseline territories', () => {
+    assert.strictEqual(engine.getTerritory('KSFO'), 'T');
+    assert.strictEqual(engine.getTerritory('KOAK'), 'X');
+    assert.strictEqual(engine.getTerritory('KSAC'), 'S');
+    assert.strictEqual(engine.getTerritory('KXYZ'), 'X');
+});
+
+test('E-1 prices use up to the daily baseline times days in the month at tier 1', () => {
+    const bill = engine.calculateElectricBill(flatUse(500), 'E-1', { territory: 'X' });
+
+    // January, territory X winter: 31 × 9.7 = 300.7 kWh at $0.40, the other 199.3 kWh at $0.50
+    assert.strictEqual(bill.monthly[0], 219.93);
+    // June, summer: 30 × 9.8 = 294 kWh at $0.40, 206 kWh at $0.50
+    assert.strictEqual(bill.monthly[5], 220.6);
+    assert.strictEqual(bill.annual, Math.round(bill.monthly.reduce((sum, cost) => sum + cost, 0)));
+});
+
+test('E-1 baseline depends on the territory and all-electric service', () => {
+    const coastal = engine.calculateElectricBill(flatUse(500), 'E-1', { territory: 'T' });
+    const allElectric = engine.calculateElectricBill(flatUse(500), 'E-1', { territory: 'X', allElectric: true });
+
+    // January, territory T: 31 × 7.5 = 232.5 kWh at tier 1
+    assert.strictEqual(coastal.monthly[0], 226.75);
+    // January, territory X all-electric: 31 × 14.6 = 452.6 kWh at tier 1
+    assert.strictEqual(allElectric.monthly[0], 204.74);
+});
+
+test('G-1 gas is priced at the baseline rate up to the seasonal baseline', () => {
+    const therms = Array(12).fill(20);
+    therms[0] = 80;
+    const bill = engine.calculateGasBill(therms, 'X');
+
+    // January: 31 × 1.91 = 59.21 therms at $2.35, 20.79 at $2.80
+    assert.strictEqual(bill.monthly[0], 197.36);
+    // July: 20 therms is inside the 31 × 0.66 = 20.46 therm summer baseline
+    assert.strictEqual(bill.monthly[6], 47);
+});
+
+test('unknown tariffs are rejected', () => {
+    assert.throws(() => engine.calculateElectricBill(flatUse(500), 'E-99', { territory: 'X' }), /Unknown electric tariff: E-99/);
+});
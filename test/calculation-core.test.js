@@ -0,0 +1,212 @@
+/**
+ * Unit tests for the calculation core running under Node with no DOM
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ManualJCalculator = require('../js/manual-j-calculator.js');
+const VentilationModel = require('../js/ventilation.js');
+const DuctDesigner = require('../js/duct-design.js');
+const MultiZoneDesigner = require('../js/multi-zone.js');
+
+const calculator = new ManualJCalculator();
+const referenceBuildings = require('./fixtures/reference-buildings.json');
+const referenceBuilding = name => referenceBuildings.find(reference => reference.name.startsWith(name)).building;
+const findModel = id => calculator.equipmentDatabase.heatPumps.find(model => model.id === id);
+
+test('calculation core runs without window or document', () => {
+    const results = calculator.calculateLoads({ address: 'Oakland, CA', totalArea: 1500 });
+    const recommendations = calculator.generateRecommendations(results, { address: 'Oakland, CA', totalArea: 1500 });
+
+    assert.strictEqual(typeof globalThis.window, 'undefined');
+    assert.strictEqual(typeof globalThis.document, 'undefined');
+    assert.ok(results.heating.total > 0);
+    assert.ok(results.cooling.total > 0);
+    assert.ok(Array.isArray(recommendations) && recommendations.length > 0);
+});
+
+test('heating capacity matches the catalog rating points', () => {
+    const model = findModel('carrier-24vna936');
+
+    assert.strictEqual(calculator.getHeatingCapacityAt(model, 47), model.heating.capacity47);
+    assert.strictEqual(calculator.getHeatingCapacityAt(model, 17), model.heating.capacity17);
+    assert.strictEqual(calculator.getHeatingCapacityAt(model, 5), model.heating.capacity5);
+    assert.strictEqual(calculator.getCoolingCapacityAt(model, 95), model.cooling.capacity95);
+});
+
+test('balance point is where capacity meets the heat loss line', () => {
+    const model = findModel('carrier-24vna924');
+    const heatingLoad = { total: 30000, designConditions: { indoor: 70, outdoor: 30 } };
+    const balancePoint = calculator.calculateBalancePoint(model, heatingLoad);
+    const loss = heatingLoad.total / 40 * (70 - balancePoint);
+
+    assert.ok(Math.abs(calculator.getHeatingCapacityAt(model, balancePoint) - loss) / loss < 0.02);
+});
+
+// Ordinary 1,700 sq ft San Jose ranch: dry climate, so the cooling load is almost all sensible
+const typicalHouse = {
+    address: 'San Jose, CA 95125', totalArea: 1700, ceilingHeight: 8, stories: 1, yearBuilt: 1995,
+    occupants: 4, bedrooms: 3, wallType: 'wood-frame-2x4', wallInsulation: '13', atticInsulation: '30',
+    foundationType: 'slab', windowType: 'double-pane', windowFrame: 'vinyl',
+    windowAreaNorth: 50, windowAreaEast: 40, windowAreaSouth: 60, windowAreaWest: 40,
+    heatingSystem: 'gas-furnace', coolingSystem: 'central-ac', ductwork: 'good', ductLocation: 'attic', ductInsulation: '6'
+};
+
+test('dry-climate loads find a model within the sizing limits, with spare latent capacity cooling sensibly', () => {
+    const loads = calculator.calculateLoads(typicalHouse);
+    const passing = calculator.selectEquipment(loads).filter(selection => selection.passes && !selection.nextSizeUp);
+
+    assert.ok(loads.cooling.sensibleHeatRatio > 0.9);
+    assert.ok(passing.length > 0);
+    passing.forEach(selection => {
+        assert.ok(selection.sensibleCapacity >= loads.cooling.sensible);
+        assert.ok(selection.coolingCapacity <= calculator.getCoolingSizingLoad(loads) * selection.maxCoolingRatio);
+        assert.ok(selection.sensibleCapacity > selection.coolingCapacity * selection.equipment.cooling.sensibleHeatRatio);
+    });
+});
+
+test('Manual S verification applies the 90-115% cooling limit at the design temperature', () => {
+    const model = findModel('carrier-24vna936');
+    // Manual J cooling load with a 0.95 sensible heat ratio; total carries the 10% safety factor
+    const coolingLoads = load => ({ total: Math.round(load * 1.1), sensible: load * 0.95, latent: load * 0.05 });
+    const loads = {
+        climate: { summerDesignTemp: 95, winterDesignTemp: 30 },
+        heating: { total: 20000 }
+    };
+
+    // Correctly sized: capacity is 105% of the unfactored load, though only 95% of the factored total
+    loads.cooling = coolingLoads(model.cooling.capacity95 / 1.05);
+    const sized = calculator.verifyEquipment(model, loads);
+    assert.strictEqual(sized.passes, true);
+    assert.strictEqual(sized.checks.find(check => check.id === 'cooling').ratio, 1.05);
+    assert.strictEqual(sized.checks.find(check => check.id === 'sensible').ratio, 1.05);
+
+    loads.cooling = coolingLoads(model.cooling.capacity95 / 1.3);
+    const oversized = calculator.verifyEquipment(model, loads);
+    assert.strictEqual(oversized.passes, false);
+    assert.strictEqual(oversized.checks.find(check => check.id === 'cooling').pass, false);
+    assert.strictEqual(oversized.checks.find(check => check.id === 'sensible').pass, true);
+
+    // A heating shortfall passes only when backup heat is allowed to cover it
+    loads.cooling = coolingLoads(model.cooling.capacity95 / 1.05);
+    loads.heating.total = calculator.getHeatingCapacityAt(model, 30) + 3412;
+    assert.strictEqual(calculator.verifyEquipment(model, loads).passes, false);
+    const withBackup = calculator.verifyEquipment(model, loads, { allowBackupHeat: true });
+    assert.strictEqual(withBackup.passes, true);
+    assert.strictEqual(withBackup.backupHeatKW, 1);
+});
+
+test('ASHRAE 62.2 ventilation rate uses floor area and bedrooms', () => {
+    assert.strictEqual(new VentilationModel().calculateRequiredCFM({ floorArea: 2000, bedrooms: 3 }), 90);
+});
+
+test('duct friction rate is available static pressure per 100 ft of effective length', () => {
+    const friction = new DuctDesigner().calculateFrictionRate({ staticPressure: 0.5, supplyLength: 200, returnLength: 100 });
+
+    assert.strictEqual(friction.availableStatic, 0.31);
+    assert.strictEqual(friction.frictionRate, 0.103);
+});
+
+test('multi-zone layout reports too many indoor units for the outdoor unit', () => {
+    const designer = new MultiZoneDesigner(calculator.equipmentDatabase.indoorUnits);
+    const zones = ['A', 'B', 'C', 'D'].map(name => ({ name, rooms: [name], heating: 4000, cooling: 5000, distribution: 'wall' }));
+    const design = designer.design(zones, findModel('mitsubishi-mxz-sm24'), 24000);
+
+    assert.strictEqual(design.indoorUnitCount, 4);
+    assert.strictEqual(design.feasible, false);
+    assert.match(design.issues[0], /supports 3/);
+});
+
+test('a zero-area room keeps zero floor area instead of the 2,000 sq ft default', () => {
+    const room = { totalArea: 0, occupants: 0 };
+
+    assert.strictEqual(calculator.getConditionedArea(room), 0);
+    assert.strictEqual(calculator.getConditionedArea({}), 2000);
+    assert.strictEqual(calculator.getDuctSurface(room).supplyArea, 0);
+    assert.deepStrictEqual(calculator.getInputErrors({ address: '94110', totalArea: 1500, rooms: [{ name: 'Den', area: 0 }] })
+        .map(error => error.field), ['rooms[0].area']);
+});
+
+test('leaked supply air only loses the cooling it was carrying; return leaks bring in attic air', () => {
+    const building = { totalArea: 1600, ductLocation: 'attic', ductwork: 'fair', ductInsulation: '6', roofColor: 'medium' };
+    // 21,600 Btu/h at a 20°F supply difference is 1,000 CFM; 15% leakage is 75 CFM each side.
+    // Medium asphalt roof: attic 30°F over the 95°F design, so 125°F
+    const ducts = calculator.calculateDuctCoolingLoad(building, 21600, 75, 95);
+
+    assert.strictEqual(ducts.ambientTemp, 125);
+    // Supply: 1.08 × 75 × (75 − 55) = 1,620; return: 1.08 × 75 × (125 − 75) = 4,050
+    assert.strictEqual(ducts.leakage, 5670);
+});
+
+test('internal gains use the Manual J occupant and appliance defaults, not floor area', () => {
+    // 4 × 230 + 1,200 sensible and 4 × 200 latent, the same for any floor area
+    assert.deepStrictEqual(calculator.calculateInternalHeatGains({ totalArea: 1600, occupants: 4 }), { sensible: 2120, latent: 800 });
+    assert.deepStrictEqual(calculator.calculateInternalHeatGains({ totalArea: 3200, occupants: 4 }), { sensible: 2120, latent: 800 });
+    // A room carries its area share of the appliance gain
+    assert.strictEqual(calculator.calculateInternalHeatGains({ occupants: 1, internalGainShare: 0.25 }).sensible, 530);
+});
+
+test('fair ducts still get a ducted option, flagged for duct work and not recommended', () => {
+    const building = { ...typicalHouse, ductwork: 'fair' };
+    const ducted = calculator.generateRecommendations(calculator.calculateLoads(building), building)
+        .find(recommendation => recommendation.type === 'Ducted Heat Pump');
+
+    assert.ok(ducted);
+    assert.strictEqual(ducted.recommended, false);
+    assert.match(ducted.selection.warnings.at(-1), /rated fair; plan on sealing or replacing it/);
+});
+
+test('sizeEquipment sizes an ordinary 1,800 sq ft San Jose ranch with attic ducts', () => {
+    const building = { ...referenceBuilding('San Jose'), totalArea: 1800 };
+    const loads = calculator.calculateLoads(building);
+    const { heatPump, loads: sized } = calculator.sizeEquipment(loads);
+
+    assert.strictEqual(heatPump.nextSizeUp, false);
+    assert.ok(heatPump.coolingCapacity >= sized.sensible);
+    assert.ok(heatPump.heatingCapacity >= sized.heating);
+    assert.strictEqual(heatPump.supplementalHeat, 0);
+    assert.ok(heatPump.balancePoint < loads.climate.winterDesignTemp);
+});
+
+test('sizeEquipment reports backup heat when the heat pump falls short at the design temperature', () => {
+    const loads = calculator.calculateLoads(referenceBuilding('Walnut Creek'));
+
+    assert.throws(() => calculator.sizeEquipment(loads), /within Manual S sizing limits/);
+    const { heatPump } = calculator.sizeEquipment(loads, { backupHeatAllowed: true });
+    assert.strictEqual(heatPump.supplementalHeat, loads.heating.total - heatPump.heatingCapacity);
+    assert.strictEqual(heatPump.supplementalHeatKW, Math.round(heatPump.supplementalHeat / 3412 * 10) / 10);
+    assert.ok(heatPump.balancePoint > loads.climate.winterDesignTemp);
+});
+
+test('blower door CFM50 and ACH50 convert through the house volume to the same natural airflow', () => {
+    // 1,600 sq ft × 8 ft = 12,800 cu ft: 1,600 CFM50 is 1,600 × 60 / 12,800 = 7.5 ACH50
+    const house = { address: 'Oakland, CA 94610', totalArea: 1600, ceilingHeight: 8, stories: 1 };
+    const climate = calculator.getClimateData(house.address);
+    const fromCFM50 = calculator.calculateInfiltration({ ...house, blowerDoorCFM50: 1600 }, climate);
+    const fromACH50 = calculator.calculateInfiltration({ ...house, blowerDoorACH50: 7.5 }, climate);
+
+    assert.strictEqual(fromCFM50.source, 'measured');
+    assert.strictEqual(fromCFM50.ach50, 7.5);
+    assert.strictEqual(fromACH50.cfm50, 1600);
+    // Oakland's 12 mph design wind is LBL zone 3: N = 21.5 for one story with normal shielding
+    assert.strictEqual(fromCFM50.nFactor, 21.5);
+    // 1,600 / 21.5 = 74.42 CFM either way
+    assert.strictEqual(Math.round(fromCFM50.cfm * 100) / 100, 74.42);
+    assert.strictEqual(Math.round(fromACH50.cfm * 100) / 100, 74.42);
+
+    // A measured CFM50 takes precedence over an ACH50 entry
+    const both = calculator.calculateInfiltration({ ...house, blowerDoorCFM50: 1600, blowerDoorACH50: 3 }, climate);
+    assert.strictEqual(both.ach50, 7.5);
+});
+
+test('LBL N-factors follow wind zone, shielding and height, interpolated between story counts', () => {
+    const oakland = calculator.getClimateData('Oakland, CA 94610');
+    const sanFrancisco = calculator.getClimateData('San Francisco, CA 94122');
+
+    assert.strictEqual(calculator.getLeakageNFactor({ stories: 2 }, oakland), 17.2);
+    // Halfway between 2 stories (17.2) and 3 stories (15.1)
+    assert.strictEqual(calculator.getLeakageNFactor({ stories: 2.5 }, oakland), 16.15);
+    // San Francisco's 15 mph design wind is zone 2
+    assert.strictEqual(calculator.getLeakageNFactor({ stories: 1, shielding: 'exposed' }, sanFrancisco), 16.7);
+    assert.strictEqual(calculator.getLeakageNFactor({ stories: 1, shielding: 'well-shielded' }, sanFrancisco), 22.2);
+});
@@ -0,0 +1,103 @@
+/**
+ * Command-line runner: intake parsing, outputs and validation exit codes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseCSV, writePDF } = require('../bin/manual-j.js');
+const ManualJCalculator = require('../js/manual-j-calculator.js');
+const AssessmentSchema = require('../js/assessment-schema.js');
+
+const cli = path.join(__dirname, '..', 'bin', 'manual-j.js');
+
+// Run the CLI on an intake file written to a fresh temporary directory
+function runCLI(fileName, contents, ...args) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manual-j-'));
+    const input = path.join(dir, fileName);
+    fs.writeFileSync(input, contents);
+    const out = path.join(dir, 'out');
+    const run = spawnSync(process.execPath, [cli, input, '--out', out, ...args], { encoding: 'utf8', timeout: 60000 });
+    return { ...run, out };
+}
+
+test('CSV intake handles quoted cells and true/false checkboxes', () => {
+    const records = parseCSV('property-address,total-area,electric-range\n"Oakland, CA",1800,TRUE\n');
+
+    assert.deepStrictEqual(records, [{ 'property-address': 'Oakland, CA', 'total-area': '1800', 'electric-range': true }]);
+});
+
+test('valid JSON intake writes results and the summary CSV', () => {
+    const run = runCLI('house.json', JSON.stringify({ address: 'Oakland, CA', totalArea: 1800 }), '--format', 'json,csv');
+    const output = JSON.parse(fs.readFileSync(path.join(run.out, 'Oakland_CA.json'), 'utf8'));
+    const summary = fs.readFileSync(path.join(run.out, 'summary.csv'), 'utf8').trim().split('\n');
+
+    assert.strictEqual(run.status, 0, run.stderr);
+    assert.ok(output.results.heating.total > 0);
+    assert.ok(Array.isArray(output.recommendations));
+    assert.strictEqual(summary.length, 2);
+    assert.match(summary[1], /^Oakland_CA,"Oakland, CA",ok,/);
+});
+
+test('invalid records exit non-zero with field-level messages', () => {
+    const run = runCLI('batch.csv', 'property-address,total-area\n"Oakland, CA",1800\n,20\n', '--format', 'csv');
+    const summary = fs.readFileSync(path.join(run.out, 'summary.csv'), 'utf8');
+
+    assert.strictEqual(run.status, 1);
+    assert.match(run.stderr, /address \(property-address\): /);
+    assert.match(run.stderr, /totalArea \(total-area\): Conditioned area must be between 100 and 50,000 sq ft/);
+    assert.match(summary, /002_Property,,invalid,/);
+});
+
+// Stand-in for the optional jspdf package: keeps the text drawn and writes it out as the document
+class StubJsPDF {
+    constructor() {
+        this.lines = [];
+        this.pages = 1;
+        this.internal = { getNumberOfPages: () => this.pages };
+    }
+    text(text) { this.lines.push([].concat(text).join(' ')); }
+    splitTextToSize(text) { return [text]; }
+    addPage() { this.pages++; }
+    GState(options) { return options; }
+    setGState() {}
+    setFont() {}
+    setFontSize() {}
+    setTextColor() {}
+    setFillColor() {}
+    setDrawColor() {}
+    rect() {}
+    line() {}
+    output() { return new TextEncoder().encode(`%PDF-stub\n${this.lines.join('\n')}\n`).buffer; }
+}
+
+test('PDF reports describe the building from its calculator fields', async () => {
+    const calculator = new ManualJCalculator();
+    // Calculator fields only, as the runner has for fields left at their defaults
+    const building = AssessmentSchema.pickBuildingData(ManualJCalculator.mapFormValues({
+        address: 'San Jose, CA 95125',
+        totalArea: 1600,
+        wallType: 'wood-frame-2x6',
+        wallInsulation: '19',
+        windowType: 'double-pane-lowE',
+        windowAreaNorth: 40,
+        windowAreaSouth: 60
+    }));
+    const record = { building, results: calculator.calculateLoads(building) };
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'manual-j-')), 'house.pdf');
+
+    await writePDF(record, calculator, StubJsPDF, file);
+    const pdf = fs.readFileSync(file, 'utf8');
+
+    assert.strictEqual(building['wall-type'], undefined);
+    assert.match(pdf, /^%PDF-stub\n/);
+    assert.match(pdf, /Address: San Jose, CA 95125/);
+    assert.match(pdf, /wood-frame-2x6/);
+    assert.match(pdf, /R-19/);
+    assert.match(pdf, /double-pane-lowE/);
+    assert.match(pdf, /Window Areas by Orientation:/);
+    assert.doesNotMatch(pdf, /Not specified/);
+});
@@ -0,0 +1,55 @@
+/**
+ * NEC 220.83(B) panel capacity: demand factors, load management and service upgrade sizing
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PanelAssessment = require('../js/panel-assessment.js');
+
+const panel = new PanelAssessment();
+
+test('NEC 220.83(B) takes the first 8 kVA of other loads at 100% and the rest at 40%', () => {
+    assert.strictEqual(panel.applyDemandFactor(6000), 6000);
+    assert.strictEqual(panel.applyDemandFactor(8000), 8000);
+    assert.strictEqual(panel.applyDemandFactor(18000), 12000);
+});
+
+test('heat pump loads are added at 100% after the demand factor', () => {
+    const result = panel.assess({
+        floorArea: 1500,
+        panelAmps: 100,
+        existing: { range: true },
+        proposed: { heatPumpTons: 3, ducted: true, supplementalHeatKW: 0 }
+    });
+
+    // 3 VA × 1,500 + 3,000 + 1,500 + 2,100 + 12,000 range = 23,100 VA; 8,000 + 40% of 15,100 = 14,040 VA
+    assert.strictEqual(result.generalVA, 23100);
+    assert.strictEqual(result.generalDemandVA, 14040);
+    // 3 tons × 1,800 VA + 600 VA air handler
+    assert.strictEqual(result.hvacVA, 6000);
+    assert.strictEqual(result.totalVA, 20040);
+    assert.strictEqual(result.calculatedAmps, 83.5);
+    assert.strictEqual(result.status, 'ok');
+    assert.match(result.options[0], /Headroom is limited/);
+});
+
+test('EV and HPWH load management can avoid a service upgrade', () => {
+    const project = {
+        floorArea: 1500,
+        panelAmps: 100,
+        existing: {},
+        proposed: { heatPumpTons: 2, ducted: false, supplementalHeatKW: 10, hpwh: true, ev: true }
+    };
+    const result = panel.assess(project);
+
+    // 11,100 + 4,500 HPWH + 7,680 EV = 23,280 VA → 14,112 VA; HVAC 3,600 + 300 + 10,000 = 13,900 VA
+    assert.strictEqual(result.generalDemandVA, 14112);
+    assert.strictEqual(result.calculatedAmps, 116.7);
+    // Without the manageable EV and HPWH: 8,000 + 40% of 3,100 = 9,240 VA, plus 13,900 VA of HVAC
+    assert.strictEqual(result.managedAmps, 96.4);
+    assert.strictEqual(result.status, 'load-management');
+
+    const small = panel.assess({ ...project, panelAmps: 60 });
+    assert.strictEqual(small.status, 'upgrade');
+    assert.match(small.recommendation, /Plan for a 125 A service/);
+});
@@ -0,0 +1,40 @@
+/**
+ * PDF report content that does not depend on the PDF library
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ManualJCalculator = require('../js/manual-j-calculator.js');
+const PDFReportGenerator = require('../js/pdf-report-generator.js');
+
+const calculator = new ManualJCalculator();
+const building = ManualJCalculator.mapFormValues({
+    address: 'San Jose, CA 95125',
+    totalArea: 1700,
+    yearBuilt: 1995,
+    ductwork: 'good',
+    ductLocation: 'attic'
+});
+
+test('key findings name the recommended catalog model and its rebates', () => {
+    const generator = new PDFReportGenerator({ jsPDF: function() {}, calculator });
+    const results = calculator.calculateLoads(building);
+    const recommendations = generator.getRecommendations(results, building);
+    const recommended = recommendations.find(rec => rec.recommended) || recommendations[0];
+    const findings = generator.generateKeyFindings(results, building, recommendations);
+
+    assert.ok(findings.some(finding => finding.includes(recommended.model) &&
+        finding.includes(`${recommended.sizingCapacity.toLocaleString()} Btu/h`)));
+    assert.ok(recommended.rebatesAvailable.total > 0);
+    assert.ok(findings.includes(`Estimated available rebates and incentives for this system: $${recommended.rebatesAvailable.total.toLocaleString()}`));
+    assert.ok(findings.every(finding => !finding.includes('$8,000 - $12,000')));
+});
+
+test('key findings leave out rebates when none are known', () => {
+    const generator = new PDFReportGenerator({ jsPDF: function() {}, calculator });
+    const results = calculator.calculateLoads(building);
+    const findings = generator.generateKeyFindings(results, building, generator.getDefaultRecommendations(results));
+
+    assert.ok(findings.some(finding => finding.startsWith('Recommended system: To be selected on-site')));
+    assert.ok(findings.every(finding => !finding.includes('rebates')));
+});
@@ -0,0 +1,134 @@
+/**
+ * Project library: search matching, behavior without IndexedDB, and saving, reopening,
+ * duplicating and deleting against an in-memory IndexedDB
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ProjectStore = require('../js/project-store.js');
+
+// Minimal in-memory IndexedDB: just the open, transaction and object store calls ProjectStore makes.
+// Databases outlive the stores that open them, so a second ProjectStore reopens the saved records
+function createFakeIndexedDB() {
+    const databases = new Map();
+    const clone = value => value === undefined ? undefined : structuredClone(value);
+
+    const createDatabase = () => {
+        const stores = new Map();
+        return {
+            objectStoreNames: { contains: name => stores.has(name) },
+            createObjectStore(name, { keyPath }) {
+                stores.set(name, { keyPath, records: new Map() });
+                return { createIndex() {} };
+            },
+            transaction(name) {
+                const { keyPath, records } = stores.get(name);
+                const transaction = {};
+                const respond = result => {
+                    setTimeout(() => transaction.oncomplete());
+                    return { result };
+                };
+                transaction.objectStore = () => ({
+                    getAll: () => respond([...records.values()].map(clone)),
+                    get: key => respond(clone(records.get(key))),
+                    put: record => {
+                        records.set(record[keyPath], clone(record));
+                        return respond(record[keyPath]);
+                    },
+                    delete: key => {
+                        records.delete(key);
+                        return respond(undefined);
+                    }
+                });
+                return transaction;
+            }
+        };
+    };
+
+    return {
+        open(name) {
+            const request = {};
+            setTimeout(() => {
+                const created = !databases.has(name);
+                if (created) databases.set(name, createDatabase());
+                request.result = databases.get(name);
+                if (created) request.onupgradeneeded();
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const project = { id: 'a1', name: 'Oakland bungalow', address: '123 Main St, Oakland, CA 94610', status: 'calculated' };
+
+test('search matches every word against the name, address and status label', () => {
+    assert.ok(ProjectStore.matches(project, ''));
+    assert.ok(ProjectStore.matches(project, 'oakland 94610'));
+    assert.ok(ProjectStore.matches(project, 'Calculated'));
+    assert.ok(!ProjectStore.matches(project, 'oakland berkeley'));
+    assert.ok(!ProjectStore.matches(project, 'in progress'));
+});
+
+test('store reports IndexedDB as unavailable outside the browser', async () => {
+    const store = new ProjectStore();
+
+    assert.strictEqual(store.isAvailable(), false);
+    await assert.rejects(store.list(), /IndexedDB is not available/);
+});
+
+test('saved assessments are listed newest first and reopen in a new store', async () => {
+    const indexedDB = createFakeIndexedDB();
+    const store = new ProjectStore({ indexedDB });
+
+    const first = await store.save({ name: 'Oakland bungalow', address: '123 Main St, Oakland, CA 94610', formData: { 'total-area': 1400 } });
+    await wait(5);
+    const second = await store.save({ name: 'Berkeley craftsman', address: '9 Elm St, Berkeley, CA 94703', status: 'calculated' });
+
+    assert.ok(first.id && first.id !== second.id);
+    assert.strictEqual(first.status, 'draft');
+    assert.strictEqual(first.createdAt, first.updatedAt);
+    assert.deepStrictEqual((await store.list()).map(saved => saved.name), ['Berkeley craftsman', 'Oakland bungalow']);
+    assert.deepStrictEqual((await store.list({ status: 'draft' })).map(saved => saved.id), [first.id]);
+    assert.deepStrictEqual((await store.list({ query: 'berkeley' })).map(saved => saved.id), [second.id]);
+
+    const reopened = new ProjectStore({ indexedDB });
+    assert.deepStrictEqual(await reopened.get(first.id), first);
+    assert.strictEqual(await reopened.get('missing'), null);
+});
+
+test('saving an existing id overwrites it and keeps its created time', async () => {
+    const store = new ProjectStore({ indexedDB: createFakeIndexedDB() });
+
+    const saved = await store.save({ name: 'Oakland bungalow', step: 2 });
+    await wait(5);
+    const updated = await store.save({ ...saved, step: 5, status: 'calculated' });
+
+    assert.strictEqual(updated.id, saved.id);
+    assert.strictEqual(updated.createdAt, saved.createdAt);
+    assert.ok(updated.updatedAt > saved.updatedAt);
+    assert.deepStrictEqual(await store.list(), [updated]);
+});
+
+test('duplicates are new records named as copies, and deletes remove only their record', async () => {
+    const store = new ProjectStore({ indexedDB: createFakeIndexedDB() });
+
+    const original = await store.save({ name: 'Oakland bungalow', formData: { 'total-area': 1400 }, status: 'calculated' });
+    await wait(5);
+    const copy = await store.duplicate(original.id);
+
+    assert.notStrictEqual(copy.id, original.id);
+    assert.strictEqual(copy.name, 'Oakland bungalow (copy)');
+    assert.strictEqual(copy.status, 'calculated');
+    assert.deepStrictEqual(copy.formData, original.formData);
+    assert.ok(copy.createdAt > original.createdAt);
+    assert.strictEqual((await store.duplicate(copy.id)).name, 'Oakland bungalow (copy) (copy)');
+    await assert.rejects(store.duplicate('missing'), /No saved assessment with id missing/);
+
+    await store.delete(original.id);
+    assert.strictEqual(await store.get(original.id), null);
+    assert.deepStrictEqual(await store.get(copy.id), copy);
+    assert.strictEqual((await store.list()).length, 2);
+});
@@ -0,0 +1,76 @@
+/**
+ * Rebate rules engine: income tiers, stacking order, combined caps and program prerequisites
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RebateEngine = require('../js/rebate-engine.js');
+const programData = require('../data/rebate-programs.json');
+
+const engine = new RebateEngine(programData);
+
+// Gas furnace replaced with an efficient ducted heat pump in Oakland (PG&E, Alameda County)
+const project = {
+    location: { zip: '94610', county: 'Alameda' },
+    equipment: { type: 'Ducted Heat Pump', hspf2: 9.5, seer2: 19.5, eer2: 12 },
+    projectCost: 10000,
+    hpwh: null,
+    replacing: 'gas',
+    replacingWaterHeater: 'gas',
+    incomeTier: 'above',
+    panelUpgrade: false
+};
+
+const find = (list, id) => list.find(entry => entry.id === id);
+
+test('HEEHRA pays by income tier and skips households above 150% of AMI', () => {
+    const low = engine.evaluate({ ...project, incomeTier: 'low' });
+    const moderate = engine.evaluate({ ...project, incomeTier: 'moderate' });
+    const above = engine.evaluate({ ...project, incomeTier: 'above' });
+    const unknown = engine.evaluate({ ...project, incomeTier: 'unknown' });
+
+    // Low income: 100% of cost up to $8,000; moderate: 50% of cost up to $8,000
+    assert.strictEqual(find(low.eligible, 'heehra-heat-pump').amount, 8000);
+    assert.strictEqual(find(moderate.eligible, 'heehra-heat-pump').amount, 5000);
+    assert.match(find(above.ineligible, 'heehra-heat-pump').reason, /^Income limit: household is above 150%/);
+    assert.match(find(unknown.ineligible, 'heehra-heat-pump').reason, /income range needed/);
+});
+
+test('the 25C credit is figured on the cost after rebates', () => {
+    const result = engine.evaluate(project);
+    const credit = find(result.eligible, 'federal-25c-heat-pump');
+
+    // TECH $3,000 + BAAQMD $1,500 leave $5,500 of the $10,000 project; 30% of that is $1,650
+    assert.strictEqual(result.rebateTotal, 4500);
+    assert.strictEqual(credit.amount, 1650);
+    assert.deepStrictEqual(credit.notes, ['figured on $5,500 cost after rebates']);
+    assert.strictEqual(result.total, 6150);
+});
+
+test('25C heat pump and HPWH credits share the $2,000 group cap', () => {
+    const result = engine.evaluate({ ...project, hpwh: { uef: 3.75, cost: 6000 } });
+    const hpwhCredit = find(result.eligible, 'federal-25c-hpwh');
+
+    // The HPWH credit would be 30% of $6,000 − $3,100 TECH HPWH = $870, but $1,650 of the cap is used
+    assert.strictEqual(find(result.eligible, 'federal-25c-heat-pump').amount, 1650);
+    assert.strictEqual(hpwhCredit.amount, 350);
+    assert.ok(hpwhCredit.notes.includes('limited by the $2,000 combined cap'));
+    assert.strictEqual(result.taxCreditTotal, 2000);
+
+    const full = engine.evaluate({ ...project, projectCost: 20000, hpwh: { uef: 3.75, cost: 6000 } });
+    assert.strictEqual(find(full.eligible, 'federal-25c-heat-pump').amount, 2000);
+    assert.match(find(full.ineligible, 'federal-25c-hpwh').reason, /combined cap is already used/);
+});
+
+test('the 25C panel credit requires the 25C heat pump credit', () => {
+    const withPanel = { ...project, panelUpgrade: true, panelUpgradeCost: 3000 };
+    const qualified = engine.evaluate(withPanel);
+    const inefficient = engine.evaluate({ ...withPanel, equipment: { type: 'Ducted Heat Pump', hspf2: 7.5, seer2: 14.3, eer2: 11 } });
+
+    // 30% of $3,000 is $900, over the $600 panel credit cap
+    assert.strictEqual(find(qualified.eligible, 'federal-25c-panel').amount, 600);
+    assert.match(find(qualified.eligible, 'federal-25c-panel').reason, /qualifies for Federal 25C Tax Credit \(Heat Pump\)/);
+    assert.match(find(inefficient.ineligible, 'federal-25c-heat-pump').reason, /HSPF2 7.5 is below the 8.1 ducted minimum/);
+    assert.strictEqual(find(inefficient.ineligible, 'federal-25c-panel').reason,
+        'Requires eligibility for Federal 25C Tax Credit (Heat Pump)');
+});
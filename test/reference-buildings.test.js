@@ -0,0 +1,19 @@
+/**
+ * Regression tests: each reference building must reproduce the loads, energy and equipment
+ * results already delivered in reports. Regenerate the fixture with `npm run update-references`
+ * only when a model change is intended.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarizeBuilding } = require('./reference-summary.js');
+
+const buildings = require('./fixtures/reference-buildings.json');
+const expected = require('./fixtures/reference-results.json');
+
+buildings.forEach(({ name, building }) => {
+    test(`reference building: ${name}`, () => {
+        assert.ok(expected[name], `No expected results recorded for "${name}"`);
+        assert.deepStrictEqual(summarizeBuilding(building), expected[name]);
+    });
+});
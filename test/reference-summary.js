@@ -0,0 +1,55 @@
+/**
+ * Reference Building Summaries
+ * The values from a full assessment run that the regression suite pins: design loads, load
+ * breakdown, annual energy, balance point and the recommended equipment with rebates
+ */
+
+const ManualJCalculator = require('../js/manual-j-calculator.js');
+
+// Round every number in a result so the fixtures stay readable and comparisons are exact
+function roundValues(value) {
+    if (typeof value === 'number') {
+        return Math.round(value * 10) / 10;
+    }
+    if (Array.isArray(value)) {
+        return value.map(roundValues);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, roundValues(entry)]));
+    }
+    return value;
+}
+
+// Run one reference building through the calculation core and keep the reported values
+function summarizeBuilding(building, calculator = new ManualJCalculator()) {
+    const results = calculator.calculateLoads(building);
+    const recommendations = calculator.generateRecommendations(results, building);
+
+    return roundValues({
+        station: results.climate.station ? results.climate.station.id : null,
+        heating: {
+            total: results.heating.total,
+            components: results.heating.components
+        },
+        cooling: {
+            total: results.cooling.total,
+            sensible: results.cooling.sensible,
+            latent: results.cooling.latent,
+            components: results.cooling.components
+        },
+        breakdown: results.breakdown,
+        annualEnergy: results.monthly.annual,
+        balancePoint: results.balancePoint.balancePoint,
+        recommendations: recommendations.map(rec => ({
+            type: rec.type,
+            id: rec.id,
+            recommended: rec.recommended,
+            sizingCapacity: rec.sizingCapacity,
+            heatingCapacity: rec.selection.heatingCapacity,
+            manualS: rec.verification.passes,
+            rebates: rec.rebatesAvailable.total
+        }))
+    });
+}
+
+module.exports = { summarizeBuilding, roundValues };
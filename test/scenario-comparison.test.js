@@ -0,0 +1,82 @@
+/**
+ * What-if upgrade scenarios: package selection, costs and the load comparison
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ManualJCalculator = require('../js/manual-j-calculator.js');
+const ScenarioComparison = require('../js/scenario-comparison.js');
+
+const building = ManualJCalculator.mapFormValues({
+    address: 'San Jose, CA',
+    totalArea: 1600,
+    atticInsulation: '19',
+    windowType: 'single-pane',
+    windowAreaSouth: 60,
+    windowAreaNorth: 45,
+    ductwork: 'poor',
+    ductLocation: 'attic'
+});
+
+test('packages keep only the changes that improve the house', () => {
+    const scenarios = new ScenarioComparison();
+
+    assert.deepStrictEqual(scenarios.getPackages(building).map(pkg => pkg.id),
+        ['attic-r60', 'low-e-windows', 'duct-sealing', 'all-upgrades']);
+
+    const upgraded = { ...building, atticInsulation: '60', windowType: 'triple-pane', ductwork: 'none' };
+    assert.deepStrictEqual(scenarios.getPackages(upgraded), []);
+});
+
+test('costs are priced on the quantities the upgrade covers', () => {
+    const scenarios = new ScenarioComparison();
+    const cost = scenarios.estimateCost(building,
+        { atticInsulation: '60', windowType: 'double-pane-lowE', orientation: 'east' },
+        { atticArea: 1000, wallArea: 1200, windowArea: 100, floorArea: 1600 });
+
+    assert.deepStrictEqual(cost.items.map(item => item.cost), [2870, 6500]);
+    assert.strictEqual(cost.total, 9370);
+    assert.deepStrictEqual(cost.uncosted, ['orientation']);
+});
+
+test('each scenario reruns the loads on a copy of the building', () => {
+    const calculator = new ManualJCalculator();
+    const before = JSON.stringify(building);
+    const comparison = calculator.compareScenarios(building);
+    const [existing, attic] = comparison.scenarios;
+    const all = comparison.scenarios.find(row => row.id === 'all-upgrades');
+
+    assert.strictEqual(JSON.stringify(building), before);
+    assert.strictEqual(existing.id, 'existing');
+    assert.strictEqual(existing.deltas.heatingLoad, 0);
+    assert.strictEqual(attic.id, 'attic-r60');
+    assert.ok(attic.heatingLoad < existing.heatingLoad);
+    assert.ok(attic.coolingLoad < existing.coolingLoad);
+    assert.strictEqual(attic.deltas.coolingLoad, attic.coolingLoad - existing.coolingLoad);
+    assert.ok(attic.upgradeCost > 0);
+    assert.ok(all.heatingLoad < attic.heatingLoad);
+    assert.ok(all.tons <= existing.tons);
+});
+
+test('custom scenarios replace the preset packages', () => {
+    const calculator = new ManualJCalculator();
+    const comparison = calculator.compareScenarios(building,
+        [{ id: 'walls', label: 'Dense-pack walls', changes: { wallInsulation: '13' } }]);
+
+    assert.deepStrictEqual(comparison.scenarios.map(row => row.id), ['existing', 'walls']);
+    assert.ok(comparison.scenarios[1].heatingLoad <= comparison.baseline.heatingLoad);
+});
+
+test('scenario savings survive calibration to the customer bills', () => {
+    const calculator = new ManualJCalculator();
+    const billed = { ...building, currentGasBill: 150, currentElectricBill: 120 };
+    const comparison = calculator.compareScenarios(billed);
+    const results = calculator.calculateLoads(billed);
+
+    assert.ok(results.bills.calibration.gas < 1 || results.bills.calibration.electric < 1);
+    assert.strictEqual(Math.round(comparison.baseline.annualBill), Math.round(results.bills.after.total));
+    comparison.scenarios.slice(1).forEach(row => {
+        assert.ok(row.annualSavings > 0, row.id);
+        assert.ok(row.paybackYears > 0, row.id);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Load sensitivity: tornado ordering, the P10/P90 band and safety factor overrides
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ManualJCalculator = require('../js/manual-j-calculator.js');
+const SensitivityAnalysis = require('../js/sensitivity.js');
+
+const building = ManualJCalculator.mapFormValues({
+    address: 'San Jose, CA',
+    yearBuilt: 1955,
+    atticInsulation: '19',
+    windowType: 'single-pane',
+    windowAreaSouth: 60,
+    windowAreaNorth: 45,
+    ductwork: 'good',
+    ductLocation: 'attic'
+});
+
+test('safety factors can be overridden per building', () => {
+    const calculator = new ManualJCalculator();
+    const climate = calculator.getClimateData(building.address);
+    const standard = calculator.calculateHeatingLoad(building, climate).total;
+    const none = calculator.calculateHeatingLoad({ ...building, heatingSafetyFactor: 1 }, climate).total;
+
+    assert.strictEqual(ManualJCalculator.safetyFactors.heating, 1.15);
+    assert.ok(Math.abs(none * 1.15 - standard) <= 1);
+});
+
+test('percentiles interpolate and the random sequence repeats for a seed', () => {
+    assert.strictEqual(SensitivityAnalysis.percentile([10, 20, 30, 40, 50], 0.5), 30);
+    assert.strictEqual(SensitivityAnalysis.percentile([10, 20], 0.1), 11);
+
+    const first = SensitivityAnalysis.random(7);
+    const second = SensitivityAnalysis.random(7);
+    const values = Array.from({ length: 5 }, () => first());
+    assert.deepStrictEqual(values, Array.from({ length: 5 }, () => second()));
+    assert.ok(values.every(value => value >= 0 && value < 1));
+});
+
+test('tornado ranks the estimated inputs and the band brackets the loads', () => {
+    const calculator = new ManualJCalculator();
+    const results = calculator.calculateLoads(building);
+    const sensitivity = calculator.calculateSensitivity(building, results);
+    const byId = Object.fromEntries(sensitivity.inputs.map(input => [input.id, input]));
+
+    assert.deepStrictEqual(sensitivity.base, { heating: results.heating.total, cooling: results.cooling.total });
+    assert.match(byId.area.label, /default value/);
+    assert.match(byId.leakage.label, /estimated/);
+    assert.strictEqual(byId.heatingSafety.swing.cooling, 0);
+    assert.strictEqual(byId.coolingSafety.swing.heating, 0);
+
+    const swings = sensitivity.inputs.map(input => SensitivityAnalysis.relativeSwing(input, sensitivity.base));
+    assert.deepStrictEqual(swings, swings.slice().sort((a, b) => b - a));
+
+    ['heating', 'cooling'].forEach(load => {
+        const band = sensitivity.band[load];
+        assert.ok(band.p10 < band.p50 && band.p50 < band.p90, load);
+        assert.ok(band.p10 < sensitivity.base[load] && sensitivity.base[load] < band.p90, load);
+    });
+    assert.deepStrictEqual(calculator.calculateSensitivity(building, results).band, sensitivity.band);
+});
+
+test('a blower door test narrows the leakage range', () => {
+    const calculator = new ManualJCalculator();
+    const tested = { ...building, blowerDoorACH50: 12 };
+    const estimated = calculator.calculateSensitivity(building, calculator.calculateLoads(building));
+    const measured = calculator.calculateSensitivity(tested, calculator.calculateLoads(tested));
+    const leakage = sensitivity => sensitivity.inputs.find(input => input.id === 'leakage');
+
+    assert.match(leakage(measured).label, /blower door/);
+    assert.ok(leakage(measured).swing.heating < leakage(estimated).swing.heating);
+});
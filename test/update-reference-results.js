@@ -0,0 +1,18 @@
+/**
+ * Regenerate the expected results for the reference buildings.
+ * Run only after an intentional model change, and review the fixture diff before committing it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { summarizeBuilding } = require('./reference-summary.js');
+
+const buildings = require('./fixtures/reference-buildings.json');
+const expected = {};
+buildings.forEach(({ name, building }) => {
+    expected[name] = summarizeBuilding(building);
+});
+
+const outputPath = path.join(__dirname, 'fixtures', 'reference-results.json');
+fs.writeFileSync(outputPath, JSON.stringify(expected, null, 4) + '\n');
+console.log(`Wrote expected results for ${buildings.length} reference buildings to ${path.relative(process.cwd(), outputPath)}`);
@@ -0,0 +1,68 @@
+/**
+ * Weatherization loading order: which measures apply and how they are ranked
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ManualJCalculator = require('../js/manual-j-calculator.js');
+const WeatherizationPlanner = require('../js/weatherization.js');
+
+const building = ManualJCalculator.mapFormValues({
+    address: 'San Jose, CA',
+    totalArea: 1600,
+    yearBuilt: 1955,
+    atticInsulation: '19',
+    wallInsulation: '0',
+    windowType: 'single-pane',
+    windowAreaSouth: 60,
+    windowAreaNorth: 45,
+    ductwork: 'poor',
+    ductLocation: 'attic'
+});
+
+test('only the measures the house needs are offered', () => {
+    const planner = new WeatherizationPlanner();
+    const context = { infiltration: { ach50: 12, cfm50: 2880 }, ductsOutside: true, windowArea: 105 };
+
+    assert.deepStrictEqual(planner.getMeasures(building, context).map(measure => measure.id),
+        ['air-sealing', 'attic-insulation', 'wall-insulation', 'window-replacement', 'duct-sealing']);
+    assert.deepStrictEqual(planner.getChanges('air-sealing', building, context), { blowerDoorACH50: 9 });
+    assert.deepStrictEqual(planner.getChanges('air-sealing', { ...building, blowerDoorCFM50: 2880 }, context),
+        { blowerDoorCFM50: 2160 });
+
+    const tight = { ...building, atticInsulation: '60', wallInsulation: '13', windowType: 'double-pane-lowE' };
+    const tightContext = { infiltration: { ach50: 3, cfm50: 720 }, ductsOutside: false, windowArea: 105 };
+    assert.deepStrictEqual(planner.getMeasures(tight, tightContext), []);
+});
+
+test('measures rank by payback, then by cost per Btu/h removed', () => {
+    const planner = new WeatherizationPlanner();
+    const plan = planner.rank([
+        { id: 'window-replacement', cost: 6000, annualSavings: 0, paybackYears: null, costPerKBtuh: 700 },
+        { id: 'attic-insulation', cost: 4000, annualSavings: 400, paybackYears: 10, costPerKBtuh: 500 },
+        { id: 'wall-insulation', cost: 3000, annualSavings: 0, paybackYears: null, costPerKBtuh: 150 },
+        { id: 'air-sealing', cost: 1500, annualSavings: 300, paybackYears: 5, costPerKBtuh: 600 }
+    ]);
+
+    assert.deepStrictEqual(plan.measures.map(measure => [measure.rank, measure.id]),
+        [[1, 'air-sealing'], [2, 'attic-insulation'], [3, 'wall-insulation'], [4, 'window-replacement']]);
+    assert.deepStrictEqual(plan.totals, { cost: 14500, annualSavings: 700 });
+    assert.match(plan.notes[0], /Seal the attic floor/);
+});
+
+test('loading order reruns the loads and bills for each measure', () => {
+    const calculator = new ManualJCalculator();
+    const results = calculator.calculateLoads(building);
+    const plan = calculator.calculateLoadingOrder(building, results);
+    const byId = Object.fromEntries(plan.measures.map(measure => [measure.id, measure]));
+
+    assert.strictEqual(plan.measures.length, 5);
+    plan.measures.forEach(measure => {
+        assert.ok(measure.heatingReduction > 0, measure.id);
+        assert.ok(measure.cost > 0, measure.id);
+        assert.ok(measure.annualSavings > 0, measure.id);
+    });
+    assert.ok(byId['duct-sealing'].share.heating > byId['air-sealing'].share.cooling);
+    assert.strictEqual(byId['attic-insulation'].cost, Math.round(calculator.getRoofArea(building) * 41 * 0.07));
+    assert.deepStrictEqual(plan.measures.map(measure => measure.rank), [1, 2, 3, 4, 5]);
+});
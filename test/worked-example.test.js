@@ -0,0 +1,178 @@
+/**
+ * Hand-worked Manual J heating and cooling examples. Every expected number below is figured by hand
+ * from the house description (area × U × ΔT per surface, 1.08 × CFM × ΔT for air), not from calculator output
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ManualJCalculator = require('../js/manual-j-calculator.js');
+
+const calculator = new ManualJCalculator();
+
+// 40 × 40 ft single-story ranch in Sacramento: 8 ft ceilings, 2x4 R-13 walls with vinyl siding,
+// 50 sq ft of clear double-pane glass per side, R-38 attic, R-19 floor over a vented crawlspace,
+// 2,400 CFM50 blower door result, ducts and air handler inside, no mechanical ventilation
+const building = {
+    address: '95814',
+    totalArea: 1600,
+    ceilingHeight: 8,
+    stories: 1,
+    heatingTemp: 70,
+    coolingTemp: 75,
+    wallType: 'wood-frame-2x4',
+    wallInsulation: '13',
+    exteriorFinish: 'vinyl',
+    windowType: 'double-pane',
+    windowAreaNorth: 50,
+    windowAreaEast: 50,
+    windowAreaSouth: 50,
+    windowAreaWest: 50,
+    doorArea: 40,
+    atticInsulation: '38',
+    foundationType: 'crawlspace-vented',
+    foundationInsulation: '19',
+    blowerDoorCFM50: 2400,
+    ductLocation: 'conditioned',
+    ventilationSystem: 'none'
+};
+
+// Sacramento Executive: 31°F heating and 102°F cooling design temperatures
+const heatingDeltaT = 70 - 31;
+const coolingDeltaT = 102 - 75;
+
+// Walls: 160 ft perimeter × 8 ft = 1,280 sq ft, less 200 sq ft of windows and 40 sq ft of doors.
+// Assembly R = 4.5 (2x4 framing, sheathing, drywall, films) + 13 (cavity batts) + 0.6 (vinyl) = 18.1
+const wallLoss = 1040 / 18.1 * heatingDeltaT;      // 2,240.9 Btu/h
+// Windows: 200 sq ft at U-0.50
+const windowLoss = 200 * 0.50 * heatingDeltaT;     // 3,900 Btu/h
+// Ceiling: 1,600 sq ft at R-38
+const ceilingLoss = 1600 / 38 * heatingDeltaT;     // 1,642.1 Btu/h
+// Floor: R-19 plus R-6 for the floor and crawlspace layers, U = 1/25; the vented crawlspace sits
+// about halfway between indoor and outdoor temperature, so the floor sees half the design ΔT
+const floorLoss = 1600 / 25 * heatingDeltaT / 2;   // 1,248 Btu/h
+// Infiltration: 2,400 CFM50 in a 12,800 cu ft house is 11.25 ACH50. Low wind (LBL zone 4),
+// one story, normal shielding: N = 24.5, so natural airflow is 2,400 / 24.5 = 97.96 CFM
+const naturalCFM = 2400 / 24.5;
+const infiltrationLoss = 1.08 * naturalCFM * heatingDeltaT;   // 4,126.0 Btu/h
+
+test('worked example: heating loss by component matches the hand calculation', () => {
+    const heating = calculator.calculateLoads(building).heating;
+
+    assert.strictEqual(heating.designConditions.deltaT, 39);
+    assert.strictEqual(heating.infiltration.ach50, 11.3);
+    assert.strictEqual(heating.infiltration.nFactor, 24.5);
+    assert.deepStrictEqual(heating.components, {
+        walls: 2241,
+        windows: 3900,
+        roof: 1642,
+        foundation: 1248,
+        infiltration: 4126,
+        ventilation: 0,
+        ducts: 0
+    });
+    [wallLoss, windowLoss, ceilingLoss, floorLoss, infiltrationLoss].forEach((loss, index) => {
+        assert.strictEqual(Object.values(heating.components)[index], Math.round(loss));
+    });
+});
+
+test('worked example: design heating load carries the 15% heating safety factor', () => {
+    const heating = calculator.calculateLoads(building).heating;
+    // 2,240.9 + 3,900 + 1,642.1 + 1,248 + 4,126.0 = 13,157.0 Btu/h, × 1.15 = 15,130.6
+    const designLoss = (wallLoss + windowLoss + ceilingLoss + floorLoss + infiltrationLoss) * 1.15;
+
+    assert.strictEqual(Math.round(designLoss), 15131);
+    assert.strictEqual(heating.total, 15131);
+});
+
+test('worked example: sensible cooling infiltration uses the same natural airflow', () => {
+    const cooling = calculator.calculateLoads(building).cooling;
+
+    // 1.08 × 97.96 CFM × 27°F = 2,856 Btu/h
+    assert.strictEqual(cooling.designConditions.deltaT, coolingDeltaT);
+    assert.strictEqual(cooling.components.infiltration, Math.round(1.08 * naturalCFM * coolingDeltaT));
+    assert.strictEqual(cooling.components.infiltration, 2856);
+});
+
+// The same house moved to each Bay Area reference climate. Design conditions are the station values
+// (summer dry bulb, LBL wind zone N-factor for a one-story house with normal shielding).
+const bayAreaClimates = [
+    { address: 'Oakland, CA 94610', station: 'KOAK', outdoor: 82, nFactor: 21.5, sensible: 17846, total: 20510,
+        miniSplit: { id: 'mitsubishi-msz-fs18', capacity: 18877, nextSizeUp: false, recommended: true } },
+    { address: 'San Jose, CA 95125', station: 'KSJC', outdoor: 91, nFactor: 24.5, sensible: 20491, total: 23420,
+        miniSplit: { id: 'fujitsu-asu24rlxb', capacity: 22660, nextSizeUp: false, recommended: true } },
+    { address: 'Walnut Creek, CA 94598', station: 'KCCR', outdoor: 98, nFactor: 24.5, sensible: 22628, total: 25771,
+        miniSplit: { id: 'daikin-ftx36', capacity: 32746, nextSizeUp: true, recommended: false } },
+    { address: 'San Francisco, CA 94122', station: 'KSFO', outdoor: 83, nFactor: 18.5, sensible: 18322, total: 21035,
+        miniSplit: { id: 'fujitsu-asu24rlxb', capacity: 23980, nextSizeUp: true, recommended: false } },
+    { address: 'Livermore, CA 94550', station: 'KLVK', outdoor: 99, nFactor: 24.5, sensible: 22934, total: 26107,
+        miniSplit: { id: 'daikin-ftx36', capacity: 32495, nextSizeUp: true, recommended: false } }
+];
+
+// Cooling by hand for the worked-example house at a summer design temperature
+function handCoolingLoad(outdoor, nFactor) {
+    const deltaT = outdoor - 75;
+    // Walls: medium color (α 0.6) under 200 Btu/h·sq ft gives a sol-air rise of 40 × the facing's
+    // exposure: north 8°F, east 28°F, south 16°F, west 36°F. The north front and south back are the
+    // long sides (1.3/4.6 of the wall each), east and west the short ones (1/4.6)
+    const solAirRise = (1.3 * (8 + 16) + 1 * (28 + 36)) / 4.6;                 // 20.70°F
+    const walls = 1040 / 18.1 * (deltaT + solAirRise);
+    // Windows: conduction at U-0.50 plus 50 sq ft a side at SHGC 0.7 under 200 Btu/h·sq ft times the
+    // exposure (0.2 + 0.7 + 0.4 + 0.9 = 2.2), cut to 70% by default shading: 10,780 Btu/h of sun
+    const windows = 200 * 0.50 * deltaT + 50 * 0.7 * 200 * 2.2 * 0.7;
+    // Ceiling: R-38 under a vented attic whose medium asphalt roof absorbs 0.6 × 300 = 180 Btu/h·sq ft,
+    // a fifth of which shows up as attic temperature rise (36°F)
+    const roof = 1600 / 38 * (deltaT + 36);
+    const infiltration = 1.08 * (2400 / nFactor) * deltaT;
+    // Four occupants at 230 Btu/h sensible plus 1,200 Btu/h of kitchen, appliances and lighting
+    const internalSensible = 4 * 230 + 1200;
+    // Bay Area design air is drier than 75°F / 50% RH indoors, so only the occupants add latent load
+    const latent = 4 * 200;
+    const sensible = walls + windows + roof + infiltration + internalSensible;
+
+    return { walls, windows, roof, infiltration, sensible, latent, total: (sensible + latent) * 1.10 };
+}
+
+bayAreaClimates.forEach(climate => {
+    const home = { ...building, address: climate.address };
+
+    test(`worked example in ${climate.station}: cooling load matches the hand calculation`, () => {
+        const loads = calculator.calculateLoads(home);
+        const cooling = loads.cooling;
+        const hand = handCoolingLoad(climate.outdoor, climate.nFactor);
+
+        assert.strictEqual(loads.climate.station.id, climate.station);
+        assert.strictEqual(cooling.designConditions.outdoor, climate.outdoor);
+        assert.strictEqual(cooling.infiltration.nFactor, climate.nFactor);
+        assert.strictEqual(cooling.moisture.deltaGrains, 0);
+        assert.deepStrictEqual(
+            [cooling.components.walls, cooling.components.windows, cooling.components.roof, cooling.components.infiltration],
+            [hand.walls, hand.windows, hand.roof, hand.infiltration].map(Math.round)
+        );
+        assert.strictEqual(cooling.sensible, Math.round(hand.sensible));
+        assert.strictEqual(cooling.sensible, climate.sensible);
+        assert.strictEqual(cooling.latent, hand.latent);
+        assert.strictEqual(cooling.total, Math.round(hand.total));
+        assert.strictEqual(cooling.total, climate.total);
+    });
+
+    test(`worked example in ${climate.station}: single-zone mini-split is the smallest that carries the sensible load`, () => {
+        const loads = calculator.calculateLoads(home);
+        const recommendation = calculator.generateRecommendations(loads, home)
+            .find(option => option.type === 'Ductless Mini-Split');
+        const hand = handCoolingLoad(climate.outdoor, climate.nFactor);
+        const sizingLoad = hand.sensible + hand.latent;
+
+        assert.strictEqual(recommendation.id, climate.miniSplit.id);
+        // Catalog capacity at 95°F, 0.75% more per °F below it
+        const capacity = recommendation.cooling.capacity95 * (1 + 0.0075 * (95 - climate.outdoor));
+        assert.strictEqual(recommendation.selection.coolingCapacity, Math.round(capacity));
+        assert.strictEqual(recommendation.selection.coolingCapacity, climate.miniSplit.capacity);
+        // In these dry climates the coil runs at the load's sensible heat ratio
+        assert.ok(capacity * hand.sensible / sizingLoad >= hand.sensible);
+        // When even the smallest model that carries the sensible load is over 115% of the load it is
+        // the Manual S next size up: offered, but not recommended
+        assert.strictEqual(capacity / sizingLoad > 1.15, climate.miniSplit.nextSizeUp);
+        assert.strictEqual(recommendation.selection.nextSizeUp, climate.miniSplit.nextSizeUp);
+        assert.strictEqual(recommendation.recommended, climate.miniSplit.recommended);
+    });
+});